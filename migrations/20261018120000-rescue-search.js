@@ -0,0 +1,51 @@
+/* eslint-disable no-console */
+'use strict'
+
+module.exports = {
+  up: async (migration) => {
+    await migration.sequelize.transaction(async (transaction) => {
+      console.log('- Adding function for extracting the text of rescue quotes')
+      await migration.sequelize.query(`
+        CREATE OR REPLACE FUNCTION rescue_quotes_text(quotes jsonb[]) RETURNS text
+        LANGUAGE SQL IMMUTABLE AS $$
+          SELECT COALESCE(string_agg(quote->>'message', ' '), '') FROM unnest(quotes) AS quote
+        $$
+      `, { transaction })
+
+      console.log('- Adding function for generating the full-text search document of a rescue')
+      await migration.sequelize.query(`
+        CREATE OR REPLACE FUNCTION rescue_search_document(
+          client text, "clientNick" text, system text, title text, notes text, quotes jsonb[]
+        ) RETURNS tsvector
+        LANGUAGE SQL IMMUTABLE AS $$
+          SELECT
+            setweight(to_tsvector('simple', COALESCE(client, '')), 'A') ||
+            setweight(to_tsvector('simple', COALESCE("clientNick", '')), 'A') ||
+            setweight(to_tsvector('simple', COALESCE(system, '')), 'B') ||
+            setweight(to_tsvector('simple', COALESCE(title, '')), 'B') ||
+            setweight(to_tsvector('english', COALESCE(notes, '')), 'C') ||
+            setweight(to_tsvector('english', rescue_quotes_text(quotes)), 'D')
+        $$
+      `, { transaction })
+
+      console.log('- Adding full-text search index to Rescues')
+      await migration.sequelize.query(`
+        CREATE INDEX "rescues_search_document" ON "Rescues" USING gin (
+          rescue_search_document("client", "clientNick", "system", "title", "notes", "quotes")
+        )
+      `, { transaction })
+
+      console.log('Committing Transaction..')
+    })
+  },
+
+  down: async (migration) => {
+    await migration.sequelize.transaction(async (transaction) => {
+      await migration.sequelize.query('DROP INDEX IF EXISTS "rescues_search_document"', { transaction })
+      await migration.sequelize.query(`
+        DROP FUNCTION IF EXISTS rescue_search_document(text, text, text, text, text, jsonb[])
+      `, { transaction })
+      await migration.sequelize.query('DROP FUNCTION IF EXISTS rescue_quotes_text(jsonb[])', { transaction })
+    })
+  },
+}
@@ -0,0 +1,55 @@
+/* eslint-disable no-console */
+'use strict'
+
+module.exports = {
+  up: async (migration, db) => {
+    const type = db.DataTypes
+
+    await migration.sequelize.transaction(async (transaction) => {
+      console.log('- Adding table for storing shared API rate limit token buckets')
+      await migration.createTable('TrafficBuckets', {
+        key: {
+          type: type.STRING,
+          primaryKey: true,
+        },
+        tokens: {
+          type: type.DOUBLE,
+          allowNull: false,
+        },
+        capacity: {
+          type: type.DOUBLE,
+          allowNull: false,
+        },
+        refillRate: {
+          type: type.DOUBLE,
+          allowNull: false,
+        },
+        allowed: {
+          type: type.BOOLEAN,
+          allowNull: false,
+          defaultValue: true,
+        },
+        updatedAt: {
+          type: type.DATE,
+          allowNull: false,
+          defaultValue: type.NOW,
+        },
+      }, { transaction })
+
+      console.log('- Adding field for storing custom OAuth client API rate limits')
+      await migration.addColumn('Clients', 'rateLimit', {
+        type: type.INTEGER,
+        allowNull: true,
+      }, { transaction })
+
+      console.log('Committing Transaction..')
+    })
+  },
+
+  down: async (migration) => {
+    await migration.sequelize.transaction(async (transaction) => {
+      await migration.removeColumn('Clients', 'rateLimit', { transaction })
+      await migration.dropTable('TrafficBuckets', { transaction })
+    })
+  },
+}
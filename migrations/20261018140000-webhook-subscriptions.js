@@ -0,0 +1,150 @@
+/* eslint-disable no-console */
+'use strict'
+
+const webhookSecretMaxLength = 512
+
+module.exports = {
+  up: async (migration, db) => {
+    const type = db.DataTypes
+
+    await migration.sequelize.transaction(async (transaction) => {
+      console.log('- Adding table for OAuth client webhook subscriptions')
+      await migration.createTable('WebhookSubscriptions', {
+        id: {
+          type: type.UUID,
+          primaryKey: true,
+        },
+        url: {
+          type: type.STRING,
+          allowNull: false,
+        },
+        events: {
+          type: type.ARRAY(type.STRING),
+          allowNull: false,
+          defaultValue: [],
+        },
+        secret: {
+          type: type.STRING(webhookSecretMaxLength),
+          allowNull: false,
+        },
+        active: {
+          type: type.BOOLEAN,
+          allowNull: false,
+          defaultValue: true,
+        },
+        clientId: {
+          type: type.UUID,
+          allowNull: false,
+          references: {
+            model: 'Clients',
+            key: 'id',
+          },
+          onDelete: 'CASCADE',
+        },
+        createdAt: {
+          type: type.DATE,
+          defaultValue: type.NOW,
+        },
+        updatedAt: {
+          type: type.DATE,
+          defaultValue: type.NOW,
+        },
+      }, { transaction })
+
+      await migration.addIndex('WebhookSubscriptions', ['clientId'], { transaction })
+
+      console.log('- Adding table for the webhook delivery log')
+      await migration.createTable('WebhookDeliveries', {
+        id: {
+          type: type.UUID,
+          primaryKey: true,
+        },
+        event: {
+          type: type.STRING,
+          allowNull: false,
+        },
+        resourceId: {
+          type: type.STRING,
+          allowNull: true,
+        },
+        payload: {
+          type: type.JSONB,
+          allowNull: false,
+          defaultValue: {},
+        },
+        status: {
+          type: type.ENUM('pending', 'succeeded', 'failed'),
+          allowNull: false,
+          defaultValue: 'pending',
+        },
+        attempts: {
+          type: type.INTEGER,
+          allowNull: false,
+          defaultValue: 0,
+        },
+        nextAttemptAt: {
+          type: type.DATE,
+          allowNull: true,
+        },
+        responseStatus: {
+          type: type.INTEGER,
+          allowNull: true,
+        },
+        error: {
+          type: type.TEXT,
+          allowNull: true,
+        },
+        deliveredAt: {
+          type: type.DATE,
+          allowNull: true,
+        },
+        subscriptionId: {
+          type: type.UUID,
+          allowNull: false,
+          references: {
+            model: 'WebhookSubscriptions',
+            key: 'id',
+          },
+          onDelete: 'CASCADE',
+        },
+        createdAt: {
+          type: type.DATE,
+          defaultValue: type.NOW,
+        },
+        updatedAt: {
+          type: type.DATE,
+          defaultValue: type.NOW,
+        },
+      }, { transaction })
+
+      await migration.addIndex('WebhookDeliveries', ['subscriptionId'], { transaction })
+      await migration.addIndex('WebhookDeliveries', ['status', 'nextAttemptAt'], { transaction })
+
+      console.log('- Allowing groups that can manage their own OAuth clients to manage their webhook subscriptions')
+      await migration.sequelize.query(`
+        UPDATE "Groups"
+        SET "permissions" = array_cat("permissions", ARRAY[
+          'webhook-subscriptions.read.me',
+          'webhook-subscriptions.write.me'
+        ]::varchar(255)[])
+        WHERE 'clients.write.me' = ANY("permissions")
+      `, { transaction })
+
+      console.log('Committing Transaction..')
+    })
+  },
+
+  down: async (migration) => {
+    await migration.sequelize.transaction(async (transaction) => {
+      await migration.sequelize.query(`
+        UPDATE "Groups"
+        SET "permissions" = array_remove(array_remove("permissions",
+          'webhook-subscriptions.read.me'),
+          'webhook-subscriptions.write.me')
+      `, { transaction })
+      await migration.dropTable('WebhookDeliveries', { transaction })
+      await migration.dropTable('WebhookSubscriptions', { transaction })
+      await migration.sequelize.query('DROP TYPE IF EXISTS "enum_WebhookDeliveries_status"', { transaction })
+    })
+  },
+}
@@ -0,0 +1,56 @@
+/* eslint-disable no-console */
+'use strict'
+
+module.exports = {
+  up: async (migration, db) => {
+    const type = db.DataTypes
+
+    await migration.sequelize.transaction(async (transaction) => {
+      console.log('- Adding table for the persisted log of API events')
+      await migration.createTable('EventLogEntries', {
+        id: {
+          type: type.BIGINT,
+          primaryKey: true,
+          autoIncrement: true,
+        },
+        event: {
+          type: type.STRING,
+          allowNull: false,
+        },
+        userId: {
+          type: type.UUID,
+          allowNull: true,
+        },
+        resourceId: {
+          type: type.STRING,
+          allowNull: true,
+        },
+        resourceType: {
+          type: type.STRING,
+          allowNull: true,
+        },
+        documentView: {
+          type: type.STRING,
+          allowNull: true,
+        },
+        data: {
+          type: type.JSONB,
+          allowNull: true,
+        },
+        createdAt: {
+          type: type.DATE,
+          allowNull: false,
+          defaultValue: type.NOW,
+        },
+      }, { transaction })
+
+      console.log('Committing Transaction..')
+    })
+  },
+
+  down: async (migration) => {
+    await migration.sequelize.transaction(async (transaction) => {
+      await migration.dropTable('EventLogEntries', { transaction })
+    })
+  },
+}
@@ -0,0 +1,52 @@
+/* eslint-disable no-console */
+'use strict'
+
+module.exports = {
+  up: async (migration, db) => {
+    const type = db.DataTypes
+
+    await migration.sequelize.transaction(async (transaction) => {
+      console.log('- Adding fields for OAuth access token expiry and refresh tokens')
+      await migration.addColumn('Tokens', 'expiresAt', {
+        type: type.DATE,
+        allowNull: true,
+      }, { transaction })
+
+      await migration.addColumn('Tokens', 'refreshToken', {
+        type: type.STRING,
+        allowNull: true,
+        unique: true,
+      }, { transaction })
+
+      await migration.addColumn('Tokens', 'refreshTokenExpiresAt', {
+        type: type.DATE,
+        allowNull: true,
+      }, { transaction })
+
+      console.log('- Adding field for OAuth authorization code PKCE challenges')
+      await migration.addColumn('Codes', 'codeChallenge', {
+        type: type.STRING,
+        allowNull: true,
+      }, { transaction })
+
+      console.log('- Adding field for marking OAuth clients as public clients')
+      await migration.addColumn('Clients', 'public', {
+        type: type.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      }, { transaction })
+
+      console.log('Committing Transaction..')
+    })
+  },
+
+  down: async (migration) => {
+    await migration.sequelize.transaction(async (transaction) => {
+      await migration.removeColumn('Clients', 'public', { transaction })
+      await migration.removeColumn('Codes', 'codeChallenge', { transaction })
+      await migration.removeColumn('Tokens', 'refreshTokenExpiresAt', { transaction })
+      await migration.removeColumn('Tokens', 'refreshToken', { transaction })
+      await migration.removeColumn('Tokens', 'expiresAt', { transaction })
+    })
+  },
+}
@@ -0,0 +1,26 @@
+/* eslint-disable no-console */
+'use strict'
+
+const oAuthNonceMaxLength = 255
+
+module.exports = {
+  up: async (migration, db) => {
+    const type = db.DataTypes
+
+    await migration.sequelize.transaction(async (transaction) => {
+      console.log('- Adding field for OpenID Connect nonces to OAuth authorization codes')
+      await migration.addColumn('Codes', 'nonce', {
+        type: type.STRING(oAuthNonceMaxLength),
+        allowNull: true,
+      }, { transaction })
+
+      console.log('Committing Transaction..')
+    })
+  },
+
+  down: async (migration) => {
+    await migration.sequelize.transaction(async (transaction) => {
+      await migration.removeColumn('Codes', 'nonce', { transaction })
+    })
+  },
+}
@@ -0,0 +1,24 @@
+/* eslint-disable no-console */
+'use strict'
+
+module.exports = {
+  up: async (migration, db) => {
+    const type = db.DataTypes
+
+    await migration.sequelize.transaction(async (transaction) => {
+      console.log('- Adding field for tracking when OAuth tokens were last used')
+      await migration.addColumn('Tokens', 'lastAccess', {
+        type: type.DATE,
+        allowNull: true,
+      }, { transaction })
+
+      console.log('Committing Transaction..')
+    })
+  },
+
+  down: async (migration) => {
+    await migration.sequelize.transaction(async (transaction) => {
+      await migration.removeColumn('Tokens', 'lastAccess', { transaction })
+    })
+  },
+}
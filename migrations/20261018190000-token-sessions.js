@@ -0,0 +1,27 @@
+/* eslint-disable no-console */
+'use strict'
+
+module.exports = {
+  up: async (migration, db) => {
+    const type = db.DataTypes
+
+    await migration.sequelize.transaction(async (transaction) => {
+      console.log('- Adding field for the login session OAuth tokens were issued through')
+      await migration.addColumn('Tokens', 'sessionId', {
+        type: type.UUID,
+        allowNull: true,
+      }, { transaction })
+
+      await migration.addIndex('Tokens', ['sessionId'], { transaction })
+
+      console.log('Committing Transaction..')
+    })
+  },
+
+  down: async (migration) => {
+    await migration.sequelize.transaction(async (transaction) => {
+      await migration.removeIndex('Tokens', ['sessionId'], { transaction })
+      await migration.removeColumn('Tokens', 'sessionId', { transaction })
+    })
+  },
+}
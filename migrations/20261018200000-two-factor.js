@@ -0,0 +1,68 @@
+/* eslint-disable no-console */
+'use strict'
+
+const recoveryCodeHashLength = 64
+
+module.exports = {
+  up: async (migration, db) => {
+    const type = db.DataTypes
+
+    await migration.sequelize.transaction(async (transaction) => {
+      console.log('- Adding table for TOTP two-factor authentication enrolments')
+      await migration.createTable('TwoFactors', {
+        id: {
+          type: type.UUID,
+          primaryKey: true,
+          defaultValue: type.UUIDV4,
+        },
+        secret: {
+          type: type.STRING,
+          allowNull: false,
+        },
+        enabled: {
+          type: type.BOOLEAN,
+          allowNull: false,
+          defaultValue: false,
+        },
+        recoveryCodes: {
+          type: type.ARRAY(type.STRING(recoveryCodeHashLength)),
+          allowNull: false,
+          defaultValue: [],
+        },
+        lastUsedStep: {
+          type: type.BIGINT,
+          allowNull: true,
+        },
+        userId: {
+          type: type.UUID,
+          allowNull: false,
+          unique: true,
+          references: {
+            model: 'Users',
+            key: 'id',
+          },
+          onUpdate: 'cascade',
+          onDelete: 'cascade',
+        },
+        createdAt: {
+          type: type.DATE,
+          allowNull: false,
+          defaultValue: type.NOW,
+        },
+        updatedAt: {
+          type: type.DATE,
+          allowNull: false,
+          defaultValue: type.NOW,
+        },
+      }, { transaction })
+
+      console.log('Committing Transaction..')
+    })
+  },
+
+  down: async (migration) => {
+    await migration.sequelize.transaction(async (transaction) => {
+      await migration.dropTable('TwoFactors', { transaction })
+    })
+  },
+}
@@ -0,0 +1,46 @@
+/* eslint-disable no-console */
+'use strict'
+
+const nameMaxLength = 100
+
+module.exports = {
+  up: async (migration, db) => {
+    const type = db.DataTypes
+
+    await migration.sequelize.transaction(async (transaction) => {
+      console.log('- Allowing OAuth tokens without a client for personal access tokens')
+      await migration.changeColumn('Tokens', 'clientId', {
+        type: type.UUID,
+        allowNull: true,
+      }, { transaction })
+
+      console.log('- Adding fields for the name and IP allow-list of personal access tokens')
+      await migration.addColumn('Tokens', 'name', {
+        type: type.STRING(nameMaxLength),
+        allowNull: true,
+      }, { transaction })
+
+      await migration.addColumn('Tokens', 'ipAllowList', {
+        type: type.ARRAY(type.STRING),
+        allowNull: true,
+      }, { transaction })
+
+      console.log('Committing Transaction..')
+    })
+  },
+
+  down: async (migration, db) => {
+    const type = db.DataTypes
+
+    await migration.sequelize.transaction(async (transaction) => {
+      await migration.removeColumn('Tokens', 'ipAllowList', { transaction })
+      await migration.removeColumn('Tokens', 'name', { transaction })
+
+      await migration.bulkDelete('Tokens', { clientId: null }, { transaction })
+      await migration.changeColumn('Tokens', 'clientId', {
+        type: type.UUID,
+        allowNull: false,
+      }, { transaction })
+    })
+  },
+}
@@ -0,0 +1,82 @@
+/* eslint-disable no-console */
+'use strict'
+
+module.exports = {
+  up: async (migration, db) => {
+    const type = db.DataTypes
+
+    await migration.sequelize.transaction(async (transaction) => {
+      console.log('- Adding table for the audit log of privileged and administrative changes')
+      await migration.createTable('AuditLogs', {
+        id: {
+          type: type.UUID,
+          primaryKey: true,
+          defaultValue: type.UUIDV4,
+        },
+        action: {
+          type: type.STRING,
+          allowNull: false,
+        },
+        resourceType: {
+          type: type.STRING,
+          allowNull: false,
+        },
+        resourceId: {
+          type: type.STRING,
+          allowNull: true,
+        },
+        before: {
+          type: type.JSONB,
+          allowNull: true,
+        },
+        after: {
+          type: type.JSONB,
+          allowNull: true,
+        },
+        userId: {
+          type: type.UUID,
+          allowNull: true,
+        },
+        representedUserId: {
+          type: type.UUID,
+          allowNull: true,
+        },
+        clientId: {
+          type: type.UUID,
+          allowNull: true,
+        },
+        ip: {
+          type: type.STRING,
+          allowNull: true,
+        },
+        createdAt: {
+          type: type.DATE,
+          allowNull: false,
+          defaultValue: type.NOW,
+        },
+      }, { transaction })
+
+      await migration.addIndex('AuditLogs', ['resourceType', 'resourceId'], { transaction })
+      await migration.addIndex('AuditLogs', ['userId'], { transaction })
+
+      console.log('- Allowing groups that can manage users to read the audit log')
+      await migration.sequelize.query(`
+        UPDATE "Groups"
+        SET "permissions" = array_append("permissions", 'audit.read'::varchar(255))
+        WHERE 'users.write' = ANY("permissions")
+      `, { transaction })
+
+      console.log('Committing Transaction..')
+    })
+  },
+
+  down: async (migration) => {
+    await migration.sequelize.transaction(async (transaction) => {
+      await migration.sequelize.query(`
+        UPDATE "Groups"
+        SET "permissions" = array_remove("permissions", 'audit.read')
+      `, { transaction })
+      await migration.dropTable('AuditLogs', { transaction })
+    })
+  },
+}
@@ -0,0 +1,91 @@
+/* eslint-disable no-console */
+'use strict'
+
+module.exports = {
+  up: async (migration, db) => {
+    const type = db.DataTypes
+
+    await migration.sequelize.transaction(async (transaction) => {
+      console.log('- Adding table for the history of account suspensions')
+      await migration.createTable('Suspensions', {
+        id: {
+          type: type.UUID,
+          primaryKey: true,
+          defaultValue: type.UUIDV4,
+        },
+        reason: {
+          type: type.TEXT,
+          allowNull: false,
+        },
+        expiresAt: {
+          type: type.DATE,
+          allowNull: false,
+        },
+        endedAt: {
+          type: type.DATE,
+          allowNull: true,
+        },
+        userId: {
+          type: type.UUID,
+          allowNull: false,
+          references: {
+            model: 'Users',
+            key: 'id',
+          },
+          onUpdate: 'cascade',
+          onDelete: 'cascade',
+        },
+        moderatorId: {
+          type: type.UUID,
+          allowNull: true,
+          references: {
+            model: 'Users',
+            key: 'id',
+          },
+          onUpdate: 'cascade',
+          onDelete: 'set null',
+        },
+        liftedById: {
+          type: type.UUID,
+          allowNull: true,
+          references: {
+            model: 'Users',
+            key: 'id',
+          },
+          onUpdate: 'cascade',
+          onDelete: 'set null',
+        },
+        createdAt: {
+          type: type.DATE,
+          allowNull: false,
+          defaultValue: type.NOW,
+        },
+        updatedAt: {
+          type: type.DATE,
+          allowNull: false,
+          defaultValue: type.NOW,
+        },
+      }, { transaction })
+
+      await migration.addIndex('Suspensions', ['userId'], { transaction })
+      await migration.addIndex('Suspensions', ['expiresAt'], {
+        where: { endedAt: null },
+        transaction,
+      })
+
+      console.log('- Recording the existing account suspensions')
+      await migration.sequelize.query(`
+        INSERT INTO "Suspensions" ("id", "reason", "expiresAt", "userId", "createdAt", "updatedAt")
+        SELECT uuid_generate_v4(), 'Suspended before the suspension history was recorded', "suspended", "id", NOW(), NOW()
+        FROM "Users"
+        WHERE "suspended" > NOW()
+      `, { transaction })
+
+      console.log('Committing Transaction..')
+    })
+  },
+
+  down: async (migration) => {
+    await migration.dropTable('Suspensions')
+  },
+}
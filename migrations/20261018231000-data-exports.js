@@ -0,0 +1,60 @@
+/* eslint-disable no-console */
+'use strict'
+
+module.exports = {
+  up: async (migration, db) => {
+    const type = db.DataTypes
+
+    await migration.sequelize.transaction(async (transaction) => {
+      console.log('- Adding table for personal data exports')
+      await migration.createTable('DataExports', {
+        id: {
+          type: type.UUID,
+          primaryKey: true,
+          defaultValue: type.UUIDV4,
+        },
+        token: {
+          type: type.STRING,
+          allowNull: false,
+          unique: true,
+        },
+        archive: {
+          type: type.BLOB(),
+          allowNull: true,
+        },
+        expiresAt: {
+          type: type.DATE,
+          allowNull: true,
+        },
+        userId: {
+          type: type.UUID,
+          allowNull: false,
+          references: {
+            model: 'Users',
+            key: 'id',
+          },
+          onUpdate: 'cascade',
+          onDelete: 'cascade',
+        },
+        createdAt: {
+          type: type.DATE,
+          allowNull: false,
+          defaultValue: type.NOW,
+        },
+        updatedAt: {
+          type: type.DATE,
+          allowNull: false,
+          defaultValue: type.NOW,
+        },
+      }, { transaction })
+
+      await migration.addIndex('DataExports', ['userId'], { transaction })
+
+      console.log('Committing Transaction..')
+    })
+  },
+
+  down: async (migration) => {
+    await migration.dropTable('DataExports')
+  },
+}
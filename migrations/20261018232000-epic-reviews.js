@@ -0,0 +1,84 @@
+/* eslint-disable no-console */
+'use strict'
+
+module.exports = {
+  up: async (migration, db) => {
+    const type = db.DataTypes
+
+    await migration.sequelize.transaction(async (transaction) => {
+      console.log('- Adding review status to epic nominations')
+      await migration.addColumn('Epics', 'status', {
+        type: type.ENUM('pending', 'approved', 'rejected'),
+        allowNull: false,
+        defaultValue: 'pending',
+      }, { transaction })
+
+      console.log('- Marking previously approved epic nominations as approved')
+      await migration.sequelize.query(`
+        UPDATE "Epics"
+        SET "status" = 'approved'
+        WHERE "approvedById" IS NOT NULL
+      `, { transaction })
+
+      console.log('- Adding table for the votes of epic nomination reviewers')
+      await migration.createTable('EpicReviews', {
+        id: {
+          type: type.UUID,
+          primaryKey: true,
+          defaultValue: type.UUIDV4,
+        },
+        decision: {
+          type: type.ENUM('approve', 'reject'),
+          allowNull: false,
+        },
+        comment: {
+          type: type.TEXT,
+          allowNull: false,
+        },
+        epicId: {
+          type: type.UUID,
+          allowNull: false,
+          references: {
+            model: 'Epics',
+            key: 'id',
+          },
+          onUpdate: 'cascade',
+          onDelete: 'cascade',
+        },
+        reviewerId: {
+          type: type.UUID,
+          allowNull: false,
+          references: {
+            model: 'Users',
+            key: 'id',
+          },
+          onUpdate: 'cascade',
+          onDelete: 'cascade',
+        },
+        createdAt: {
+          type: type.DATE,
+          allowNull: false,
+          defaultValue: type.NOW,
+        },
+        updatedAt: {
+          type: type.DATE,
+          allowNull: false,
+          defaultValue: type.NOW,
+        },
+      }, { transaction })
+
+      await migration.addIndex('EpicReviews', ['epicId', 'reviewerId'], { unique: true, transaction })
+
+      console.log('Committing Transaction..')
+    })
+  },
+
+  down: async (migration) => {
+    await migration.sequelize.transaction(async (transaction) => {
+      await migration.dropTable('EpicReviews', { transaction })
+      await migration.removeColumn('Epics', 'status', { transaction })
+      await migration.sequelize.query('DROP TYPE IF EXISTS "enum_EpicReviews_decision"', { transaction })
+      await migration.sequelize.query('DROP TYPE IF EXISTS "enum_Epics_status"', { transaction })
+    })
+  },
+}
@@ -0,0 +1,60 @@
+/* eslint-disable no-console */
+'use strict'
+
+module.exports = {
+  up: async (migration, db) => {
+    const type = db.DataTypes
+
+    await migration.sequelize.transaction(async (transaction) => {
+      console.log('- Adding table for the monthly issuance of rescue decals')
+      await migration.createTable('DecalIssuances', {
+        id: {
+          type: type.UUID,
+          primaryKey: true,
+          defaultValue: type.UUIDV4,
+        },
+        month: {
+          type: type.DATE,
+          allowNull: false,
+          unique: true,
+        },
+        notifiedCount: {
+          type: type.INTEGER,
+          allowNull: false,
+          defaultValue: 0,
+        },
+        completedAt: {
+          type: type.DATE,
+          allowNull: true,
+        },
+        createdAt: {
+          type: type.DATE,
+          allowNull: false,
+          defaultValue: type.NOW,
+        },
+        updatedAt: {
+          type: type.DATE,
+          allowNull: false,
+          defaultValue: type.NOW,
+        },
+      }, { transaction })
+
+      console.log('- Adding index for looking up unclaimed decal codes')
+      await migration.addIndex('Decals', ['type'], {
+        where: { userId: null },
+        transaction,
+      })
+      await migration.addIndex('Decals', ['code'], { transaction })
+
+      console.log('Committing Transaction..')
+    })
+  },
+
+  down: async (migration) => {
+    await migration.sequelize.transaction(async (transaction) => {
+      await migration.removeIndex('Decals', ['type'], { transaction })
+      await migration.removeIndex('Decals', ['code'], { transaction })
+      await migration.dropTable('DecalIssuances', { transaction })
+    })
+  },
+}
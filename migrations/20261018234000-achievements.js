@@ -0,0 +1,59 @@
+/* eslint-disable no-console */
+'use strict'
+
+const badgeMaxLength = 64
+
+module.exports = {
+  up: async (migration, db) => {
+    const type = db.DataTypes
+
+    await migration.sequelize.transaction(async (transaction) => {
+      console.log('- Adding table for the achievement badges awarded to users')
+      await migration.createTable('Achievements', {
+        id: {
+          type: type.UUID,
+          primaryKey: true,
+          defaultValue: type.UUIDV4,
+        },
+        badge: {
+          type: type.STRING(badgeMaxLength),
+          allowNull: false,
+        },
+        userId: {
+          type: type.UUID,
+          allowNull: false,
+          references: {
+            model: 'Users',
+            key: 'id',
+          },
+          onUpdate: 'cascade',
+          onDelete: 'cascade',
+        },
+        createdAt: {
+          type: type.DATE,
+          allowNull: false,
+          defaultValue: type.NOW,
+        },
+        updatedAt: {
+          type: type.DATE,
+          allowNull: false,
+          defaultValue: type.NOW,
+        },
+      }, { transaction })
+
+      console.log('- Adding index for looking up the achievements of a user')
+      await migration.addIndex('Achievements', ['userId', 'badge'], {
+        unique: true,
+        transaction,
+      })
+
+      console.log('Committing Transaction..')
+    })
+  },
+
+  down: async (migration) => {
+    await migration.sequelize.transaction(async (transaction) => {
+      await migration.dropTable('Achievements', { transaction })
+    })
+  },
+}
@@ -0,0 +1,51 @@
+/* eslint-disable no-console */
+'use strict'
+
+module.exports = {
+  up: async (migration) => {
+    await migration.sequelize.transaction(async (transaction) => {
+      console.log('- Adding materialized view of daily rescue statistics per user and platform for the leaderboard')
+      await migration.sequelize.query(`
+        CREATE MATERIALIZED VIEW "LeaderboardDays" AS
+        SELECT
+          "Rats"."userId" AS "userId",
+          date_trunc('day', "Rescues"."createdAt") AS "day",
+          "Rescues"."platform" AS "platform",
+          COUNT(DISTINCT "Rescues"."id") FILTER (
+            WHERE "Rescues"."firstLimpetId" = "Rats"."id"
+          ) AS "rescueCount",
+          COUNT(DISTINCT "Rescues"."id") FILTER (
+            WHERE "Rescues"."firstLimpetId" IS DISTINCT FROM "Rats"."id"
+          ) AS "assistCount",
+          COUNT(DISTINCT "Rescues"."id") FILTER (
+            WHERE "Rescues"."firstLimpetId" = "Rats"."id" AND "Rescues"."codeRed" = TRUE
+          ) AS "codeRedCount"
+        FROM "Rescues"
+        INNER JOIN "RescueRats" ON "RescueRats"."rescueId" = "Rescues"."id"
+        INNER JOIN "Rats" ON "Rats"."id" = "RescueRats"."ratId"
+        WHERE
+          "Rescues"."deletedAt" IS NULL AND
+          "Rescues"."outcome" = 'success' AND
+          "Rats"."userId" IS NOT NULL
+        GROUP BY "Rats"."userId", date_trunc('day', "Rescues"."createdAt"), "Rescues"."platform"
+      `, { transaction })
+
+      console.log('- Adding indexes for refreshing and searching the leaderboard')
+      await migration.sequelize.query(`
+        CREATE UNIQUE INDEX "leaderboard_days_user_id_day_platform"
+        ON "LeaderboardDays" ("userId", "day", "platform")
+      `, { transaction })
+      await migration.sequelize.query(`
+        CREATE INDEX "leaderboard_days_day_platform" ON "LeaderboardDays" ("day", "platform")
+      `, { transaction })
+
+      console.log('Committing Transaction..')
+    })
+  },
+
+  down: async (migration) => {
+    await migration.sequelize.transaction(async (transaction) => {
+      await migration.sequelize.query('DROP MATERIALIZED VIEW IF EXISTS "LeaderboardDays"', { transaction })
+    })
+  },
+}
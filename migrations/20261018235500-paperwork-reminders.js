@@ -0,0 +1,46 @@
+/* eslint-disable no-console */
+'use strict'
+
+module.exports = {
+  up: async (migration, db) => {
+    const type = db.DataTypes
+
+    await migration.sequelize.transaction(async (transaction) => {
+      console.log('- Adding table for tracking when rescues were last reminded of overdue paperwork')
+      await migration.createTable('PaperworkReminders', {
+        rescueId: {
+          type: type.UUID,
+          primaryKey: true,
+          references: {
+            model: 'Rescues',
+            key: 'id',
+          },
+          onUpdate: 'cascade',
+          onDelete: 'cascade',
+        },
+        remindedAt: {
+          type: type.DATE,
+          allowNull: false,
+        },
+        createdAt: {
+          type: type.DATE,
+          allowNull: false,
+          defaultValue: type.NOW,
+        },
+        updatedAt: {
+          type: type.DATE,
+          allowNull: false,
+          defaultValue: type.NOW,
+        },
+      }, { transaction })
+
+      console.log('Committing Transaction..')
+    })
+  },
+
+  down: async (migration) => {
+    await migration.sequelize.transaction(async (transaction) => {
+      await migration.dropTable('PaperworkReminders', { transaction })
+    })
+  },
+}
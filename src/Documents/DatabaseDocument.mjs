@@ -1,4 +1,5 @@
-import Query from '../query'
+import { UnprocessableEntityAPIError } from '../classes/APIError'
+import Query, { CursorDirection, DatabaseQuery } from '../query'
 import View from '../view'
 import Document, { DocumentViewType } from './Document'
 
@@ -29,8 +30,19 @@ class DatabaseDocument extends Document {
     meta = {},
   }) {
     if (result && result.rows) {
+      const isKeysetPaginated = query instanceof DatabaseQuery && query.isKeysetPaginated
+      const { cursor } = query
+      if (cursor && !isKeysetPaginated) {
+        throw new UnprocessableEntityAPIError({ parameter: `page[${cursor.direction.description}]` })
+      }
+
+      let { rows } = result
+      if (query instanceof DatabaseQuery && query.cursor?.direction === CursorDirection.before) {
+        rows = [...rows].reverse()
+      }
+
       super({
-        objects: result.rows,
+        objects: rows,
         type,
         meta: { ...meta, ...query.meta },
         query,
@@ -50,11 +62,150 @@ class DatabaseDocument extends Document {
     this.#query = query
   }
 
+  /**
+   * Get whether the results this Document represents are paginated using page cursors rather than page numbers,
+   * which is the case when the results were found using the page cursor of the query, and the request used a page
+   * cursor or opted out of counting the total number of results
+   * @returns {boolean} whether the results are paginated using page cursors
+   */
+  get isCursorPagination () {
+    if (!this.#result || !this.#result.rows || this.#query instanceof DatabaseQuery === false) {
+      return false
+    }
+
+    if (!this.#query.isKeysetPaginated) {
+      return false
+    }
+
+    return Boolean(this.#query.cursor) || typeof this.#result.count === 'undefined'
+  }
+
+  /**
+   * Generate a page cursor link to the results following or preceding a result
+   * @param {object} arg function arguments object
+   * @param {CursorDirection} arg.direction the direction of the results relative to the result
+   * @param {object} arg.object the result to create a page cursor for
+   * @returns {string} A page cursor link
+   */
+  createResultCursor ({ direction, object }) {
+    const page = {
+      limit: this.#query.limit,
+      [direction.description]: this.#query.createCursor(object),
+    }
+
+    if (this.#query.includeCount === false) {
+      page.count = false
+    }
+    return this.createPageLink(page)
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get firstCursor () {
+    if (!this.isCursorPagination) {
+      return super.firstCursor
+    }
+
+    const page = { limit: this.#query.limit }
+    if (this.#query.includeCount === false) {
+      page.count = false
+    }
+    return this.createPageLink(page)
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get lastCursor () {
+    if (!this.isCursorPagination) {
+      return super.lastCursor
+    }
+
+    return undefined
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get currentCursor () {
+    if (!this.isCursorPagination) {
+      return super.currentCursor
+    }
+
+    const { after, before, count } = this.#query.page
+    const page = { limit: this.#query.limit }
+    if (after) {
+      page.after = after
+    }
+
+    if (before) {
+      page.before = before
+    }
+
+    if (count === false) {
+      page.count = count
+    }
+    return this.createPageLink(page)
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get previousCursor () {
+    if (!this.isCursorPagination) {
+      return super.previousCursor
+    }
+
+    const { objects } = this
+    const { cursor } = this.#query
+    if (objects.length === 0) {
+      return undefined
+    }
+
+    let hasPrevious = this.#query.offset > 0
+    if (cursor?.direction === CursorDirection.after) {
+      hasPrevious = true
+    } else if (cursor?.direction === CursorDirection.before) {
+      hasPrevious = objects.length >= this.#query.limit
+    }
+
+    if (!hasPrevious) {
+      return undefined
+    }
+    return this.createResultCursor({ direction: CursorDirection.before, object: objects[0] })
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get nextCursor () {
+    if (!this.isCursorPagination) {
+      return super.nextCursor
+    }
+
+    const { objects } = this
+    const { cursor } = this.#query
+    if (objects.length === 0) {
+      return undefined
+    }
+
+    let hasNext = objects.length >= this.#query.limit
+    if (cursor?.direction === CursorDirection.before) {
+      hasNext = true
+    }
+
+    if (!hasNext) {
+      return undefined
+    }
+    return this.createResultCursor({ direction: CursorDirection.after, object: objects[objects.length - 1] })
+  }
+
   /**
    * @inheritdoc
    */
   get firstPage () {
-    if (!this.#result || !this.#result.rows) {
+    if (!this.#result || !this.#result.rows || this.isCursorPagination) {
       return undefined
     }
 
@@ -65,7 +216,7 @@ class DatabaseDocument extends Document {
    * @inheritdoc
    */
   get lastPage () {
-    if (!this.#result || !this.#result.rows) {
+    if (!this.#result || !this.#result.rows || this.isCursorPagination) {
       return undefined
     }
 
@@ -76,7 +227,7 @@ class DatabaseDocument extends Document {
    * @inheritdoc
    */
   get currentPage () {
-    if (!this.#result || !this.#result.rows) {
+    if (!this.#result || !this.#result.rows || this.isCursorPagination) {
       return undefined
     }
 
@@ -87,7 +238,7 @@ class DatabaseDocument extends Document {
    * @inheritdoc
    */
   get previousPage () {
-    if (!this.#result || !this.#result.rows) {
+    if (!this.#result || !this.#result.rows || this.isCursorPagination) {
       return undefined
     }
 
@@ -106,7 +257,7 @@ class DatabaseDocument extends Document {
    * @inheritdoc
    */
   get nextPage () {
-    if (!this.#result || !this.#result.rows) {
+    if (!this.#result || !this.#result.rows || this.isCursorPagination) {
       return undefined
     }
 
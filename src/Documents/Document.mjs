@@ -96,6 +96,14 @@ class Document {
     return this.#type
   }
 
+  /**
+   * Get the type of view of a JSONAPI document
+   * @returns {DocumentViewType} the type of view of a JSONAPI document
+   */
+  get view () {
+    return this.#view
+  }
+
   /**
    * Get the errors section of the JSONAPI document
    * @returns {Array} the errors section of the JSONAPI document
@@ -304,9 +312,22 @@ class Document {
       return undefined
     }
 
+    return this.createPageLink({
+      size: this.#query.limit,
+      number: page,
+    })
+  }
+
+  /**
+   * Generate a link to a page of the results this Document represents
+   * @param {object} page page query parameters to add to the link, such as size and number
+   * @returns {string} A page link
+   */
+  createPageLink (page) {
     const url = new URL(this.self)
-    url.searchParams.append('page[size]', this.#query.limit)
-    url.searchParams.append('page[number]', page)
+    Object.entries(page).forEach(([key, value]) => {
+      url.searchParams.append(`page[${key}]`, value)
+    })
 
     const { sort } = this.query.connection.query
     if (sort) {
@@ -314,7 +335,7 @@ class Document {
     }
 
     if (this.query.fields) {
-      Object.entries(this.query.fields).forEach((entity, fields) => {
+      Object.entries(this.query.fields).forEach(([entity, fields]) => {
         url.searchParams.append(`fields[${entity}]`, fields.join(','))
       })
     }
@@ -117,6 +117,16 @@ export class ResetRequiredAPIError extends APIError {
   }
 }
 
+export class TwoFactorRequiredAPIError extends APIError {
+  get code () {
+    return StatusCode.forbidden
+  }
+
+  get status () {
+    return 'two_factor_required'
+  }
+}
+
 export class NotFoundAPIError extends APIError {
   get code () {
     return StatusCode.notFound
@@ -147,6 +157,30 @@ export class ConflictAPIError extends APIError {
   }
 }
 
+export class InvalidTransitionAPIError extends ConflictAPIError {
+  /**
+   * Create an API error for a resource that cannot make the requested state transition
+   * @param {object} source jsonapi source
+   * @param {object} arg function arguments object
+   * @param {string} arg.from the state the resource is currently in
+   * @param {string} arg.to the state the request tried to transition the resource to
+   */
+  constructor (source, { from, to }) {
+    super(source)
+
+    this.from = from
+    this.to = to
+  }
+
+  get status () {
+    return 'invalid_transition'
+  }
+
+  get detail () {
+    return i18next.t(`${this.status}.detail`, { from: this.from, to: this.to })
+  }
+}
+
 export class GoneAPIError extends APIError {
   get code () {
     return StatusCode.gone
@@ -157,6 +191,28 @@ export class GoneAPIError extends APIError {
   }
 }
 
+export class SuspendedAPIError extends GoneAPIError {
+  /**
+   * Create an API error for a user account that has been suspended
+   * @param {object} source jsonapi source
+   * @param {object} arg function arguments object
+   * @param {Date} arg.until the date the suspension of the account ends
+   */
+  constructor (source, { until }) {
+    super(source)
+
+    this.until = until
+  }
+
+  get status () {
+    return 'suspended'
+  }
+
+  get detail () {
+    return i18next.t(`${this.status}.detail`, { until: this.until.toISOString() })
+  }
+}
+
 export class PayloadTooLargeAPIError extends APIError {
   get code () {
     return StatusCode.payloadTooLarge
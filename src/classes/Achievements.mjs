@@ -0,0 +1,325 @@
+import Sequelize from 'sequelize'
+import {
+  Achievement, Rat, Rescue, User, db,
+} from '../db'
+import { logFailure } from '../logging/helpers'
+import Event, { listen } from './Event'
+
+const { Op } = Sequelize
+
+const secondMilliseconds = 1000
+const backfillInterval = 24 * 60 * 60 * secondMilliseconds
+const backfillBatchSize = 500
+
+/**
+ * Declarative definitions of the achievement badges, each awarded to users whose value of a metric reaches its
+ * threshold
+ * @type {[{badge: string, name: string, description: string, metric: string, threshold: number}]}
+ */
+const badges = [
+  {
+    badge: 'rescues-1',
+    name: 'First Rescue',
+    description: 'Was first limpet on a successful rescue',
+    metric: 'rescueCount',
+    threshold: 1,
+  },
+  {
+    badge: 'rescues-10',
+    name: '10 Rescues',
+    description: 'Was first limpet on 10 successful rescues',
+    metric: 'rescueCount',
+    threshold: 10,
+  },
+  {
+    badge: 'rescues-100',
+    name: '100 Rescues',
+    description: 'Was first limpet on 100 successful rescues',
+    metric: 'rescueCount',
+    threshold: 100,
+  },
+  {
+    badge: 'rescues-1000',
+    name: '1000 Rescues',
+    description: 'Was first limpet on 1000 successful rescues',
+    metric: 'rescueCount',
+    threshold: 1000,
+  },
+  {
+    badge: 'code-reds-1',
+    name: 'First Code Red',
+    description: 'Was first limpet on a successful code red rescue',
+    metric: 'codeRedCount',
+    threshold: 1,
+  },
+  {
+    badge: 'code-reds-10',
+    name: '10 Code Reds',
+    description: 'Was first limpet on 10 successful code red rescues',
+    metric: 'codeRedCount',
+    threshold: 10,
+  },
+  {
+    badge: 'code-reds-50',
+    name: '50 Code Reds',
+    description: 'Was first limpet on 50 successful code red rescues',
+    metric: 'codeRedCount',
+    threshold: 50,
+  },
+  {
+    badge: 'all-platforms',
+    name: 'Platform Hopper',
+    description: 'Was first limpet on a successful rescue on every platform',
+    metric: 'platformCount',
+    threshold: Rat.rawAttributes.platform.values.length,
+  },
+  {
+    badge: 'anniversary-1',
+    name: '1 Year a Rat',
+    description: 'Has been a Fuel Rat for 1 year',
+    metric: 'years',
+    threshold: 1,
+  },
+  {
+    badge: 'anniversary-2',
+    name: '2 Years a Rat',
+    description: 'Has been a Fuel Rat for 2 years',
+    metric: 'years',
+    threshold: 2,
+  },
+  {
+    badge: 'anniversary-3',
+    name: '3 Years a Rat',
+    description: 'Has been a Fuel Rat for 3 years',
+    metric: 'years',
+    threshold: 3,
+  },
+  {
+    badge: 'anniversary-5',
+    name: '5 Years a Rat',
+    description: 'Has been a Fuel Rat for 5 years',
+    metric: 'years',
+    threshold: 5,
+  },
+  {
+    badge: 'anniversary-10',
+    name: '10 Years a Rat',
+    description: 'Has been a Fuel Rat for 10 years',
+    metric: 'years',
+    threshold: 10,
+  },
+]
+
+/*
+* This query retrieves the metrics achievement badges are awarded for, for each of a list of users.
+* Rescue metrics only count successful rescues the user's rats were first limpet on, and the number of years a user
+* has been a rat is counted from the creation of their first rat, the same as for anniversaries.
+* */
+
+// language=PostgreSQL
+const achievementMetricsQuery = `
+SELECT
+	"Rats"."userId" AS "userId",
+	COUNT(DISTINCT "Rescues"."id") AS "rescueCount",
+	COUNT(DISTINCT "Rescues"."id") FILTER (WHERE "Rescues"."codeRed" = TRUE) AS "codeRedCount",
+	COUNT(DISTINCT "Rescues"."platform") AS "platformCount",
+	date_part('year', age(NOW(), min("Rats"."createdAt"))) AS "years"
+FROM "Rats"
+LEFT JOIN "Rescues" ON
+	"Rescues"."firstLimpetId" = "Rats"."id" AND
+	"Rescues"."deletedAt" IS NULL AND
+	"Rescues"."outcome" = 'success'
+WHERE
+	"Rats"."deletedAt" IS NULL AND
+	"Rats"."userId" = ANY($userIds)
+GROUP BY "Rats"."userId"
+`
+
+/**
+ * Class managing the achievement badges awarded to users for rescue milestones and anniversaries
+ */
+export default class Achievements {
+  /**
+   * Get the definitions of all achievement badges
+   * @returns {[{badge: string, name: string, description: string, metric: string, threshold: number}]} badges
+   */
+  static get badges () {
+    return badges
+  }
+
+  /**
+   * Get the definition of an achievement badge
+   * @param {string} badge the id of the badge
+   * @returns {object|undefined} the badge definition, or undefined if it does not exist
+   */
+  static findBadge (badge) {
+    return badges.find((definition) => {
+      return definition.badge === badge
+    })
+  }
+
+  /**
+   * Receive rescue update events and evaluate the achievements of the user whose rat was first limpet on the rescue
+   * @param {User} user the user that caused the event
+   * @param {string} id the id of the rescue
+   */
+  @listen('fuelrats.rescueupdate')
+  static onRescueUpdate (user, id) {
+    Achievements.evaluateRescue({ rescueId: id }).catch((error) => {
+      logFailure(error, `Failed to evaluate achievements for rescue ${id}`)
+    })
+  }
+
+  /**
+   * Evaluate the achievements of the user whose rat was first limpet on a successful rescue, announcing any newly
+   * awarded badges
+   * @param {object} arg function arguments object
+   * @param {string} arg.rescueId the id of the rescue
+   * @returns {Promise<[Achievement]>} the newly awarded achievements
+   */
+  static async evaluateRescue ({ rescueId }) {
+    const rescue = await Rescue.unscoped().findOne({
+      attributes: ['firstLimpetId', 'outcome'],
+      where: { id: rescueId },
+    })
+
+    if (!rescue || rescue.outcome !== 'success' || !rescue.firstLimpetId) {
+      return []
+    }
+
+    const rat = await Rat.unscoped().findOne({
+      attributes: ['userId'],
+      where: { id: rescue.firstLimpetId },
+    })
+
+    if (!rat?.userId) {
+      return []
+    }
+    return Achievements.evaluate({ userIds: [rat.userId], announce: true })
+  }
+
+  /**
+   * Award a list of users the achievement badges they have earned but not yet been awarded, badges awarded
+   * concurrently by another evaluation are skipped
+   * @param {object} arg function arguments object
+   * @param {[string]} arg.userIds the ids of the users to evaluate
+   * @param {boolean} [arg.announce] whether to broadcast a fuelrats.achievement event for each awarded badge
+   * @returns {Promise<[Achievement]>} the newly awarded achievements
+   */
+  static async evaluate ({ userIds, announce = false }) {
+    const metrics = await db.query(achievementMetricsQuery, {
+      bind: { userIds },
+      type: db.QueryTypes.SELECT,
+    })
+
+    const existingAchievements = await Achievement.findAll({
+      attributes: ['userId', 'badge'],
+      where: { userId: userIds },
+    })
+    const awarded = new Set(existingAchievements.map((achievement) => {
+      return `${achievement.userId}:${achievement.badge}`
+    }))
+
+    const earned = metrics.flatMap((userMetrics) => {
+      return badges.filter((definition) => {
+        return Number(userMetrics[definition.metric]) >= definition.threshold
+          && !awarded.has(`${userMetrics.userId}:${definition.badge}`)
+      }).map((definition) => {
+        return { userId: userMetrics.userId, badge: definition.badge }
+      })
+    })
+
+    if (earned.length === 0) {
+      return []
+    }
+
+    const results = (await Promise.all(earned.map((achievement) => {
+      return Achievement.create(achievement).catch((error) => {
+        if (error instanceof Sequelize.UniqueConstraintError) {
+          return undefined
+        }
+        throw error
+      })
+    }))).filter((achievement) => {
+      return achievement
+    })
+
+    if (results.length > 0 && announce) {
+      await Achievements.announce({ achievements: results })
+    }
+    return results
+  }
+
+  /**
+   * Broadcast a fuelrats.achievement event for each of a list of newly awarded achievements
+   * @param {object} arg function arguments object
+   * @param {[Achievement]} arg.achievements the newly awarded achievements
+   * @returns {Promise<undefined>} resolves a promise when the events have been broadcast
+   */
+  static async announce ({ achievements }) {
+    const users = await User.findAll({
+      where: {
+        id: [...new Set(achievements.map((achievement) => {
+          return achievement.userId
+        }))],
+      },
+    })
+
+    achievements.forEach((achievement) => {
+      const user = users.find((awardedUser) => {
+        return awardedUser.id === achievement.userId
+      })
+      const { name, description } = Achievements.findBadge(achievement.badge)
+
+      Event.broadcast('fuelrats.achievement', user, achievement.id, {
+        userId: achievement.userId,
+        preferredName: user?.preferredRat()?.name,
+        badge: achievement.badge,
+        name,
+        description,
+      })
+    })
+  }
+
+  /**
+   * Start periodically backfilling and announcing the achievements of all users, which also awards anniversary
+   * badges. The badges users earned before achievements were introduced should first be awarded once without being
+   * announced, using a historical backfill.
+   */
+  static scheduleBackfill () {
+    setInterval(() => {
+      Achievements.backfill().catch((error) => {
+        logFailure(error, 'Failed to backfill achievements')
+      })
+    }, backfillInterval)
+  }
+
+  /**
+   * Award every user with rats the achievement badges they have earned but not yet been awarded, in batches
+   * @param {object} [arg] function arguments object
+   * @param {boolean} [arg.announce] whether to broadcast a fuelrats.achievement event for each awarded badge, only
+   * disabled for a one-off historical backfill
+   * @returns {Promise<number>} the number of newly awarded achievements
+   */
+  static async backfill ({ announce = true } = {}) {
+    const rats = await Rat.unscoped().findAll({
+      attributes: [[db.fn('DISTINCT', db.col('userId')), 'userId']],
+      where: { userId: { [Op.ne]: null } },
+      raw: true,
+    })
+
+    const userIds = rats.map((rat) => {
+      return rat.userId
+    })
+
+    const batches = [...Array(Math.ceil(userIds.length / backfillBatchSize)).keys()].map((batch) => {
+      return userIds.slice(batch * backfillBatchSize, (batch + 1) * backfillBatchSize)
+    })
+
+    return batches.reduce(async (previousCount, batch) => {
+      const count = await previousCount
+      const results = await Achievements.evaluate({ userIds: batch, announce })
+      return count + results.length
+    }, Promise.resolve(0))
+  }
+}
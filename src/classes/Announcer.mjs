@@ -9,7 +9,7 @@ import config from '../config'
  * @param {string} params.key hmac secret key
  * @returns {string} an hmac signature for the message
  */
-function generateHmacSignature ({ contents, key }) {
+export function generateHmacSignature ({ contents, key }) {
   return crypto.createHmac('sha1', key).update(contents).digest('hex')
 }
 
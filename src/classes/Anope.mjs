@@ -7,6 +7,7 @@ import { ConflictAPIError, NotFoundAPIError } from './APIError'
 
 const { database, username, hostname, port } = config.anope
 const anopeBcryptRounds = 10
+const secondMilliseconds = 1000
 const defaultMaximumEditDistance = 5
 
 
@@ -316,6 +317,71 @@ class Anope {
       })
   }
 
+  /**
+   * Suspend an Anope account so that its nicknames can no longer be identified to on IRC
+   * @param {object} arg function arguments object
+   * @param {string} arg.email the email of the account to suspend
+   * @param {string} arg.reason the reason for the suspension
+   * @param {string} arg.suspendedBy the name of the moderator that suspended the account
+   * @param {Date} arg.expiresAt the date the suspension ends
+   * @returns {Promise<undefined>} resolves a promise when completed successfully
+   */
+  static suspendAccount ({ email, reason, suspendedBy, expiresAt }) {
+    return mysql.transaction(async (transaction) => {
+      await transaction.raw(`
+        UPDATE anope_db_NickCore
+        SET
+            NS_SUSPENDED = 1
+        WHERE
+            lower(anope_db_NickCore.email) = lower(:email)
+      `, { email })
+
+      await transaction.raw(`
+        DELETE anope_db_NSSuspendInfo.* FROM anope_db_NSSuspendInfo
+        LEFT JOIN anope_db_NickCore ON anope_db_NickCore.display = anope_db_NSSuspendInfo.nick
+        WHERE
+            lower(anope_db_NickCore.email) = lower(:email)
+      `, { email })
+
+      await transaction.raw(`
+        INSERT INTO anope_db_NSSuspendInfo (nick, \`by\`, reason, time, expires)
+        SELECT display, :suspendedBy, :reason, UNIX_TIMESTAMP(), :expires
+        FROM anope_db_NickCore
+        WHERE
+            lower(anope_db_NickCore.email) = lower(:email)
+      `, {
+        email,
+        suspendedBy,
+        reason,
+        expires: Math.floor(expiresAt.getTime() / secondMilliseconds),
+      })
+    })
+  }
+
+  /**
+   * Lift the suspension of an Anope account
+   * @param {string} email the email of the account to lift the suspension of
+   * @returns {Promise<undefined>} resolves a promise when completed successfully
+   */
+  static unsuspendAccount (email) {
+    return mysql.transaction(async (transaction) => {
+      await transaction.raw(`
+        DELETE anope_db_NSSuspendInfo.* FROM anope_db_NSSuspendInfo
+        LEFT JOIN anope_db_NickCore ON anope_db_NickCore.display = anope_db_NSSuspendInfo.nick
+        WHERE
+            lower(anope_db_NickCore.email) = lower(:email)
+      `, { email })
+
+      await transaction.raw(`
+        UPDATE anope_db_NickCore
+        SET
+            NS_SUSPENDED = 0
+        WHERE
+            lower(anope_db_NickCore.email) = lower(:email)
+      `, { email })
+    })
+  }
+
   /**
    * Remove a nickname from the Anope database
    * @param {string} nickname the nickname to remove
@@ -0,0 +1,98 @@
+import { AuditLog, Client, db } from '../db'
+import { Context } from './Context'
+
+/**
+ * Fields holding credentials or secrets that are never copied into audit log snapshots
+ * @type {[string]}
+ */
+const redactedFields = [
+  'password', 'secret', 'value', 'refreshToken', 'code', 'codeChallenge', 'recoveryCodes', 'image',
+]
+
+/**
+ * Create a snapshot of a resource to store in the audit log, without its credentials or secrets
+ * @param {db.Model|object} entity the resource
+ * @returns {object|null} snapshot of the resource
+ */
+function snapshot (entity) {
+  if (!entity) {
+    return null
+  }
+
+  let values = entity
+  if (typeof entity.get === 'function') {
+    values = entity.get({ plain: true })
+  }
+
+  return JSON.parse(JSON.stringify(values, (key, value) => {
+    if (redactedFields.includes(key)) {
+      return undefined
+    }
+    return value
+  }))
+}
+
+/**
+ * Get the ids of the user, the represented user, and the OAuth client responsible for a request
+ * @param {Context} ctx request context
+ * @returns {{userId: string|null, representedUserId: string|null, clientId: string|null}} the ids of the actors
+ */
+function actors (ctx) {
+  const { user, representedBy, client, clientId } = ctx.state
+
+  /* Requests authenticated as an OAuth client act on behalf of the user that owns the client */
+  if (client instanceof Client) {
+    return { userId: client.userId, representedUserId: null, clientId: client.id }
+  }
+
+  if (representedBy) {
+    return { userId: representedBy.id, representedUserId: user?.id ?? null, clientId: clientId ?? null }
+  }
+  return { userId: user?.id ?? null, representedUserId: null, clientId: clientId ?? null }
+}
+
+/**
+ * Class for recording privileged and administrative changes made to resources in the audit log
+ */
+export default class Audit {
+  /**
+   * Take a snapshot of a resource before changing it, to record in the audit log as it was before the change
+   * @param {db.Model|object} entity the resource
+   * @returns {object|null} snapshot of the resource
+   */
+  static snapshot (entity) {
+    return snapshot(entity)
+  }
+
+  /**
+   * Record a change made to a resource in the audit log
+   * @param {object} arg function arguments object
+   * @param {Context} arg.ctx request context of the change
+   * @param {string} arg.action the action performed, such as "update" or "relationships.groups.add"
+   * @param {string} arg.resourceType the JSONAPI type of the resource that was changed
+   * @param {string} arg.resourceId the id of the resource that was changed
+   * @param {db.Model|object} [arg.before] the resource before the change
+   * @param {db.Model|object} [arg.after] the resource after the change
+   * @param {db.Transaction} [arg.transaction] the transaction the change was made in
+   * @returns {Promise<AuditLog>} the audit log entry
+   */
+  static record ({
+    ctx,
+    action,
+    resourceType,
+    resourceId,
+    before = undefined,
+    after = undefined,
+    transaction = undefined,
+  }) {
+    return AuditLog.create({
+      ...actors(ctx),
+      action,
+      resourceType,
+      resourceId: resourceId ? String(resourceId) : null,
+      before: snapshot(before),
+      after: snapshot(after),
+      ip: ctx.request.ip ?? null,
+    }, { transaction })
+  }
+}
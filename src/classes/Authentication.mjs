@@ -1,7 +1,10 @@
 import bcrypt from 'bcrypt'
+import Sequelize from 'sequelize'
+import config from '../config'
 import {
-  User, Token, Client, Reset, db,
+  User, Token, Client, Reset, Session, TwoFactor, db,
 } from '../db'
+import { logFailure } from '../logging/helpers'
 
 import {
   GoneAPIError,
@@ -9,14 +12,21 @@ import {
   ResetRequiredAPIError,
   ForbiddenAPIError,
   NotFoundAPIError,
+  SuspendedAPIError,
+  TwoFactorRequiredAPIError,
 } from './APIError'
 import Anope from './Anope'
 import { Context } from './Context'
 import Permission from './Permission'
+import TOTP from './TOTP'
 import { UUID } from '../helpers/Validators'
 
+const { Op } = Sequelize
+
 const bearerTokenHeaderOffset = 7
 const basicAuthHeaderOffset = 6
+const tokenAccessUpdateInterval = 60 * 1000
+const enrolmentRequiredPermissions = ['users.write', 'resources.forcedelete']
 
 /**
  * @classdesc Class for handling authentication mechanisms
@@ -28,9 +38,14 @@ class Authentication {
    * @param {object} arg function arguments object
    * @param {string} arg.email the email of the user to authenticate
    * @param {string} arg.password the password of the user to authenticate
+   * @param {string} [arg.totp] two-factor authentication code or recovery code, if the user has enabled it
+   * @param {boolean} [arg.twoFactor] whether to verify the two-factor authentication code, callers that disable this
+   * must call verifyTwoFactor themselves before the user is considered authenticated
    * @returns {Promise<undefined|Promise<db.Model>>} A promise returning the authenticated user object
    */
-  static async passwordAuthenticate ({ email, password }) {
+  static async passwordAuthenticate ({
+    email, password, totp, twoFactor = true,
+  }) {
     if (!email || !password) {
       return undefined
     }
@@ -60,7 +75,11 @@ class Authentication {
       return undefined
     }
     if (user.isSuspended() === true) {
-      throw new GoneAPIError({ pointer: '/data/attributes/email' })
+      throw new SuspendedAPIError({ pointer: '/data/attributes/email' }, { until: user.suspended })
+    }
+
+    if (twoFactor) {
+      await Authentication.verifyTwoFactor({ user, code: totp })
     }
 
     if (bcrypt.getRounds(user.password) > global.BCRYPT_ROUNDS_COUNT) {
@@ -74,23 +93,125 @@ class Authentication {
     return User.findOne({ where: { email: { ilike: email } } })
   }
 
+  /**
+   * Require a valid two-factor authentication code or recovery code from a user that has enabled two-factor
+   * authentication
+   * @param {object} arg function arguments object
+   * @param {User} arg.user the user that is authenticating
+   * @param {string} [arg.code] the two-factor authentication code or recovery code provided by the user
+   * @returns {Promise<undefined>} resolves a promise if the user does not require two-factor authentication or the
+   * provided code is valid
+   */
+  static async verifyTwoFactor ({ user, code }) {
+    const twoFactor = await TwoFactor.findOne({ where: { userId: user.id, enabled: true } })
+    if (!twoFactor) {
+      return
+    }
+
+    if (!code) {
+      throw new TwoFactorRequiredAPIError({})
+    }
+
+    const verified = await Authentication.consumeTwoFactorCode({ twoFactor, code })
+    if (!verified) {
+      throw new UnauthorizedAPIError({})
+    }
+  }
+
+  /**
+   * Verify a two-factor authentication code or recovery code and mark it as used so it cannot be used again
+   * @param {object} arg function arguments object
+   * @param {TwoFactor} arg.twoFactor the two-factor authentication enrolment of the user
+   * @param {string} arg.code the two-factor authentication code or recovery code
+   * @returns {Promise<boolean>} whether the code was valid and unused
+   */
+  static async consumeTwoFactorCode ({ twoFactor, code }) {
+    const step = TOTP.verify({
+      secret: twoFactor.secret,
+      code,
+      lastUsedStep: twoFactor.lastUsedStep ? Number(twoFactor.lastUsedStep) : undefined,
+    })
+
+    if (typeof step !== 'undefined') {
+      /* Only succeed if no code of this or a later time step was used concurrently */
+      const [updatedCount] = await TwoFactor.update({ lastUsedStep: step }, {
+        where: {
+          id: twoFactor.id,
+          [Op.or]: [{ lastUsedStep: null }, { lastUsedStep: { [Op.lt]: step } }],
+        },
+      })
+      return updatedCount > 0
+    }
+
+    const recoveryCode = TOTP.findRecoveryCode({ code, hashes: twoFactor.recoveryCodes })
+    if (!recoveryCode) {
+      return false
+    }
+
+    const [updatedCount] = await TwoFactor.update({
+      recoveryCodes: db.fn('array_remove', db.col('recoveryCodes'), recoveryCode),
+    }, {
+      where: {
+        id: twoFactor.id,
+        recoveryCodes: { [Op.contains]: [recoveryCode] },
+      },
+    })
+    return updatedCount > 0
+  }
+
+  /**
+   * Withhold the administrative permissions of a user that has not enrolled in two-factor authentication, if
+   * enrolment is required for administrators
+   * @param {object} arg function arguments object
+   * @param {User} arg.user the authenticated user
+   * @param {[string]} arg.permissions the permissions available to the user on this connection
+   * @returns {Promise<[string]>} the permissions the user may use on this connection
+   */
+  static async enforceTwoFactorEnrolment ({ user, permissions }) {
+    const requiresEnrolment = permissions.some((permission) => {
+      return enrolmentRequiredPermissions.includes(permission)
+    })
+    if (!config.twoFactor.requireAdminEnrolment || !requiresEnrolment) {
+      return permissions
+    }
+
+    const enrolled = await TwoFactor.count({ where: { userId: user.id, enabled: true } })
+    if (enrolled > 0) {
+      return permissions
+    }
+
+    return permissions.filter((permission) => {
+      return enrolmentRequiredPermissions.includes(permission) === false
+    })
+  }
+
   /**
    * Perform Bearer authentication with an access token
    * @param {object} arg function arguments object
    * @param {string} arg.bearer the bearer access token to authenticate
-   * @returns {Promise<boolean|{scope: *, user: db.Model}>} A promise returning the authenticated user object
+   * @param {string} [arg.ip] the IP address the access token is used from
+   * @returns {Promise<boolean|{scope: *, user: db.Model, clientId: string, personalAccessToken: boolean}>} A promise
+   * returning the authenticated user object
    */
-  static async bearerAuthenticate ({ bearer }) {
+  static async bearerAuthenticate ({ bearer, ip }) {
     const token = await Token.findOne({ where: { value: bearer } })
-    if (!token) {
+    if (!token || token.isExpired() || !token.isAllowedAddress(ip)) {
       return false
     }
+
+    if (!token.lastAccess || Date.now() - token.lastAccess > tokenAccessUpdateInterval) {
+      const lastAccess = new Date()
+      Token.update({ lastAccess }, { where: { id: token.id } }).catch(logAccessUpdateFailure)
+      if (token.sessionId) {
+        Session.update({ lastAccess }, { where: { id: token.sessionId } }).catch(logAccessUpdateFailure)
+      }
+    }
     const userInstance = await User.findOne({
       where: { id: token.userId },
     })
 
     if (userInstance && userInstance.isSuspended()) {
-      throw new GoneAPIError({})
+      throw new SuspendedAPIError({}, { until: userInstance.suspended })
     }
 
     const user = await User.findOne({ where: { id: token.userId } })
@@ -98,25 +219,34 @@ class Authentication {
       user,
       scope: token.scope,
       clientId: token.clientId,
+      personalAccessToken: !token.clientId,
     }
   }
 
   /**
-   * Assert that client authentication is provided in the request
+   * Assert that client authentication is provided in the request, where allowed, public clients that cannot keep a
+   * client secret identify themselves with only the client_id parameter in the request body
    * @param {object} obj function arguments object
    * @param {Context} obj.connection connection object
+   * @param {boolean} [obj.allowPublic] whether public clients may identify themselves without their client secret
    * @returns {Promise<Client>}  OAuth client
    */
-  static requireClientAuthentication ({ connection }) {
+  static requireClientAuthentication ({ connection, allowPublic = false }) {
     const [clientId, clientSecret] = getBasicAuth(connection)
     if (clientId) {
       return Authentication.clientAuthenticate({ clientId, secret: clientSecret })
     }
+
+    const publicClientId = connection.request.body?.client_id
+    if (allowPublic && publicClientId) {
+      return Authentication.publicClientAuthenticate({ clientId: publicClientId })
+    }
     throw new UnauthorizedAPIError({})
   }
 
   /**
-   * Perform basic user authentication
+   * Perform basic user authentication, users that have enabled two-factor authentication provide their code in the
+   * X-Two-Factor-Code header
    * @param {object} obj function arguments object
    * @param {Context} obj.connection connection object
    * @returns {Promise<db.User|undefined>} authenticated user
@@ -124,7 +254,7 @@ class Authentication {
   static basicUserAuthentication ({ connection }) {
     const [email, password] = getBasicAuth(connection)
     if (email && password) {
-      return Authentication.passwordAuthenticate({ email, password })
+      return Authentication.passwordAuthenticate({ email, password, totp: connection.get('X-Two-Factor-Code') })
     }
     return undefined
   }
@@ -161,6 +291,29 @@ class Authentication {
     throw new UnauthorizedAPIError({})
   }
 
+  /**
+   * Identify a public OAuth client by its client id, only clients registered as public may authenticate without
+   * their client secret
+   * @param {object} arg function arguments object
+   * @param {string} arg.clientId the ID of the public OAuth client
+   * @returns {Promise<Client>} A promise returning the identified OAuth client object
+   */
+  static async publicClientAuthenticate ({ clientId }) {
+    if (typeof clientId !== 'string' || UUID.test(clientId) === false) {
+      throw new UnauthorizedAPIError({})
+    }
+
+    const client = await Client.scope('user').findByPk(clientId)
+    if (!client || client.public !== true) {
+      throw new UnauthorizedAPIError({})
+    }
+
+    if (client.user.isSuspended()) {
+      throw new GoneAPIError({})
+    }
+    return client
+  }
+
   /**
    * Perform all available authentication flows on a request context
    * @param {object} arg function arguments object
@@ -185,11 +338,12 @@ class Authentication {
 
     const bearerToken = getBearerToken(connection)
     if (bearerToken) {
-      const bearerCheck = await Authentication.bearerAuthenticate({ bearer: bearerToken })
+      const bearerCheck = await Authentication.bearerAuthenticate({ bearer: bearerToken, ip: connection.request.ip })
       if (bearerCheck) {
         connection.state.user = bearerCheck.user
         connection.state.scope = bearerCheck.scope
         connection.state.clientId = bearerCheck.clientId
+        connection.state.personalAccessToken = bearerCheck.personalAccessToken
         return true
       }
     }
@@ -256,12 +410,20 @@ class Authentication {
       return false
     }
 
+    ctx.state.representedBy = ctx.state.user
     ctx.state.user = representedUser
     return true
   }
 }
 
 
+/**
+ * Log a failure to record when an access token or session was last used
+ * @param {Error} error the error that occurred
+ */
+function logAccessUpdateFailure (error) {
+  logFailure(error, 'Failed to update last access time')
+}
 
 /**
  * Retrieve bearer token from a request object
@@ -118,6 +118,7 @@ export class Context {
     this.state.scope = client.scope
     this.state.user = client.user
     this.state.clientId = client.clientId
+    this.state.personalAccessToken = client.personalAccessToken
     this.state.permissions = client.permissions
     this.state.userAgent = client.req.headers['user-agent']
 
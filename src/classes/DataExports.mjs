@@ -0,0 +1,216 @@
+import Sequelize from 'sequelize'
+import workerpool from 'workerpool'
+import config from '../config'
+import {
+  Avatar, Client, DataExport, Decal, Epic, EpicUsers, Rat, Rescue, RescueRats, Ship, Token, User,
+} from '../db'
+import dataExportEmail from '../emails/dataexport'
+import { logFailure } from '../logging/helpers'
+import { ConflictAPIError } from './APIError'
+import Mail from './Mail'
+import Sessions from './Sessions'
+import { exportTokenGenerator } from './TokenGenerators'
+
+const { Op } = Sequelize
+
+const mail = new Mail()
+
+const secondMilliseconds = 1000
+const hourMilliseconds = 60 * 60 * secondMilliseconds
+const pendingExportTimeout = hourMilliseconds
+const pruneInterval = hourMilliseconds
+const jsonIndentation = 2
+
+/**
+ * Create a JSON file for a personal data export archive
+ * @param {string} name the name of the file
+ * @param {object|[object]} data the data to store in the file
+ * @returns {{name: string, data: string}} the file
+ */
+function jsonFile (name, data) {
+  return { name, data: JSON.stringify(data, undefined, jsonIndentation) }
+}
+
+/**
+ * Class managing the export of the personal data held on a user to a downloadable archive
+ */
+export default class DataExports {
+  static exportPool = workerpool.pool('./dist/workers/export.js')
+
+  /**
+   * Request a new personal data export for a user, replacing any previous export. The archive is built in the
+   * background and the user is emailed a download link once it is ready.
+   * @param {object} arg function arguments object
+   * @param {User} arg.user the user to export the personal data of
+   * @returns {Promise<DataExport>} the personal data export
+   */
+  static async create ({ user }) {
+    const pendingExport = await DataExport.findOne({
+      where: {
+        userId: user.id,
+        expiresAt: null,
+        createdAt: { [Op.gt]: new Date(Date.now() - pendingExportTimeout) },
+      },
+    })
+
+    if (pendingExport) {
+      throw new ConflictAPIError({ parameter: 'id' })
+    }
+
+    await DataExport.destroy({ where: { userId: user.id } })
+
+    const dataExport = await DataExport.create({
+      token: await exportTokenGenerator(),
+      userId: user.id,
+    })
+
+    DataExports.build({ dataExport, user }).catch((error) => {
+      logFailure(error, `Failed to export the personal data of ${user.email}`)
+      return dataExport.destroy()
+    }).catch((error) => {
+      logFailure(error, `Failed to remove the failed personal data export of ${user.email}`)
+    })
+
+    return dataExport
+  }
+
+  /**
+   * Build the archive of a personal data export in the export worker pool and email the user a download link
+   * @param {object} arg function arguments object
+   * @param {DataExport} arg.dataExport the personal data export
+   * @param {User} arg.user the user the personal data export belongs to
+   * @returns {Promise<undefined>} resolves a promise when the email has been sent
+   */
+  static async build ({ dataExport, user }) {
+    const files = await DataExports.collect({ user })
+    const archive = Buffer.from(await DataExports.exportPool.exec('createArchive', [files]))
+
+    const expiresAt = new Date(Date.now() + (config.dataExports.expiryHours * hourMilliseconds))
+    await dataExport.update({ archive, expiresAt })
+
+    await mail.send(dataExportEmail({ user, exportToken: dataExport.token, expiresAt }))
+  }
+
+  /**
+   * Collect the personal data held on a user into the files of a personal data export archive
+   * @param {object} arg function arguments object
+   * @param {User} arg.user the user to collect the personal data of
+   * @returns {Promise<[{name: string, data: string|Buffer}]>} the files of the archive
+   */
+  static async collect ({ user }) {
+    const userRecord = await User.unscoped().findOne({
+      attributes: { exclude: ['password', 'image'] },
+      where: { id: user.id },
+    })
+
+    const rats = await Rat.unscoped().findAll({ where: { userId: user.id } })
+    const ratIds = rats.map((rat) => {
+      return rat.id
+    })
+
+    const rescueRats = await RescueRats.findAll({
+      attributes: ['rescueId'],
+      where: { ratId: ratIds },
+    })
+    const epicUsers = await EpicUsers.findAll({
+      attributes: ['epicId'],
+      where: { userId: user.id },
+    })
+
+    const [ships, rescues, epics, decals, sessions, tokens, avatar] = await Promise.all([
+      Ship.findAll({ where: { ratId: ratIds } }),
+      Rescue.findAll({
+        where: {
+          [Op.or]: [
+            {
+              id: rescueRats.map((rescueRat) => {
+                return rescueRat.rescueId
+              }),
+            },
+            { firstLimpetId: ratIds },
+          ],
+        },
+      }),
+      Epic.findAll({
+        where: {
+          [Op.or]: [
+            {
+              id: epicUsers.map((epicUser) => {
+                return epicUser.epicId
+              }),
+            },
+            { nominatedById: user.id },
+          ],
+        },
+      }),
+      Decal.findAll({ where: { userId: user.id } }),
+      Sessions.findAll({ user }),
+      Token.unscoped().findAll({
+        attributes: ['id', 'scope', 'clientId', 'expiresAt', 'lastAccess', 'createdAt'],
+        where: { userId: user.id, clientId: { [Op.ne]: null } },
+      }),
+      Avatar.scope('data').findOne({ where: { userId: user.id } }),
+    ])
+
+    const clients = await Client.findAll({
+      attributes: ['id', 'name'],
+      where: {
+        id: [...new Set(tokens.map((token) => {
+          return token.clientId
+        }))],
+      },
+    })
+    const clientNames = new Map(clients.map((client) => {
+      return [client.id, client.name]
+    }))
+    const authorizations = tokens.map((token) => {
+      return { ...token.toJSON(), clientName: clientNames.get(token.clientId) }
+    })
+
+    const files = [
+      jsonFile('user.json', userRecord),
+      jsonFile('rats.json', rats),
+      jsonFile('ships.json', ships),
+      jsonFile('rescues.json', rescues),
+      jsonFile('epics.json', epics),
+      jsonFile('decals.json', decals),
+      jsonFile('sessions.json', sessions),
+      jsonFile('authorizations.json', authorizations),
+    ]
+
+    if (avatar) {
+      files.push({ name: 'avatar.jpg', data: avatar.image })
+    }
+    return files
+  }
+
+  /**
+   * Start periodically pruning expired personal data exports
+   */
+  static schedulePruning () {
+    setInterval(() => {
+      DataExports.prune().catch((error) => {
+        logFailure(error, 'Failed to prune personal data exports')
+      })
+    }, pruneInterval)
+  }
+
+  /**
+   * Delete personal data exports whose download link has expired, and exports whose archive failed to be built in time
+   * @returns {Promise<number>} the number of personal data exports that were deleted
+   */
+  static prune () {
+    const now = Date.now()
+    return DataExport.destroy({
+      where: {
+        [Op.or]: [
+          { expiresAt: { [Op.lt]: new Date(now) } },
+          {
+            expiresAt: null,
+            createdAt: { [Op.lt]: new Date(now - pendingExportTimeout) },
+          },
+        ],
+      },
+    })
+  }
+}
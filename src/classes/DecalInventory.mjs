@@ -0,0 +1,387 @@
+import config from '../config'
+import {
+  Decal, DecalIssuance, User, db,
+} from '../db'
+import decalEligibilityEmail from '../emails/decal'
+import { FrontierRedeemCode } from '../helpers/Validators'
+import { logFailure } from '../logging/helpers'
+import { InternalServerError } from './APIError'
+import Announcer from './Announcer'
+import Audit from './Audit'
+import { Context } from './Context'
+import Mail from './Mail'
+
+const mail = new Mail()
+
+const originalDecalDeadline = '2016-04-01 00:00:00+00'
+const minimumRescueCount = 10
+const secondMilliseconds = 1000
+const issuanceCheckInterval = 60 * 60 * secondMilliseconds
+const eligibilityBatchSize = 25
+
+/*
+* This query retrieves the number of decals the user is eligible to redeem.
+* A user is granted 1 decal per rat (CMDR) that had 10 rescues or more before the start of the current month.
+* This excludes rats that had a rescue before April 2016 as those were already granted a decal using a previous giveaway
+* The number of rescue decals already redeemed by the user is subtracted from the count.
+* */
+
+// language=PostgreSQL
+const decalEligibilityQuery = `
+WITH "EligibleRats" AS (
+	SELECT
+		COUNT(DISTINCT "Rescues"."id") AS "count",
+		COUNT(DISTINCT "Decals"."id") AS "existingDecals"
+	FROM "Users"
+	LEFT JOIN "Rats" ON "Rats"."userId" = "Users"."id" AND "Rats"."deletedAt" IS NULL
+	LEFT JOIN "Rescues" ON "Rescues"."firstLimpetId" = "Rats"."id" AND "Rescues"."deletedAt" IS NULL
+	LEFT JOIN "Decals" ON "Decals"."userId" = "Users"."id" AND "Decals"."type" = 'Rescues'
+	WHERE
+		NOT EXISTS (
+			SELECT NULL FROM "Rescues" WHERE
+				"Rescues"."firstLimpetId" = "Rats"."id" AND
+				"Rescues"."deletedAt" IS NULL AND
+				"Rescues"."outcome" = 'success' AND
+				"Rescues"."createdAt" < $originalDecalDeadline
+		) AND
+		"Users"."id" = $userId AND
+		"Rescues"."outcome" = 'success' AND
+		"Rescues"."createdAt" < $monthTurnOver
+	GROUP BY "Rats"."id"
+    HAVING COUNT(DISTINCT "Rescues"."id") >= $minimumRescueCount
+)
+
+SELECT COUNT("EligibleRats"."count") - min("existingDecals") AS "canRedeem"
+FROM "EligibleRats"
+`
+
+/*
+* This query retrieves the users that have at least one rat with enough successful rescues before the start of the
+* current month to be granted a decal, narrowing down the users the eligibility query has to be run for.
+* */
+
+// language=PostgreSQL
+const decalCandidatesQuery = `
+SELECT DISTINCT "Rats"."userId" AS "userId"
+FROM "Rats"
+INNER JOIN "Rescues" ON "Rescues"."firstLimpetId" = "Rats"."id" AND "Rescues"."deletedAt" IS NULL
+WHERE
+	"Rats"."deletedAt" IS NULL AND
+	"Rats"."userId" IS NOT NULL AND
+	"Rescues"."outcome" = 'success' AND
+	"Rescues"."createdAt" < $monthTurnOver
+GROUP BY "Rats"."id", "Rats"."userId"
+HAVING COUNT(DISTINCT "Rescues"."id") >= $minimumRescueCount
+`
+
+/**
+ * Parse the decal codes from a CSV file with one code per row in the first column, ignoring a header row
+ * @param {string} csv the CSV file contents
+ * @returns {[string]} the decal codes
+ */
+function parseCodes (csv) {
+  return csv.split(/\r?\n/u).map((row) => {
+    const [column = ''] = row.split(',')
+    return column.trim().replace(/^"|"$/gu, '').toUpperCase()
+  }).filter((code, index) => {
+    return code.length > 0 && !(index === 0 && code === 'CODE')
+  })
+}
+
+/**
+ * Class managing the inventory of decal codes, their redemption, and the monthly issuance of rescue decals
+ */
+export default class DecalInventory {
+  /**
+   * Get a date object for the exact start of the current month
+   * @returns {Date} date object for the start of the current month
+   */
+  static getLastMonthTurnOver () {
+    const date = new Date()
+    date.setUTCDate(1)
+    date.setUTCHours(0)
+    date.setUTCMinutes(0)
+    date.setUTCSeconds(0)
+    date.setUTCMilliseconds(0)
+    return date
+  }
+
+  /**
+   * Get a user's eligible decal count
+   * @param {object} arg function arguments object
+   * @param {User} arg.user the user to check
+   * @returns {Promise<number>} the number of decals the user is eligible to redeem
+   */
+  static async getEligibleDecalCount ({ user }) {
+    const { id: userId } = user
+    const monthTurnOver = DecalInventory.getLastMonthTurnOver()
+
+    const [result] = await db.query(decalEligibilityQuery, {
+      bind: { userId, originalDecalDeadline, monthTurnOver, minimumRescueCount },
+      type: db.QueryTypes.SELECT,
+    })
+
+    const { canRedeem } = result ?? {}
+    return Number(canRedeem) || 0
+  }
+
+  /**
+   * Claim an unclaimed rescue decal code for a user, warning the tech team when the inventory is running low
+   * @param {object} arg function arguments object
+   * @param {Context} arg.ctx request context
+   * @param {User} arg.user the user to claim a decal for
+   * @returns {Promise<Decal>} the claimed decal
+   */
+  static async claim ({ ctx, user }) {
+    const type = 'Rescues'
+
+    const result = await db.transaction(async (transaction) => {
+      const availableDecal = await Decal.findOne({
+        where: {
+          userId: null,
+          claimedAt: null,
+          type,
+        },
+        lock: transaction.LOCK.UPDATE,
+        skipLocked: true,
+        transaction,
+      })
+
+      if (!availableDecal) {
+        return undefined
+      }
+
+      const before = availableDecal.toJSON()
+      await availableDecal.update({
+        userId: user.id,
+        claimedAt: Date.now(),
+      }, { transaction })
+
+      await Audit.record({
+        ctx,
+        action: 'redeem',
+        resourceType: 'decals',
+        resourceId: availableDecal.id,
+        before,
+        after: availableDecal,
+        transaction,
+      })
+      return availableDecal
+    })
+
+    const available = await DecalInventory.availableCount({ type })
+    if (!result || available === 0 || available === config.decals.lowStockThreshold) {
+      DecalInventory.sendLowStockAlert({ type, available }).catch((error) => {
+        logFailure(error, 'Failed to send decal low stock alert')
+      })
+    }
+
+    if (!result) {
+      throw new InternalServerError({})
+    }
+    return result
+  }
+
+  /**
+   * Import decal codes from a CSV file, skipping invalid codes and codes that are already in the inventory
+   * @param {object} arg function arguments object
+   * @param {Context} arg.ctx request context
+   * @param {string} arg.type the type of decal the codes are for
+   * @param {string} arg.csv the CSV file contents
+   * @returns {Promise<{type: string, imported: number, duplicates: number, invalid: [string]}>} import summary
+   */
+  static async importCodes ({ ctx, type, csv }) {
+    const codes = parseCodes(csv)
+    const invalid = codes.filter((code) => {
+      return !code.match(FrontierRedeemCode)
+    })
+    const validCodes = [...new Set(codes.filter((code) => {
+      return !invalid.includes(code)
+    }))]
+
+    const imported = await db.transaction(async (transaction) => {
+      const existingDecals = await Decal.findAll({
+        attributes: ['code'],
+        where: { code: validCodes },
+        paranoid: false,
+        transaction,
+      })
+      const existingCodes = existingDecals.map((decal) => {
+        return decal.code
+      })
+
+      const newCodes = validCodes.filter((code) => {
+        return !existingCodes.includes(code)
+      })
+
+      await Decal.bulkCreate(newCodes.map((code) => {
+        return { code, type }
+      }), { validate: true, transaction })
+
+      await Audit.record({
+        ctx,
+        action: 'import',
+        resourceType: 'decals',
+        after: { type, codes: newCodes.length },
+        transaction,
+      })
+      return newCodes.length
+    })
+
+    return {
+      type,
+      imported,
+      duplicates: codes.length - invalid.length - imported,
+      invalid,
+    }
+  }
+
+  /**
+   * Get the number of decal codes in the inventory for each type of decal
+   * @returns {Promise<[{type: string, total: number, claimed: number, available: number}]>} inventory counts
+   */
+  static async counts () {
+    const results = await Decal.findAll({
+      attributes: [
+        'type',
+        [db.fn('COUNT', db.col('id')), 'total'],
+        [db.fn('COUNT', db.col('userId')), 'claimed'],
+      ],
+      group: ['type'],
+      order: [['type', 'ASC']],
+      raw: true,
+    })
+
+    return results.map((result) => {
+      const total = Number(result.total)
+      const claimed = Number(result.claimed)
+      return {
+        type: result.type,
+        total,
+        claimed,
+        available: total - claimed,
+      }
+    })
+  }
+
+  /**
+   * Get the number of unclaimed decal codes of a type
+   * @param {object} arg function arguments object
+   * @param {string} arg.type the type of decal
+   * @returns {Promise<number>} the number of unclaimed decal codes
+   */
+  static availableCount ({ type }) {
+    return Decal.count({
+      where: {
+        userId: null,
+        claimedAt: null,
+        type,
+      },
+    })
+  }
+
+  /**
+   * Warn the tech team that the inventory of a type of decal is running low
+   * @param {object} arg function arguments object
+   * @param {string} arg.type the type of decal
+   * @param {number} arg.available the number of unclaimed decal codes
+   * @param {number} [arg.demand] the number of decals users are currently eligible to redeem
+   * @returns {Promise<undefined>} resolves a promise when the alert has been sent
+   */
+  static sendLowStockAlert ({ type, available, demand = undefined }) {
+    const demandMessage = demand ? `, ${demand} can currently be redeemed by eligible users` : ''
+    return Announcer.sendTechnicalMessage({
+      message: `[Decals] Only ${available} unclaimed ${type} decal codes are left${demandMessage}, please import more`,
+    })
+  }
+
+  /**
+   * Start periodically checking whether the rescue decals for the current month have been issued
+   */
+  static scheduleIssuance () {
+    setInterval(() => {
+      DecalInventory.issue().catch((error) => {
+        logFailure(error, 'Failed to issue monthly rescue decals')
+      })
+    }, issuanceCheckInterval)
+  }
+
+  /**
+   * Get the number of rescue decals each of a list of users is eligible to redeem, checking the users in batches
+   * @param {object} arg function arguments object
+   * @param {[User]} arg.users the users to check
+   * @returns {Promise<[{user: User, count: number}]>} the users that are eligible to redeem decals, and how many
+   */
+  static findEligibleUsers ({ users }) {
+    const batches = [...Array(Math.ceil(users.length / eligibilityBatchSize)).keys()].map((batch) => {
+      return users.slice(batch * eligibilityBatchSize, (batch + 1) * eligibilityBatchSize)
+    })
+
+    return batches.reduce(async (previousUsers, batch) => {
+      const eligibleUsers = await previousUsers
+      const counts = await Promise.all(batch.map(async (user) => {
+        return { user, count: await DecalInventory.getEligibleDecalCount({ user }) }
+      }))
+
+      return eligibleUsers.concat(counts.filter(({ count }) => {
+        return count > 0
+      }))
+    }, Promise.resolve([]))
+  }
+
+  /**
+   * Email every user that is eligible to redeem rescue decals a redeem link, once per month. The emails are only sent
+   * once the issuance of the month has been committed, so a failed issuance is retried on the next check without
+   * emailing anyone twice.
+   * @returns {Promise<number|undefined>} the number of users that were emailed, or undefined if the decals for the
+   * current month have already been issued
+   */
+  static async issue () {
+    const month = DecalInventory.getLastMonthTurnOver()
+    const eligibleUsers = await db.transaction(async (transaction) => {
+      const [issuance, created] = await DecalIssuance.findOrCreate({ where: { month }, transaction })
+      if (!created) {
+        return undefined
+      }
+
+      const candidates = await db.query(decalCandidatesQuery, {
+        bind: { monthTurnOver: month, minimumRescueCount },
+        type: db.QueryTypes.SELECT,
+      })
+
+      const users = await User.findAll({
+        where: {
+          id: candidates.map((candidate) => {
+            return candidate.userId
+          }),
+        },
+      })
+
+      const eligible = await DecalInventory.findEligibleUsers({ users })
+      await issuance.update({ notifiedCount: eligible.length, completedAt: new Date() }, { transaction })
+      return eligible
+    })
+
+    if (!eligibleUsers) {
+      return undefined
+    }
+
+    eligibleUsers.forEach(({ user, count }) => {
+      mail.send(decalEligibilityEmail({ user, count })).catch((error) => {
+        logFailure(error, `Failed to send decal eligibility email to ${user.email}`)
+      })
+    })
+
+    const notifiedCount = eligibleUsers.length
+    const demand = eligibleUsers.reduce((acc, { count }) => {
+      return acc + count
+    }, 0)
+
+    const type = 'Rescues'
+    const available = await DecalInventory.availableCount({ type })
+    if (available < demand || available <= config.decals.lowStockThreshold) {
+      await DecalInventory.sendLowStockAlert({ type, available, demand })
+    }
+    return notifiedCount
+  }
+}
@@ -0,0 +1,142 @@
+import config from '../config'
+import {
+  Epic, EpicReview, EpicUsers, User, db,
+} from '../db'
+import epicDecisionEmail from '../emails/epic'
+import { logFailure } from '../logging/helpers'
+import { ForbiddenAPIError, InvalidTransitionAPIError } from './APIError'
+import Announcer from './Announcer'
+import Audit from './Audit'
+import { Context } from './Context'
+import Mail from './Mail'
+
+const mail = new Mail()
+
+const decisionStatus = {
+  approve: 'approved',
+  reject: 'rejected',
+}
+
+/**
+ * Get the display name of a user
+ * @param {User} user the user
+ * @returns {string} the name of the user's preferred rat, or their id if they have no rats
+ */
+function userName (user) {
+  return user.preferredRat()?.name ?? user.id
+}
+
+/**
+ * Class managing the review of epic nominations, where reviewers vote to approve or reject a nomination until the
+ * configured quorum of votes for either decision is reached
+ */
+export default class EpicReviews {
+  /**
+   * Cast a reviewer's vote on a pending epic nomination, replacing their previous vote, and decide the nomination if
+   * the vote brings either decision to the quorum
+   * @param {object} arg function arguments object
+   * @param {Context} arg.ctx request context of the reviewer
+   * @param {string} arg.epicId the id of the epic nomination
+   * @param {string} arg.decision the decision the reviewer votes for, "approve" or "reject"
+   * @param {string} arg.comment the reviewer's comment on the nomination
+   * @returns {Promise<undefined>} resolves a promise when the vote has been cast
+   */
+  static async review ({
+    ctx, epicId, decision, comment,
+  }) {
+    const reviewer = ctx.state.representedBy ?? ctx.state.user
+
+    const result = await db.transaction(async (transaction) => {
+      const epic = await Epic.unscoped().findOne({
+        where: { id: epicId },
+        lock: transaction.LOCK.UPDATE,
+        transaction,
+      })
+
+      if (epic.status !== 'pending') {
+        throw new InvalidTransitionAPIError({ parameter: 'id' }, { from: epic.status, to: decisionStatus[decision] })
+      }
+
+      const nominees = await EpicUsers.findAll({
+        attributes: ['userId'],
+        where: { epicId },
+        transaction,
+      })
+      const nomineeIds = nominees.map((nominee) => {
+        return nominee.userId
+      })
+
+      if ([epic.nominatedById, ...nomineeIds].includes(reviewer.id)) {
+        throw new ForbiddenAPIError({ parameter: 'id' })
+      }
+
+      await EpicReview.destroy({ where: { epicId, reviewerId: reviewer.id }, transaction })
+      await EpicReview.create({
+        decision,
+        comment,
+        epicId,
+        reviewerId: reviewer.id,
+      }, { transaction })
+
+      const votes = await EpicReview.count({ where: { epicId, decision }, transaction })
+      const before = epic.toJSON()
+      if (votes >= config.epics.reviewQuorum) {
+        await epic.update({
+          status: decisionStatus[decision],
+          approvedById: decision === 'approve' ? reviewer.id : null,
+        }, { transaction })
+      }
+
+      await Audit.record({
+        ctx,
+        action: decision,
+        resourceType: 'epics',
+        resourceId: epic.id,
+        before,
+        after: epic,
+        transaction,
+      })
+      return { epic, nomineeIds }
+    })
+
+    if (result.epic.status !== 'pending') {
+      EpicReviews.notify({
+        epic: result.epic, nomineeIds: result.nomineeIds, reviewer, comment,
+      }).catch((error) => {
+        logFailure(error, `Failed to send notifications for the review of epic nomination ${epicId}`)
+      })
+    }
+  }
+
+  /**
+   * Notify the nominees and the nominator of an epic nomination, and the moderators, of its review decision
+   * @param {object} arg function arguments object
+   * @param {Epic} arg.epic the decided epic nomination
+   * @param {[string]} arg.nomineeIds the ids of the nominated users
+   * @param {User} arg.reviewer the reviewer who cast the deciding vote
+   * @param {string} arg.comment the comment of the reviewer who cast the deciding vote
+   * @returns {Promise<undefined>} resolves a promise when the notifications have been sent
+   */
+  static async notify ({
+    epic, nomineeIds, reviewer, comment,
+  }) {
+    const users = await User.findAll({
+      where: { id: [...new Set([...nomineeIds, epic.nominatedById])] },
+    })
+
+    const approved = epic.status === 'approved'
+    const nomineeNames = users.filter((user) => {
+      return nomineeIds.includes(user.id)
+    }).map(userName)
+
+    await Announcer.sendModeratorMessage({
+      message: `[Epic] The epic nomination of ${nomineeNames.join(', ')} has been ${epic.status} by ${userName(reviewer)}`,
+    })
+
+    await Promise.all(users.map((user) => {
+      return mail.send(epicDecisionEmail({
+        user, nomineeNames, approved, comment,
+      }))
+    }))
+  }
+}
@@ -0,0 +1,266 @@
+import Sequelize from 'sequelize'
+import DatabaseDocument from '../Documents/DatabaseDocument'
+import Document, { DocumentViewType } from '../Documents/Document'
+import config from '../config'
+import { EventLogEntry, User } from '../db'
+import { logFailure } from '../logging/helpers'
+import Query from '../query'
+import * as views from '../view'
+import { Context } from './Context'
+import Event, { listen } from './Event'
+
+const { Op } = Sequelize
+
+const eventCursorPattern = /^[0-9]+$/u
+
+/**
+ * Deliveries of events to subscribers are chained so that events are delivered in the order they were broadcast,
+ * while the events themselves are appended to the event log concurrently
+ * @type {Promise<undefined>}
+ */
+let deliveryQueue = Promise.resolve()
+
+/**
+ * Events held back from subscribers that are still replaying the events they missed, mapped by subscriber
+ * @type {WeakMap<object, [EventLogEntry]>}
+ */
+const heldEvents = new WeakMap()
+
+/**
+ * Find the JSONAPI view for a resource type
+ * @param {string} resourceType JSONAPI resource type
+ * @returns {object|undefined} the JSONAPI view for the resource type
+ */
+function findView (resourceType) {
+  return Object.values(views).find((view) => {
+    return view.type === resourceType
+  })
+}
+
+/**
+ * Send event log entries in order, skipping those at or before the cursor and any that were already sent, events
+ * that could not be logged have no id and are always sent
+ * @param {object} arg function arguments object
+ * @param {number} arg.since the id of the last event that was sent
+ * @param {[EventLogEntry]} arg.entries the event log entries to send
+ * @param {Function} arg.send function sending an event log entry
+ * @returns {number} the id of the last event that was sent
+ */
+function sendNewEntries ({ since, entries, send }) {
+  return entries.reduce((lastEventId, entry) => {
+    if (!entry.id) {
+      send(entry)
+      return lastEventId
+    }
+
+    const id = Number(entry.id)
+    if (id <= lastEventId) {
+      return lastEventId
+    }
+
+    send(entry)
+    return id
+  }, since)
+}
+
+/**
+ * Persisted log of the API's fuelrats.* events with monotonically increasing ids, bounded to the configured number
+ * of most recent events, allowing WebSocket and SSE clients to resume from the last event they received.
+ */
+export default class EventLog {
+  /**
+   * Receive all API events, append them to the event log, and announce them to the live subscribers listening to
+   * eventlog.deliver with their event log id attached. Events that could not be appended to the event log are still
+   * announced, without an id.
+   * @param {User} user the user that caused the event
+   * @param {string} id the id of the resource the event is for
+   * @param {object} data the event data
+   */
+  @listen('fuelrats.*')
+  static onEvent (user, id, data) {
+    const { event } = this
+    const entry = EventLog.createEntry({ event, user, id, data })
+    const appended = EventLog.append(entry).catch((error) => {
+      logFailure(error, `Failed to append event ${event} to the event log`)
+      return EventLogEntry.build(entry)
+    })
+
+    deliveryQueue = deliveryQueue.then(() => {
+      return appended
+    }).then((result) => {
+      Event.broadcast('eventlog.deliver', result)
+    }).catch((error) => {
+      logFailure(error, `Failed to deliver event ${event}`)
+    })
+  }
+
+  /**
+   * Create the fields of the event log entry of an event
+   * @param {object} arg function arguments object
+   * @param {string} arg.event the event name
+   * @param {User} arg.user the user that caused the event
+   * @param {string} arg.id the id of the resource the event is for
+   * @param {object} arg.data the event data
+   * @returns {object} the fields of the event log entry
+   */
+  static createEntry ({ event, user, id, data }) {
+    const entry = {
+      event,
+      userId: user?.id ?? null,
+      resourceId: id ?? null,
+      data: data ?? null,
+    }
+
+    if (data instanceof Document) {
+      entry.resourceType = data.type.type
+      entry.documentView = data.view.description
+      entry.data = data.objects
+    }
+    return entry
+  }
+
+  /**
+   * Append an event to the event log, and remove the events that no longer fit in it in the background
+   * @param {object} entry the fields of the event log entry
+   * @returns {Promise<EventLogEntry>} the event log entry
+   */
+  static async append (entry) {
+    const result = await EventLogEntry.create(entry)
+    EventLogEntry.destroy({
+      where: {
+        id: { [Op.lte]: Number(result.id) - config.eventLog.size },
+      },
+    }).catch((error) => {
+      logFailure(error, 'Failed to remove old events from the event log')
+    })
+    return result
+  }
+
+  /**
+   * Parse an event id sent by a client as the cursor of the last event it received
+   * @param {string} value the event id
+   * @returns {number|undefined} the event cursor, or undefined if the value is not a valid event id
+   */
+  static parseCursor (value) {
+    if (typeof value !== 'string' || eventCursorPattern.test(value) === false) {
+      return undefined
+    }
+    return Number(value)
+  }
+
+  /**
+   * Get the events logged after an event cursor
+   * @param {number} since the id of the last event the client received
+   * @returns {Promise<{entries: [EventLogEntry], complete: boolean}>} the events logged after the cursor, and whether
+   * they are all the events since the cursor or older ones have already been removed from the event log
+   */
+  static async findSince (since) {
+    const entries = await EventLogEntry.findAll({
+      where: {
+        id: { [Op.gt]: since },
+      },
+      order: [['id', 'ASC']],
+    })
+
+    const oldestId = await EventLogEntry.min('id')
+    let complete = true
+    if (oldestId) {
+      complete = Number(oldestId) <= since + 1
+    }
+
+    return { entries, complete }
+  }
+
+  /**
+   * Send a logged event to a subscriber, or hold it back if the subscriber is still replaying missed events
+   * @param {object} arg function arguments object
+   * @param {object} arg.subscriber a WebSocket client or SSE stream
+   * @param {EventLogEntry} arg.entry the event log entry
+   * @param {Function} arg.send function sending an event log entry to the subscriber
+   */
+  static deliver ({ subscriber, entry, send }) {
+    if (heldEvents.has(subscriber)) {
+      heldEvents.get(subscriber).push(entry)
+      return
+    }
+    send(entry)
+  }
+
+  /**
+   * Start holding back events from a subscriber that is going to replay the events it missed, so that it does not
+   * receive new events before the missed ones
+   * @param {object} subscriber a WebSocket client or SSE stream
+   */
+  static hold (subscriber) {
+    if (!heldEvents.has(subscriber)) {
+      heldEvents.set(subscriber, [])
+    }
+  }
+
+  /**
+   * Stop holding back events from a subscriber
+   * @param {object} subscriber a WebSocket client or SSE stream
+   * @returns {[EventLogEntry]} the events that were held back
+   */
+  static release (subscriber) {
+    const entries = heldEvents.get(subscriber) ?? []
+    heldEvents.delete(subscriber)
+    return entries
+  }
+
+  /**
+   * Replay the events a subscriber missed after an event cursor, followed by the events that were held back while
+   * replaying, skipping any event the subscriber would otherwise receive twice
+   * @param {object} arg function arguments object
+   * @param {object} arg.subscriber a WebSocket client or SSE stream
+   * @param {number} arg.since the id of the last event the subscriber received
+   * @param {Function} arg.send function sending an event log entry to the subscriber
+   * @returns {Promise<{since: number, lastEventId: number, count: number, complete: boolean}>} the result of the replay
+   */
+  static async resume ({ subscriber, since, send }) {
+    EventLog.hold(subscriber)
+
+    let replay = { entries: [], complete: false }
+    let lastEventId = since
+    try {
+      replay = await EventLog.findSince(since)
+    } finally {
+      const entries = replay.entries.concat(EventLog.release(subscriber))
+      lastEventId = sendNewEntries({ since, entries, send })
+    }
+
+    return {
+      since,
+      lastEventId,
+      count: replay.entries.length,
+      complete: replay.complete,
+    }
+  }
+
+  /**
+   * Render the data of a logged event for a connection, with only the data the connection is permitted to read
+   * @param {object} arg function arguments object
+   * @param {EventLogEntry} arg.entry the event log entry
+   * @param {Context} arg.connection request context
+   * @returns {object} the rendered event data
+   */
+  static render ({ entry, connection }) {
+    const view = entry.resourceType && findView(entry.resourceType)
+    if (!view) {
+      return entry.data
+    }
+
+    let result = entry.data
+    if (Array.isArray(result)) {
+      result = { rows: result, count: result.length }
+    }
+
+    const document = new DatabaseDocument({
+      query: new Query({ connection }),
+      result,
+      type: view,
+      view: DocumentViewType[entry.documentView],
+    })
+    return document.render()
+  }
+}
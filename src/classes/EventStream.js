@@ -1,5 +1,8 @@
+import { EventLogEntry } from '../db'
 import buildFile from '../files/build'
+import logger from '../logging'
 import { Context } from './Context'
+import EventLog from './EventLog'
 import StatusCode from './StatusCode'
 
 /**
@@ -30,10 +33,14 @@ export default class EventStream {
   /**
    * Create a server side events stream from a context
    * @param {Context} ctx request context
+   * @param {number} [since] the id of the last event a reconnecting client received, to resume from
    * @returns {Promise<undefined>} returns an indefinite promise to keep the Koa connection alive
    */
-  static fromConnection (ctx) {
+  static fromConnection (ctx, since = undefined) {
     const eventStream = new EventStream(ctx)
+    if (typeof since !== 'undefined') {
+      EventLog.hold(eventStream)
+    }
     EventStream.subscriptions.push(eventStream)
 
     const {
@@ -51,11 +58,38 @@ export default class EventStream {
       },
     })
 
+    if (typeof since !== 'undefined') {
+      eventStream.resume(since)
+    }
+
     return new Promise((resolve) => {
       this.resolve = resolve
     })
   }
 
+  /**
+   * Replay the events this subscriber missed since the last event it received
+   * @param {number} since the id of the last event the subscriber received
+   */
+  resume (since) {
+    EventLog.resume({
+      subscriber: this,
+      since,
+      send: (entry) => {
+        this.sendEvent(entry)
+      },
+    }).then((result) => {
+      this.send({ event: 'resume', data: result })
+    }).catch((error) => {
+      logger.error({
+        GELF: true,
+        _event: 'error',
+        _message: error.message,
+        _stack: error.stack,
+      }, `Failed to resume event stream: ${error.message}`)
+    })
+  }
+
   /**
    * Send an event to all event listeners
    * @param {object} arg function arguments object
@@ -81,6 +115,25 @@ export default class EventStream {
     }
   }
 
+  /**
+   * Send a fuelrats api event to this subscriber with its event id if it was logged, with the event data rendered
+   * for this subscriber
+   * @param {EventLogEntry} entry the event log entry of the event
+   */
+  sendEvent (entry) {
+    if (entry.id) {
+      this.ctx.res.write(`id: ${entry.id}\n`)
+    }
+    this.send({
+      event: entry.event,
+      data: {
+        id: entry.resourceId,
+        user: entry.userId,
+        data: EventLog.render({ entry, connection: this.ctx }),
+      },
+    })
+  }
+
   /**
    * Event fired when an SSE connection is closed for any reason
    */
@@ -0,0 +1,252 @@
+import { Rescue, db } from '../db'
+import { logFailure } from '../logging/helpers'
+import LeaderboardQuery from '../query/LeaderboardQuery'
+import { listen } from './Event'
+
+let refreshQueue = Promise.resolve()
+let refreshPending = false
+
+/**
+ * Get the SQL query for the rescue statistics of every user within the requested time window and platform, ranked
+ * by the requested metric
+ * @param {object} arg function arguments object
+ * @param {string} arg.metric the leaderboard statistic to rank users by
+ * @param {boolean} arg.filterPlatform whether this query is filtered by platform
+ * @param {boolean} arg.filterFrom whether this query is filtered by a start date
+ * @param {boolean} arg.filterTo whether this query is filtered by an end date
+ * @returns {string} SQL query
+ */
+function rankedStatsQuery ({
+  metric, filterPlatform, filterFrom, filterTo,
+}) {
+  const conditions = [
+    filterPlatform ? '"LeaderboardDays"."platform" = $platform' : undefined,
+    filterFrom ? '"LeaderboardDays"."day" >= date_trunc(\'day\', $from::timestamptz)' : undefined,
+    filterTo ? '"LeaderboardDays"."day" <= date_trunc(\'day\', $to::timestamptz)' : undefined,
+  ].filter((condition) => {
+    return condition
+  })
+
+  const filter = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''
+
+  // language=PostgreSQL
+  return `
+"RescueStats" AS (
+	SELECT
+		"LeaderboardDays"."userId" AS "id",
+		SUM("LeaderboardDays"."rescueCount") AS "rescueCount",
+		SUM("LeaderboardDays"."assistCount") AS "assistCount",
+		SUM("LeaderboardDays"."codeRedCount") AS "codeRedCount"
+	FROM "LeaderboardDays"
+	INNER JOIN "Users" ON "Users"."id" = "LeaderboardDays"."userId" AND "Users"."deletedAt" IS NULL
+	${filter}
+	GROUP BY "LeaderboardDays"."userId"
+	HAVING SUM("LeaderboardDays"."${metric}") > 0
+),
+"RankedStats" AS (
+	SELECT
+		"RescueStats".*,
+		RANK() OVER (ORDER BY "RescueStats"."${metric}" DESC) AS "rank"
+	FROM "RescueStats"
+)`
+}
+
+/**
+ * Get the SQL condition for filtering ranked leaderboard results by rat name
+ * @param {boolean} filterName whether this query is filtered by name
+ * @returns {string} SQL condition
+ */
+function nameFilterQuery (filterName) {
+  if (!filterName) {
+    return ''
+  }
+
+  return `
+WHERE EXISTS (
+	SELECT NULL FROM "Rats" "matchRat"
+	WHERE "matchRat"."userId" = "RankedStats"."id" AND "matchRat"."name" ILIKE $name
+)`
+}
+
+/**
+ * Get the SQL query for retrieving the total number of leaderboard results
+ * @param {object} options leaderboard query options, see rankedStatsQuery
+ * @param {boolean} options.filterName whether this query is filtered by name
+ * @returns {string} SQL query
+ */
+function leaderboardCountQuery (options) {
+  // language=PostgreSQL
+  return `
+WITH ${rankedStatsQuery(options)}
+SELECT COUNT("RankedStats"."id")
+FROM "RankedStats"
+${nameFilterQuery(options.filterName)}
+`
+}
+
+/**
+ * Get the SQL query for searching the leaderboard
+ * @param {string} order SQL order query
+ * @param {object} options leaderboard query options, see rankedStatsQuery
+ * @param {boolean} options.filterName whether this query is filtered by name
+ * @returns {string} SQL query
+ */
+function leaderboardQuery (order, options) {
+  // language=PostgreSQL
+  return `
+WITH ${rankedStatsQuery(options)}
+SELECT
+	"RankedStats"."id" AS "id",
+	min("RankedStats"."rank") AS "rank",
+	COALESCE(
+		(array_agg(DISTINCT "displayRat"."name"))[1],
+		(array_agg(DISTINCT "Rats"."name"))[1]
+	) AS "preferredName",
+	array_agg(DISTINCT "Rats"."name") AS "ratNames",
+	min("Rats"."createdAt") AS "joinedAt",
+	min("RankedStats"."rescueCount") AS "rescueCount",
+	min("RankedStats"."assistCount") AS "assistCount",
+	min("RankedStats"."codeRedCount") AS "codeRedCount",
+	EXISTS (
+		SELECT NULL FROM "UserGroups"
+		INNER JOIN "Groups" ON "Groups"."id" = "UserGroups"."groupId"
+		WHERE "UserGroups"."userId" = "RankedStats"."id" AND "Groups"."name" = 'dispatch'
+	) AS "isDispatch",
+	EXISTS (
+		SELECT NULL FROM "EpicUsers"
+		INNER JOIN "Epics" ON "Epics"."id" = "EpicUsers"."epicId"
+		WHERE "EpicUsers"."userId" = "RankedStats"."id" AND "Epics"."status" = 'approved'
+	) AS "isEpic"
+FROM "RankedStats"
+INNER JOIN "Users" ON "Users"."id" = "RankedStats"."id"
+LEFT JOIN "Rats" ON "Rats"."userId" = "RankedStats"."id"
+LEFT JOIN "Rats" "displayRat" ON "displayRat"."id" = "Users"."displayRatId"
+${nameFilterQuery(options.filterName)}
+GROUP BY "RankedStats"."id"
+ORDER BY ${order}
+OFFSET $offset
+LIMIT $limit
+`
+}
+
+/**
+ * Log a failure to refresh the leaderboard statistics
+ * @param {Error} error the error that occurred
+ */
+function logRefreshFailure (error) {
+  logFailure(error, 'Failed to refresh the leaderboard statistics')
+}
+
+/**
+ * Class managing the leaderboard, ranking rats by their rescue statistics within a time window and platform. The
+ * statistics are read from the LeaderboardDays materialized view, which is refreshed whenever a rescue is closed or
+ * deleted. Time windows include the whole days of both their start and end dates.
+ */
+export default class Leaderboard {
+  /**
+   * Search the leaderboard
+   * @param {object} arg function arguments object
+   * @param {LeaderboardQuery} arg.query the leaderboard query
+   * @returns {Promise<{count: number, rows: [object]}>} the leaderboard results and their total number
+   */
+  static async search ({ query }) {
+    const sqlParams = query.searchObject
+
+    const options = {
+      metric: sqlParams.metric,
+      filterName: Boolean(sqlParams.filter.name),
+      filterPlatform: Boolean(sqlParams.platform),
+      filterFrom: Boolean(sqlParams.from),
+      filterTo: Boolean(sqlParams.to),
+    }
+
+    const countBinds = {}
+    if (options.filterName) {
+      countBinds.name = sqlParams.filter.name
+    }
+    if (options.filterPlatform) {
+      countBinds.platform = sqlParams.platform
+    }
+    if (options.filterFrom) {
+      countBinds.from = sqlParams.from
+    }
+    if (options.filterTo) {
+      countBinds.to = sqlParams.to
+    }
+
+    const [{ count }] = await db.query(leaderboardCountQuery(options), {
+      bind: countBinds,
+      type: db.QueryTypes.SELECT,
+    })
+
+    const results = await db.query(leaderboardQuery(sqlParams.order, options), {
+      bind: {
+        ...countBinds,
+        offset: sqlParams.offset,
+        limit: sqlParams.limit,
+      },
+      type: db.QueryTypes.SELECT,
+    })
+
+    return {
+      count: Number(count),
+      rows: results.map((result) => {
+        return {
+          id: result.id,
+          rank: Number(result.rank),
+          preferredName: result.preferredName,
+          ratNames: result.ratNames,
+          joinedAt: result.joinedAt,
+          rescueCount: Number(result.rescueCount),
+          assistCount: Number(result.assistCount),
+          codeRedCount: Number(result.codeRedCount),
+          isDispatch: result.isDispatch,
+          isEpic: result.isEpic,
+        }
+      }),
+    }
+  }
+
+  /**
+   * Receive rescue update events and refresh the leaderboard statistics when a rescue has been closed, or can no
+   * longer be found
+   * @param {object} user the user that caused the event
+   * @param {string} id the id of the rescue
+   */
+  @listen('fuelrats.rescueupdate')
+  static onRescueUpdate (user, id) {
+    Rescue.unscoped().findOne({
+      attributes: ['status'],
+      where: { id },
+    }).then((rescue) => {
+      if (!rescue || rescue.status === 'closed') {
+        Leaderboard.refresh()
+      }
+    }).catch(logRefreshFailure)
+  }
+
+  /**
+   * Receive rescue delete events and refresh the leaderboard statistics
+   */
+  @listen('fuelrats.rescuedelete')
+  static onRescueDelete () {
+    Leaderboard.refresh()
+  }
+
+  /**
+   * Refresh the leaderboard statistics, requests made while a refresh is already waiting to start share it
+   * @returns {Promise<undefined>} resolves a promise when the leaderboard statistics have been refreshed
+   */
+  static refresh () {
+    if (refreshPending) {
+      return refreshQueue
+    }
+
+    refreshPending = true
+    refreshQueue = refreshQueue.then(() => {
+      refreshPending = false
+      return db.query('REFRESH MATERIALIZED VIEW CONCURRENTLY "LeaderboardDays"')
+    }).catch(logRefreshFailure)
+    return refreshQueue
+  }
+}
@@ -0,0 +1,237 @@
+import crypto from 'crypto'
+import fs from 'fs'
+import path from 'path'
+import config from '../config'
+import { Token, User } from '../db'
+import { InternalServerError } from './APIError'
+
+const secondMilliseconds = 1000
+const derSequenceTag = 0x30
+const derIntegerTag = 0x02
+const derLongFormLength = 0x80
+const derHeaderLength = 2
+const accessTokenHashLength = 16
+
+/**
+ * Encode a value as unpadded base64url
+ * @param {Buffer|string} value the value to encode
+ * @returns {string} the base64url encoded value
+ */
+function base64UrlEncode (value) {
+  return Buffer.from(value).toString('base64')
+    .replace(/\+/gu, '-')
+    .replace(/\//gu, '_')
+    .replace(/[=]+$/u, '')
+}
+
+/**
+ * Locate the contents of a DER encoded ASN.1 element
+ * @param {Buffer} buffer the DER encoded data
+ * @param {number} offset the offset of the element in the data
+ * @param {number} tag the expected tag of the element
+ * @returns {{start: number, end: number}} the offsets of the start and end of the element's contents
+ */
+function readDerElement (buffer, offset, tag) {
+  if (buffer[offset] !== tag) {
+    throw new Error('Unexpected element in DER encoded key')
+  }
+
+  let length = buffer[offset + 1]
+  let start = offset + derHeaderLength
+  if (length > derLongFormLength) {
+    const lengthBytes = length - derLongFormLength
+    length = buffer.readUIntBE(start, lengthBytes)
+    start += lengthBytes
+  }
+  return { start, end: start + length }
+}
+
+/**
+ * Read an unsigned DER encoded ASN.1 integer without its leading zero bytes
+ * @param {Buffer} buffer the DER encoded data
+ * @param {number} offset the offset of the integer in the data
+ * @returns {{value: Buffer, end: number}} the bytes of the integer and the offset of the end of the element
+ */
+function readDerInteger (buffer, offset) {
+  const { start, end } = readDerElement(buffer, offset, derIntegerTag)
+  let valueStart = start
+  while (valueStart < end - 1 && buffer[valueStart] === 0) {
+    valueStart += 1
+  }
+  return { value: buffer.slice(valueStart, end), end }
+}
+
+/**
+ * Get the public JSON Web Key of an RSA private key, identified by its RFC 7638 thumbprint
+ * @param {crypto.KeyObject} privateKey an RSA private key
+ * @returns {object} the public JSON Web Key
+ */
+function publicJsonWebKey (privateKey) {
+  // RSAPublicKey ::= SEQUENCE { modulus INTEGER, publicExponent INTEGER }
+  const der = crypto.createPublicKey(privateKey).export({ type: 'pkcs1', format: 'der' })
+  const { start } = readDerElement(der, 0, derSequenceTag)
+  const modulus = readDerInteger(der, start)
+  const exponent = readDerInteger(der, modulus.end)
+
+  /* eslint-disable id-length */
+  const key = {
+    e: base64UrlEncode(exponent.value),
+    kty: 'RSA',
+    n: base64UrlEncode(modulus.value),
+  }
+  /* eslint-enable id-length */
+  const thumbprint = crypto.createHash('sha256').update(JSON.stringify(key)).digest()
+
+  return {
+    ...key,
+    kid: base64UrlEncode(thumbprint),
+    use: 'sig',
+    alg: 'RS256',
+  }
+}
+
+/**
+ * Load the RSA private keys in the configured OpenID Connect keys directory, sorted by file name.
+ * The last key signs new ID tokens, the others remain published until the ID tokens they signed have expired.
+ * @returns {[{privateKey: crypto.KeyObject, jwk: object}]} the signing keys
+ */
+function loadSigningKeys () {
+  const { keysDirectory } = config.openid
+  if (!keysDirectory) {
+    return []
+  }
+
+  return fs.readdirSync(keysDirectory).filter((file) => {
+    return file.endsWith('.pem')
+  }).sort().map((file) => {
+    const privateKey = crypto.createPrivateKey(fs.readFileSync(path.join(keysDirectory, file), 'utf8'))
+    return { privateKey, jwk: publicJsonWebKey(privateKey) }
+  })
+}
+
+const signingKeys = loadSigningKeys()
+
+/**
+ * Check whether a list of OAuth scopes grants a scope
+ * @param {[string]} scopes list of OAuth scopes
+ * @param {string} scope the OAuth scope to check for
+ * @returns {boolean} whether the scope is granted
+ */
+function hasScope (scopes, scope) {
+  return scopes.includes(scope) || scopes.includes('*')
+}
+
+/**
+ * Class for issuing OpenID Connect ID tokens and claims on top of the OAuth 2 authorization server
+ */
+export default class OpenIDConnect {
+  /**
+   * Get the OpenID Connect claims supported by the API
+   * @returns {[string]} the supported claims
+   */
+  static get claimsSupported () {
+    return [
+      'sub', 'iss', 'aud', 'exp', 'iat', 'nonce', 'at_hash', 'name', 'nickname', 'preferred_username', 'picture',
+      'profile', 'groups', 'updated_at', 'email', 'email_verified',
+    ]
+  }
+
+  /**
+   * Get the JSON Web Key Set of the public keys ID tokens are signed with
+   * @returns {{keys: [object]}} the JSON Web Key Set
+   */
+  static get jsonWebKeySet () {
+    return {
+      keys: signingKeys.map((signingKey) => {
+        return signingKey.jwk
+      }),
+    }
+  }
+
+  /**
+   * Check whether an OAuth token was issued for an OpenID Connect request
+   * @param {[string]} scopes the scopes granted to the OAuth token
+   * @returns {boolean} whether the token was issued for an OpenID Connect request
+   */
+  static isOpenIDRequest (scopes) {
+    return hasScope(scopes, 'openid')
+  }
+
+  /**
+   * Get the OpenID Connect claims about a user that a list of OAuth scopes grants access to
+   * @param {object} arg function arguments object
+   * @param {User} arg.user the user to get claims about
+   * @param {[string]} arg.scopes the scopes granted to the OAuth token
+   * @returns {object} the claims about the user
+   */
+  static claims ({ user, scopes }) {
+    const claims = {
+      sub: user.id,
+    }
+
+    const groups = user.groups.map((group) => {
+      return group.name
+    })
+
+    if (hasScope(scopes, 'profile')) {
+      const name = user.preferredRat()?.name
+      Object.assign(claims, {
+        name,
+        nickname: name,
+        preferred_username: name,
+        picture: `${config.frontend.url}/users/${user.id}/image`,
+        profile: `${config.frontend.url}/profile/overview`,
+        groups,
+        updated_at: Math.floor(user.updatedAt.getTime() / secondMilliseconds),
+      })
+    }
+
+    if (hasScope(scopes, 'email')) {
+      Object.assign(claims, {
+        email: user.email,
+        email_verified: groups.includes('verified'),
+      })
+    }
+    return claims
+  }
+
+  /**
+   * Create a signed ID token for an OAuth token issued for an OpenID Connect request
+   * @param {object} arg function arguments object
+   * @param {Token} arg.token the issued OAuth token
+   * @param {string} [arg.nonce] the nonce the client sent with the authorization request
+   * @returns {Promise<string>} the signed ID token
+   */
+  static async createIdToken ({ token, nonce }) {
+    const signingKey = signingKeys[signingKeys.length - 1]
+    if (!signingKey) {
+      throw new InternalServerError({})
+    }
+
+    const user = await User.findOne({ where: { id: token.userId } })
+    const issuedAt = Math.floor(Date.now() / secondMilliseconds)
+    const accessTokenHash = crypto.createHash('sha256').update(token.value).digest()
+
+    const header = {
+      alg: 'RS256',
+      typ: 'JWT',
+      kid: signingKey.jwk.kid,
+    }
+
+    const payload = {
+      iss: config.server.externalUrl,
+      aud: token.clientId,
+      exp: issuedAt + config.openid.idTokenLifetime,
+      iat: issuedAt,
+      nonce,
+      at_hash: base64UrlEncode(accessTokenHash.slice(0, accessTokenHashLength)),
+      ...OpenIDConnect.claims({ user, scopes: token.scope }),
+    }
+
+    const signingInput = `${base64UrlEncode(JSON.stringify(header))}.${base64UrlEncode(JSON.stringify(payload))}`
+    const signature = crypto.createSign('RSA-SHA256').update(signingInput).sign(signingKey.privateKey)
+    return `${signingInput}.${base64UrlEncode(signature)}`
+  }
+}
+
+export { base64UrlEncode }
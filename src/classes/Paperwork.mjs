@@ -0,0 +1,208 @@
+import config from '../config'
+import { PaperworkReminder, Rat, db } from '../db'
+import logger from '../logging'
+import Announcer from './Announcer'
+
+const secondMilliseconds = 1000
+const minuteMilliseconds = 60 * secondMilliseconds
+const hourSeconds = 3600
+const reminderCheckMinutes = 5
+const reminderCheckInterval = reminderCheckMinutes * minuteMilliseconds
+const reminderBatchSize = 25
+
+/**
+ * Get the SQL query for rescues that were closed or went inactive with incomplete paperwork
+ * @param {boolean} forUser whether to limit the results to rescues a specific user is responsible for
+ * @param {boolean} unreminded whether to limit the results to rescues that have not been reminded of since their
+ * last edit
+ * @returns {string} SQL query
+ */
+function outstandingPaperworkQuery (forUser, unreminded) {
+  let userCondition = ''
+  if (forUser) {
+    userCondition = `AND COALESCE("Rescues"."firstLimpetId", "FirstAssigned"."ratId") IN (
+    SELECT "Rats"."id" FROM "Rats" WHERE "Rats"."userId" = $userId AND "Rats"."deletedAt" IS NULL
+  )`
+  }
+
+  let reminderCondition = ''
+  if (unreminded) {
+    reminderCondition = `AND NOT EXISTS (
+    SELECT NULL FROM "PaperworkReminders"
+    WHERE
+      "PaperworkReminders"."rescueId" = "Rescues"."id" AND
+      "PaperworkReminders"."remindedAt" >= "Rescues"."updatedAt"
+  )`
+  }
+
+  // language=PostgreSQL
+  return `
+SELECT
+  "Rescues"."id",
+  "Rescues"."client",
+  "Rescues"."clientNick",
+  "Rescues"."commandIdentifier",
+  "Rescues"."status",
+  "Rescues"."platform",
+  "Rescues"."outcome",
+  "Rescues"."firstLimpetId",
+  "Rescues"."unidentifiedRats",
+  "Rescues"."updatedAt" AS "overdueSince",
+  COALESCE("Rescues"."firstLimpetId", "FirstAssigned"."ratId") AS "responsibleRatId"
+FROM "Rescues"
+LEFT JOIN LATERAL (
+  SELECT "RescueRats"."ratId" FROM "RescueRats"
+  WHERE "RescueRats"."rescueId" = "Rescues"."id"
+  ORDER BY "RescueRats"."createdAt" ASC
+  LIMIT 1
+) AS "FirstAssigned" ON TRUE
+WHERE
+  "Rescues"."deletedAt" IS NULL AND
+  "Rescues"."status" IN ('closed', 'inactive') AND
+  "Rescues"."updatedAt" <= $overdueBefore AND
+  (
+    "Rescues"."outcome" IS NULL OR
+    "Rescues"."firstLimpetId" IS NULL OR
+    cardinality("Rescues"."unidentifiedRats") > 0
+  )
+  ${userCondition}
+  ${reminderCondition}
+`
+}
+
+/**
+ * Tracks rescues with outstanding paperwork and reminds the responsible rats when it becomes overdue
+ */
+export default class Paperwork {
+  /**
+   * Search for rescues with outstanding paperwork, ordered by the longest overdue first
+   * @param {object} arg function arguments object
+   * @param {string} [arg.userId] only include rescues this user is responsible for
+   * @param {Date} [arg.overdueBefore] only include rescues that have not been edited since this date
+   * @param {boolean} [arg.unreminded] only include rescues that have not been reminded of since their last edit
+   * @param {number} arg.offset result offset
+   * @param {number} arg.limit maximum number of results
+   * @returns {Promise<{count: number, rows: [object]}>} outstanding paperwork
+   */
+  static async search ({
+    userId, overdueBefore = new Date(), unreminded = false, offset, limit,
+  }) {
+    const forUser = Boolean(userId)
+    const bind = { overdueBefore }
+    if (forUser) {
+      bind.userId = userId
+    }
+
+    let [{ count }] = await db.query(`SELECT COUNT(*) FROM (${outstandingPaperworkQuery(forUser, unreminded)}) AS "Paperwork"`, {
+      bind,
+      type: db.QueryTypes.SELECT,
+    })
+
+    count = Number(count)
+
+    const results = await db.query(`
+SELECT * FROM (${outstandingPaperworkQuery(forUser, unreminded)}) AS "Paperwork"
+ORDER BY "overdueSince" ASC
+OFFSET $offset
+LIMIT $limit
+`, {
+      bind: { ...bind, offset, limit },
+      type: db.QueryTypes.SELECT,
+    })
+
+    const ratIds = results.reduce((acc, result) => {
+      return acc.concat(result.responsibleRatId ?? [])
+    }, [])
+
+    const rats = await Rat.findAll({
+      where: { id: [...new Set(ratIds)] },
+      paranoid: false,
+    })
+
+    const now = Date.now()
+    const rows = results.map((result) => {
+      const missing = []
+      if (!result.outcome) {
+        missing.push('outcome')
+      }
+
+      if (!result.firstLimpetId) {
+        missing.push('firstLimpet')
+      }
+
+      if (result.unidentifiedRats.length > 0) {
+        missing.push('unidentifiedRats')
+      }
+
+      return {
+        ...result,
+        missing,
+        overdue: Math.floor((now - result.overdueSince.getTime()) / secondMilliseconds),
+        responsibleRat: rats.find((rat) => {
+          return rat.id === result.responsibleRatId
+        }),
+      }
+    })
+
+    return { count, rows }
+  }
+
+  /**
+   * Start periodically announcing overdue paperwork, if a reminder time has been configured
+   */
+  static scheduleReminders () {
+    if (!config.paperwork.reminderMinutes) {
+      return
+    }
+
+    setInterval(() => {
+      Paperwork.sendReminders().catch((error) => {
+        logger.error({
+          GELF: true,
+          _event: 'error',
+          _message: error.message,
+          _stack: error.stack,
+        }, `Failed to send paperwork reminders: ${error.message}`)
+      })
+    }, reminderCheckInterval)
+  }
+
+  /**
+   * Announce rescues whose paperwork has been overdue for longer than the configured reminder time,
+   * each rescue is only announced once until it is edited again. Reminders are sent in batches, any remaining rescues
+   * are announced on the next check.
+   * @returns {Promise<undefined>} resolves a promise when completed successfully
+   */
+  static async sendReminders () {
+    const overdueBefore = new Date(Date.now() - (config.paperwork.reminderMinutes * minuteMilliseconds))
+    const { rows } = await Paperwork.search({
+      overdueBefore,
+      unreminded: true,
+      offset: 0,
+      limit: reminderBatchSize,
+    })
+
+    if (rows.length === 0) {
+      return
+    }
+
+    const remindedAt = new Date()
+    await PaperworkReminder.bulkCreate(rows.map((paperwork) => {
+      return { rescueId: paperwork.id, remindedAt }
+    }), { updateOnDuplicate: ['remindedAt', 'updatedAt'] })
+
+    await Promise.all(rows.map((paperwork) => {
+      const caseId = paperwork.commandIdentifier ?? paperwork.id
+      const overdueHours = Math.floor(paperwork.overdue / hourSeconds)
+      let responsible = 'nobody is assigned to it'
+      if (paperwork.responsibleRat) {
+        responsible = `${paperwork.responsibleRat.name}, please complete it`
+      }
+
+      return Announcer.sendRescueMessage({
+        message: `[Paperwork] Paperwork for case ${caseId} (${paperwork.client})
+      has been overdue for ${overdueHours} hours, ${responsible}`,
+      })
+    }))
+  }
+}
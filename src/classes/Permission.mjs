@@ -2,6 +2,7 @@ import permissionList from '../files/permissions'
 import { UnprocessableEntityAPIError } from './APIError'
 import { Context } from './Context'
 
+const openIdScopes = ['openid', 'profile', 'email']
 
 /**
  * Class for managing user permissions
@@ -54,7 +55,15 @@ export default class Permission {
    * @returns {boolean}
    */
   static isValidOAuthScope (scope) {
-    return scope === '*' || Permission.allPermissions.includes(scope)
+    return scope === '*' || openIdScopes.includes(scope) || Permission.allPermissions.includes(scope)
+  }
+
+  /**
+   * Get the OpenID Connect scopes that can be requested alongside permissions
+   * @returns {[string]} OpenID Connect scopes
+   */
+  static get openIdScopes () {
+    return openIdScopes
   }
 
   /**
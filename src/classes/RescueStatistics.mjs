@@ -0,0 +1,206 @@
+import { db } from '../db'
+
+/**
+ * The statistics the rescues in each time bucket are broken down by, keyed by the rescue column they are grouped by
+ * @type {{outcome: string, platform: string, codeRed: string, clientLanguage: string}}
+ */
+const breakdowns = {
+  outcome: 'outcomes',
+  platform: 'platforms',
+  codeRed: 'codeRed',
+  clientLanguage: 'clientLanguages',
+}
+
+/*
+* This query retrieves the number of rescues created in each time bucket of the requested date range, both in total
+* and grouped by each of the breakdown columns, along with the median number of seconds it took to close the rescues
+* that have been closed. A rescue was closed at the start of the first of its versions, in either the rescue table or
+* its history, that has the closed status.
+* */
+
+// language=PostgreSQL
+const rescueStatisticsQuery = `
+SELECT
+	date_trunc($interval, "Rescues"."createdAt") AS "bucket",
+	CASE
+		WHEN GROUPING("Rescues"."outcome") = 0 THEN 'outcome'
+		WHEN GROUPING("Rescues"."platform") = 0 THEN 'platform'
+		WHEN GROUPING("Rescues"."codeRed") = 0 THEN 'codeRed'
+		WHEN GROUPING("Rescues"."clientLanguage") = 0 THEN 'clientLanguage'
+		ELSE 'total'
+	END AS "dimension",
+	"Rescues"."outcome" AS "outcome",
+	"Rescues"."platform" AS "platform",
+	"Rescues"."codeRed" AS "codeRed",
+	"Rescues"."clientLanguage" AS "clientLanguage",
+	COUNT("Rescues"."id") AS "count",
+	percentile_cont(0.5) WITHIN GROUP (
+		ORDER BY EXTRACT(EPOCH FROM "Closed"."closedAt" - "Rescues"."createdAt")
+	) FILTER (WHERE "Rescues"."status" = 'closed') AS "medianTimeToClose"
+FROM "Rescues"
+LEFT JOIN LATERAL (
+	SELECT min(lower("Versions"."temporalPeriod")) AS "closedAt"
+	FROM (
+		SELECT "Rescues"."temporalPeriod", "Rescues"."status"
+		UNION ALL
+		SELECT "rescueshistory"."temporalPeriod", "rescueshistory"."status" FROM "rescueshistory"
+		WHERE "rescueshistory"."id" = "Rescues"."id"
+	) AS "Versions"
+	WHERE "Versions"."status" = 'closed'
+) AS "Closed" ON TRUE
+WHERE
+	"Rescues"."deletedAt" IS NULL AND
+	"Rescues"."createdAt" >= $from AND
+	"Rescues"."createdAt" < $to
+GROUP BY 1, GROUPING SETS (
+	(),
+	("Rescues"."outcome"),
+	("Rescues"."platform"),
+	("Rescues"."codeRed"),
+	("Rescues"."clientLanguage")
+)
+ORDER BY "bucket" ASC
+`
+
+/**
+ * Escape a label value for the Prometheus text exposition format
+ * @param {string} value the label value
+ * @returns {string} the escaped label value
+ */
+function prometheusLabel (value) {
+  return String(value).replace(/\\/gu, '\\\\').replace(/"/gu, '\\"').replace(/\n/gu, '\\n')
+}
+
+/**
+ * Escape a field for a CSV file
+ * @param {*} value the field value
+ * @returns {string} the escaped field value
+ */
+function csvField (value) {
+  const field = String(value ?? '')
+  if (/[",\r\n]/u.test(field)) {
+    return `"${field.replace(/"/gu, '""')}"`
+  }
+  return field
+}
+
+/**
+ * Class providing the time-bucketed global rescue statistics, and their CSV and Prometheus representations
+ */
+export default class RescueStatistics {
+  /**
+   * Get the global rescue statistics for each time bucket within a date range
+   * @param {object} arg function arguments object
+   * @param {string} arg.interval the size of the time buckets, "hour", "day", "week", or "month"
+   * @param {Date} arg.from the start of the date range (inclusive)
+   * @param {Date} arg.to the end of the date range (exclusive)
+   * @returns {Promise<[object]>} the rescue statistics of each time bucket that contains rescues
+   */
+  static async search ({ interval, from, to }) {
+    const results = await db.query(rescueStatisticsQuery, {
+      bind: { interval, from, to },
+      type: db.QueryTypes.SELECT,
+    })
+
+    const buckets = results.reduce((acc, result) => {
+      const bucket = result.bucket.toISOString()
+      if (!acc.has(bucket)) {
+        acc.set(bucket, {
+          bucket,
+          interval,
+          total: 0,
+          medianTimeToClose: null,
+          outcomes: {},
+          platforms: {},
+          codeRed: {},
+          clientLanguages: {},
+        })
+      }
+
+      const statistics = acc.get(bucket)
+      const count = Number(result.count)
+      if (result.dimension === 'total') {
+        statistics.total = count
+        statistics.medianTimeToClose = result.medianTimeToClose ?? null
+      } else {
+        statistics[breakdowns[result.dimension]][String(result[result.dimension] ?? 'none')] = count
+      }
+      return acc
+    }, new Map())
+
+    return [...buckets.values()]
+  }
+
+  /**
+   * Render rescue statistics as a CSV file with one row per bucket and statistic
+   * @param {[object]} statistics the rescue statistics of each time bucket
+   * @returns {string} the CSV file contents
+   */
+  static toCSV (statistics) {
+    const rows = statistics.flatMap((bucket) => {
+      return [
+        [bucket.bucket, 'total', '', bucket.total],
+        [bucket.bucket, 'medianTimeToClose', '', bucket.medianTimeToClose],
+        ...Object.entries(breakdowns).flatMap(([dimension, key]) => {
+          return Object.entries(bucket[key]).map(([value, count]) => {
+            return [bucket.bucket, dimension, value, count]
+          })
+        }),
+      ]
+    })
+
+    return [['bucket', 'statistic', 'value', 'count'], ...rows].map((row) => {
+      return row.map(csvField).join(',')
+    }).join('\r\n')
+  }
+
+  /**
+   * Render rescue statistics in the Prometheus text exposition format, timestamped with the start of each bucket
+   * @param {[object]} statistics the rescue statistics of each time bucket
+   * @returns {string} the Prometheus metrics
+   */
+  static toPrometheus (statistics) {
+    const metrics = [
+      {
+        name: 'fuelrats_rescues',
+        help: 'Number of rescues created in the time bucket',
+        samples: (bucket) => {
+          return [{ labels: {}, value: bucket.total }]
+        },
+      },
+      {
+        name: 'fuelrats_rescue_time_to_close_median_seconds',
+        help: 'Median number of seconds taken to close the rescues created in the time bucket',
+        samples: (bucket) => {
+          return typeof bucket.medianTimeToClose === 'number' ? [{ labels: {}, value: bucket.medianTimeToClose }] : []
+        },
+      },
+      ...Object.entries(breakdowns).map(([dimension, key]) => {
+        return {
+          name: `fuelrats_rescues_by_${dimension.replace(/[A-Z]/gu, (letter) => {
+            return `_${letter.toLowerCase()}`
+          })}`,
+          help: `Number of rescues created in the time bucket by ${dimension}`,
+          samples: (bucket) => {
+            return Object.entries(bucket[key]).map(([value, count]) => {
+              return { labels: { [dimension]: value }, value: count }
+            })
+          },
+        }
+      }),
+    ]
+
+    return metrics.map(({ name, help, samples }) => {
+      const lines = statistics.flatMap((bucket) => {
+        const timestamp = Date.parse(bucket.bucket)
+        return samples(bucket).map(({ labels, value }) => {
+          const labelSet = Object.entries({ interval: bucket.interval, ...labels }).map(([label, labelValue]) => {
+            return `${label}="${prometheusLabel(labelValue)}"`
+          }).join(',')
+          return `${name}{${labelSet}} ${value} ${timestamp}`
+        })
+      })
+      return [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`, ...lines].join('\n')
+    }).join('\n').concat('\n')
+  }
+}
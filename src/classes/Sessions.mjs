@@ -1,11 +1,39 @@
-import { Session, User, db } from '../db'
-import sessionEmail from '../emails/session'
+import Sequelize from 'sequelize'
+import config from '../config'
+import {
+  Session, Token, User, db,
+} from '../db'
+import newLocationEmail from '../emails/newlocation'
+import sessionEmail, { generateDeviceDescription } from '../emails/session'
+import logger from '../logging'
 import { Context } from './Context'
+import GeoIP from './GeoIP'
 import Mail from './Mail'
 import { sessionTokenGenerator } from './TokenGenerators'
 
+const { Op } = Sequelize
+
 const mail = new Mail()
 
+const secondMilliseconds = 1000
+const hourMilliseconds = 60 * 60 * secondMilliseconds
+const dayMilliseconds = 24 * hourMilliseconds
+const unverifiedSessionExpiry = hourMilliseconds
+const pruneInterval = hourMilliseconds
+
+/**
+ * Get the location of an IP address, or undefined if it cannot be looked up
+ * @param {string} ip the IP address
+ * @returns {string|undefined} location string
+ */
+function lookupLocation (ip) {
+  try {
+    return GeoIP.locationString(ip)
+  } catch (error) {
+    return undefined
+  }
+}
+
 /**
  * Class managing user session endpoints
  */
@@ -39,7 +67,7 @@ export default class Sessions {
   static async createVerifiedSession (ctx, user, transaction = undefined) {
     const code = await sessionTokenGenerator()
 
-    return Session.create({
+    const session = await Session.create({
       ip: ctx.request.ip,
       userAgent: ctx.state.userAgent,
       fingerprint: ctx.state.fingerprint,
@@ -47,5 +75,184 @@ export default class Sessions {
       userId: user.id,
       verified: true,
     }, { transaction })
+
+    Sessions.sessionVerified({ user, session, transaction })
+    return session
+  }
+
+  /**
+   * Mark an existing user session as verified and used
+   * @param {object} arg function arguments object
+   * @param {User} arg.user the user the session belongs to
+   * @param {Session} arg.session the user session
+   * @returns {Promise<Session>} user session
+   */
+  static async verifySession ({ user, session }) {
+    const newlyVerified = session.verified === false
+    await session.update({
+      verified: true,
+      lastAccess: Date.now(),
+    })
+
+    if (newlyVerified) {
+      Sessions.sessionVerified({ user, session })
+    }
+    return session
+  }
+
+  /**
+   * Run the steps shared by every flow that verifies a user session, once the session has been stored
+   * @param {object} arg function arguments object
+   * @param {User} arg.user the user the session belongs to
+   * @param {Session} arg.session the newly verified session
+   * @param {db.Transaction} [arg.transaction] Sequelize transaction the session was verified in
+   */
+  static sessionVerified ({ user, session, transaction = undefined }) {
+    const notify = () => {
+      Sessions.notifyNewLocation({ user, session }).catch((error) => {
+        logger.error({
+          GELF: true,
+          _event: 'error',
+          _message: error.message,
+          _stack: error.stack,
+        }, `Failed to send new login location notification: ${error.message}`)
+      })
+    }
+
+    if (transaction) {
+      transaction.afterCommit(notify)
+    } else {
+      notify()
+    }
+  }
+
+  /**
+   * Email a user about a verified session if it was made from a location none of their other verified sessions
+   * were made from
+   * @param {object} arg function arguments object
+   * @param {User} arg.user the user the session belongs to
+   * @param {Session} arg.session the new verified session
+   * @returns {Promise<boolean>} whether a notification was sent
+   */
+  static async notifyNewLocation ({ user, session }) {
+    const location = lookupLocation(session.ip)
+    if (!location) {
+      return false
+    }
+
+    const otherSessions = await Session.unscoped().findAll({
+      attributes: ['ip'],
+      where: {
+        userId: user.id,
+        verified: true,
+        id: { [Op.ne]: session.id },
+      },
+    })
+
+    if (otherSessions.length === 0) {
+      return false
+    }
+
+    const knownLocation = otherSessions.some((otherSession) => {
+      return lookupLocation(otherSession.ip) === location
+    })
+    if (knownLocation) {
+      return false
+    }
+
+    await mail.send(newLocationEmail({
+      user,
+      userAgent: session.userAgent,
+      location,
+      ipAddress: session.ip,
+    }))
+    return true
+  }
+
+  /**
+   * Get the login sessions of a user, with the device and location they were made from
+   * @param {object} arg function arguments object
+   * @param {User} arg.user the user
+   * @returns {Promise<[object]>} the user's login sessions, most recently used first
+   */
+  static async findAll ({ user }) {
+    const sessions = await Session.unscoped().findAll({
+      where: { userId: user.id },
+      order: [['lastAccess', 'DESC']],
+    })
+
+    return sessions.map((session) => {
+      return {
+        id: session.id,
+        userId: session.userId,
+        ip: session.ip,
+        device: generateDeviceDescription(session.userAgent),
+        location: lookupLocation(session.ip),
+        lastAccess: session.lastAccess,
+        verified: session.verified,
+        createdAt: session.createdAt,
+      }
+    })
+  }
+
+  /**
+   * End a login session, revoking the OAuth tokens that were issued through it
+   * @param {object} arg function arguments object
+   * @param {Session} arg.session the session to end
+   * @returns {Promise<undefined>} resolves a promise when completed successfully
+   */
+  static endSession ({ session }) {
+    return db.transaction(async (transaction) => {
+      await Token.destroy({ where: { sessionId: session.id }, transaction })
+      await session.destroy({ transaction })
+    })
+  }
+
+  /**
+   * Start periodically pruning unverified and stale sessions
+   */
+  static schedulePruning () {
+    setInterval(() => {
+      Sessions.prune().catch((error) => {
+        logger.error({
+          GELF: true,
+          _event: 'error',
+          _message: error.message,
+          _stack: error.stack,
+        }, `Failed to prune sessions: ${error.message}`)
+      })
+    }, pruneInterval)
+  }
+
+  /**
+   * End sessions that were never verified in time, and sessions that have not been used in the configured number of
+   * days, revoking the OAuth tokens that were issued through them
+   * @returns {Promise<number>} the number of sessions that were pruned
+   */
+  static async prune () {
+    const now = Date.now()
+    const sessions = await Session.unscoped().findAll({
+      attributes: ['id'],
+      where: {
+        [Op.or]: [{
+          verified: false,
+          createdAt: { [Op.lte]: new Date(now - unverifiedSessionExpiry) },
+        }, {
+          lastAccess: { [Op.lte]: new Date(now - (config.sessions.staleDays * dayMilliseconds)) },
+        }],
+      },
+    })
+
+    const sessionIds = sessions.map((session) => {
+      return session.id
+    })
+
+    if (sessionIds.length > 0) {
+      await db.transaction(async (transaction) => {
+        await Token.destroy({ where: { sessionId: sessionIds }, transaction })
+        await Session.destroy({ where: { id: sessionIds }, transaction })
+      })
+    }
+    return sessionIds.length
   }
 }
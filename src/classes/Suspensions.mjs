@@ -0,0 +1,228 @@
+import Sequelize from 'sequelize'
+import {
+  Code, Session, Suspension, Token, User, db,
+} from '../db'
+import suspensionEmail from '../emails/suspension'
+import { logFailure } from '../logging/helpers'
+import Announcer from './Announcer'
+import Anope from './Anope'
+import Audit from './Audit'
+import { Context } from './Context'
+import Mail from './Mail'
+
+const { Op } = Sequelize
+
+const mail = new Mail()
+
+const secondMilliseconds = 1000
+const expiryIntervalMinutes = 5
+const expiryInterval = expiryIntervalMinutes * 60 * secondMilliseconds
+
+/**
+ * Get the date the latest active suspension of a user ends
+ * @param {object} arg function arguments object
+ * @param {string} arg.userId the id of the user
+ * @param {db.Transaction} [arg.transaction] Sequelize transaction
+ * @returns {Promise<Date|null>} the date the latest active suspension ends, or null if the user is not suspended
+ */
+async function activeSuspensionEnd ({ userId, transaction = undefined }) {
+  const expiresAt = await Suspension.max('expiresAt', {
+    where: {
+      userId,
+      endedAt: null,
+      expiresAt: { [Op.gt]: new Date() },
+    },
+    transaction,
+  })
+  return expiresAt ?? null
+}
+
+/**
+ * Class managing the suspension of user accounts by moderators
+ */
+export default class Suspensions {
+  /**
+   * Suspend a user account, revoking its OAuth tokens and login sessions, and propagate the suspension to IRC,
+   * the moderators, and the user
+   * @param {object} arg function arguments object
+   * @param {Context} arg.ctx request context of the moderator suspending the account
+   * @param {User} arg.user the user to suspend
+   * @param {string} arg.reason the reason for the suspension
+   * @param {number} arg.duration the duration of the suspension in seconds
+   * @returns {Promise<Suspension>} the suspension
+   */
+  static async suspend ({
+    ctx, user, reason, duration,
+  }) {
+    const moderator = ctx.state.representedBy ?? ctx.state.user
+    const expiresAt = new Date(Date.now() + (duration * secondMilliseconds))
+
+    const suspension = await db.transaction(async (transaction) => {
+      const result = await Suspension.create({
+        reason,
+        expiresAt,
+        userId: user.id,
+        moderatorId: moderator.id,
+      }, { transaction })
+
+      const suspended = await activeSuspensionEnd({ userId: user.id, transaction })
+      await User.update({ suspended }, { where: { id: user.id }, transaction })
+
+      await Promise.all([
+        Token.destroy({ where: { userId: user.id }, transaction }),
+        Code.destroy({ where: { userId: user.id }, transaction }),
+        Session.destroy({ where: { userId: user.id }, transaction }),
+      ])
+
+      await Audit.record({
+        ctx,
+        action: 'suspend',
+        resourceType: 'users',
+        resourceId: user.id,
+        after: result,
+        transaction,
+      })
+      return result
+    })
+
+    const moderatorName = moderator.preferredRat()?.name ?? moderator.id
+    const userName = user.preferredRat()?.name ?? user.email
+
+    Anope.suspendAccount({
+      email: user.email,
+      reason,
+      suspendedBy: moderatorName,
+      expiresAt: await activeSuspensionEnd({ userId: user.id }),
+    }).catch((error) => {
+      logFailure(error, `Failed to suspend the IRC account of ${user.email}`)
+    })
+
+    const until = expiresAt.toUTCString()
+    Announcer.sendModeratorMessage({
+      message: `[Suspension] ${userName} (${user.email}) has been suspended by ${moderatorName} until ${until}. Reason: ${reason}`,
+    }).catch((error) => {
+      logFailure(error, 'Failed to announce account suspension')
+    })
+
+    mail.send(suspensionEmail({ user, reason, expiresAt })).catch((error) => {
+      logFailure(error, `Failed to send account suspension email to ${user.email}`)
+    })
+
+    return suspension
+  }
+
+  /**
+   * Lift a suspension before it expires, restoring access to the account if no other suspension is in effect
+   * @param {object} arg function arguments object
+   * @param {Context} arg.ctx request context of the moderator lifting the suspension
+   * @param {User} arg.user the suspended user
+   * @param {Suspension} arg.suspension the suspension to lift
+   * @returns {Promise<Suspension>} the lifted suspension
+   */
+  static async lift ({ ctx, user, suspension }) {
+    const moderator = ctx.state.representedBy ?? ctx.state.user
+    const before = suspension.toJSON()
+
+    const suspended = await db.transaction(async (transaction) => {
+      await suspension.update({ endedAt: new Date(), liftedById: moderator.id }, { transaction })
+
+      const result = await activeSuspensionEnd({ userId: user.id, transaction })
+      await User.update({ suspended: result }, { where: { id: user.id }, transaction })
+
+      await Audit.record({
+        ctx,
+        action: 'unsuspend',
+        resourceType: 'users',
+        resourceId: user.id,
+        before,
+        after: suspension,
+        transaction,
+      })
+      return result
+    })
+
+    if (!suspended) {
+      Anope.unsuspendAccount(user.email).catch((error) => {
+        logFailure(error, `Failed to lift the suspension of the IRC account of ${user.email}`)
+      })
+    }
+
+    const moderatorName = moderator.preferredRat()?.name ?? moderator.id
+    const userName = user.preferredRat()?.name ?? user.email
+    Announcer.sendModeratorMessage({
+      message: `[Suspension] A suspension of ${userName} (${user.email}) has been lifted by ${moderatorName}`,
+    }).catch((error) => {
+      logFailure(error, 'Failed to announce lifted account suspension')
+    })
+
+    return suspension
+  }
+
+  /**
+   * Start periodically ending suspensions that have expired
+   */
+  static scheduleExpiry () {
+    setInterval(() => {
+      Suspensions.expire().catch((error) => {
+        logFailure(error, 'Failed to expire suspensions')
+      })
+    }, expiryInterval)
+  }
+
+  /**
+   * End the suspensions that have expired, clearing the suspension of users that have no other suspension in effect
+   * and lifting the suspension of their IRC accounts
+   * @returns {Promise<number>} the number of suspensions that were ended
+   */
+  static async expire () {
+    const now = new Date()
+    const suspensions = await Suspension.findAll({
+      attributes: ['id', 'userId'],
+      where: {
+        endedAt: null,
+        expiresAt: { [Op.lte]: now },
+      },
+    })
+
+    if (suspensions.length === 0) {
+      return 0
+    }
+
+    const userIds = [...new Set(suspensions.map((suspension) => {
+      return suspension.userId
+    }))]
+
+    await Suspension.update({ endedAt: now }, {
+      where: {
+        id: suspensions.map((suspension) => {
+          return suspension.id
+        }),
+      },
+    })
+
+    const users = await User.findAll({
+      attributes: ['id', 'email'],
+      where: {
+        id: userIds,
+        suspended: { [Op.lte]: now },
+      },
+    })
+
+    if (users.length > 0) {
+      await User.update({ suspended: null }, {
+        where: {
+          id: users.map((user) => {
+            return user.id
+          }),
+        },
+      })
+
+      await Promise.all(users.map((user) => {
+        return Anope.unsuspendAccount(user.email).catch((error) => {
+          logFailure(error, `Failed to lift the expired suspension of the IRC account of ${user.email}`)
+        })
+      }))
+    }
+    return suspensions.length
+  }
+}
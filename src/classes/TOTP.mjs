@@ -0,0 +1,224 @@
+import crypto from 'crypto'
+import { recoveryCodeGenerator } from './TokenGenerators'
+
+const base32Alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+const base32Bits = 5
+const byteBits = 8
+const byteValues = 256
+const secretLength = 20
+const stepSeconds = 30
+const secondMilliseconds = 1000
+const codeDigits = 6
+const codePattern = /^[0-9]{6}$/u
+const allowedStepDrift = 1
+const decimalBase = 10
+const uint32Bits = 32
+const uint32Values = 2 ** uint32Bits
+const dynamicTruncationMask = 0x80000000
+const dynamicTruncationOffsetValues = 16
+const recoveryCodeCount = 10
+const recoveryCodeGroupLength = 5
+const issuer = 'Fuel Rats'
+
+/**
+ * Compare a generated code with a code provided by a user in constant time
+ * @param {string} expected the generated code
+ * @param {string} code the code provided by the user
+ * @returns {boolean} whether the codes match
+ */
+function codesMatch (expected, code) {
+  const expectedBuffer = Buffer.from(expected)
+  const codeBuffer = Buffer.from(code)
+  if (expectedBuffer.length !== codeBuffer.length) {
+    return false
+  }
+  return crypto.timingSafeEqual(expectedBuffer, codeBuffer)
+}
+
+/**
+ * Encode bytes as unpadded base32 (RFC 4648)
+ * @param {Buffer} buffer the bytes to encode
+ * @returns {string} base32 string
+ */
+function base32Encode (buffer) {
+  let value = 0
+  let bits = 0
+  let output = ''
+
+  for (const byte of buffer) {
+    value = (value * byteValues) + byte
+    bits += byteBits
+
+    while (bits >= base32Bits) {
+      bits -= base32Bits
+      output += base32Alphabet[Math.floor(value / (2 ** bits))]
+      value %= 2 ** bits
+    }
+  }
+
+  if (bits > 0) {
+    output += base32Alphabet[value * (2 ** (base32Bits - bits))]
+  }
+  return output
+}
+
+/**
+ * Decode an unpadded base32 string (RFC 4648)
+ * @param {string} input base32 string
+ * @returns {Buffer} the decoded bytes
+ */
+function base32Decode (input) {
+  let value = 0
+  let bits = 0
+  const output = []
+
+  for (const character of input.toUpperCase()) {
+    value = (value * (2 ** base32Bits)) + base32Alphabet.indexOf(character)
+    bits += base32Bits
+
+    if (bits >= byteBits) {
+      bits -= byteBits
+      output.push(Math.floor(value / (2 ** bits)))
+      value %= 2 ** bits
+    }
+  }
+  return Buffer.from(output)
+}
+
+/**
+ * Generate an HOTP code (RFC 4226) for a counter value
+ * @param {Buffer} key the shared secret
+ * @param {number} counter the counter value
+ * @returns {string} the HOTP code
+ */
+function generateHOTP (key, counter) {
+  const counterBuffer = Buffer.alloc(byteBits)
+  counterBuffer.writeUInt32BE(Math.floor(counter / uint32Values), 0)
+  counterBuffer.writeUInt32BE(counter % uint32Values, byteBits / 2)
+
+  const hmac = crypto.createHmac('sha1', key).update(counterBuffer).digest()
+  const offset = hmac[hmac.length - 1] % dynamicTruncationOffsetValues
+  const binary = hmac.readUInt32BE(offset) % dynamicTruncationMask
+
+  return String(binary % (decimalBase ** codeDigits)).padStart(codeDigits, '0')
+}
+
+/**
+ * Hash a recovery code for storage, ignoring case and group separators
+ * @param {string} code the recovery code
+ * @returns {string} the hashed recovery code
+ */
+function hashRecoveryCode (code) {
+  const normalisedCode = code.replace(/-/gu, '').toLowerCase()
+  return crypto.createHash('sha256').update(normalisedCode).digest('hex')
+}
+
+/**
+ * Class for time-based one-time passwords (RFC 6238) used for two-factor authentication
+ */
+export default class TOTP {
+  /**
+   * Generate a new random shared secret
+   * @returns {string} base32 encoded shared secret
+   */
+  static generateSecret () {
+    return base32Encode(crypto.randomBytes(secretLength))
+  }
+
+  /**
+   * Get the otpauth provisioning URI used to add a shared secret to an authenticator app
+   * @param {object} arg function arguments object
+   * @param {string} arg.secret base32 encoded shared secret
+   * @param {string} arg.account the name of the account the secret is for
+   * @returns {string} provisioning URI
+   */
+  static provisioningUri ({ secret, account }) {
+    const parameters = Object.entries({
+      secret,
+      issuer,
+      algorithm: 'SHA1',
+      digits: codeDigits,
+      period: stepSeconds,
+    }).map(([key, value]) => {
+      return `${key}=${encodeURIComponent(value)}`
+    }).join('&')
+
+    return `otpauth://totp/${encodeURIComponent(`${issuer}:${account}`)}?${parameters}`
+  }
+
+  /**
+   * Get the current time step
+   * @param {number} [now] the current time in milliseconds
+   * @returns {number} the current time step
+   */
+  static currentStep (now = Date.now()) {
+    return Math.floor(now / secondMilliseconds / stepSeconds)
+  }
+
+  /**
+   * Generate the code for a shared secret at a time step
+   * @param {string} secret base32 encoded shared secret
+   * @param {number} [step] the time step
+   * @returns {string} the code
+   */
+  static generate (secret, step = TOTP.currentStep()) {
+    return generateHOTP(base32Decode(secret), step)
+  }
+
+  /**
+   * Verify a code against a shared secret, allowing for clock drift of one time step in either direction.
+   * Codes of time steps at or before the last used one are rejected so that each code can only be used once.
+   * @param {object} arg function arguments object
+   * @param {string} arg.secret base32 encoded shared secret
+   * @param {string} arg.code the code to verify
+   * @param {number} [arg.lastUsedStep] the time step of the last code that was used
+   * @returns {number|undefined} the time step the code matched, or undefined if it is invalid
+   */
+  static verify ({ secret, code, lastUsedStep = -1 }) {
+    if (typeof code !== 'string' || codePattern.test(code) === false) {
+      return undefined
+    }
+
+    const currentStep = TOTP.currentStep()
+    for (let step = currentStep - allowedStepDrift; step <= currentStep + allowedStepDrift; step += 1) {
+      if (step > lastUsedStep && codesMatch(TOTP.generate(secret, step), code)) {
+        return step
+      }
+    }
+    return undefined
+  }
+
+  /**
+   * Generate a set of single-use recovery codes
+   * @returns {Promise<{codes: [string], hashes: [string]}>} the recovery codes and their hashes for storage
+   */
+  static async generateRecoveryCodes () {
+    const codes = await Promise.all([...Array(recoveryCodeCount)].map(async () => {
+      const code = await recoveryCodeGenerator()
+      return `${code.substring(0, recoveryCodeGroupLength)}-${code.substring(recoveryCodeGroupLength)}`
+    }))
+
+    return {
+      codes,
+      hashes: codes.map(hashRecoveryCode),
+    }
+  }
+
+  /**
+   * Find the stored hash matching a recovery code
+   * @param {object} arg function arguments object
+   * @param {string} arg.code the recovery code
+   * @param {[string]} arg.hashes the stored recovery code hashes
+   * @returns {string|undefined} the matching hash, or undefined if the recovery code is invalid
+   */
+  static findRecoveryCode ({ code, hashes }) {
+    if (typeof code !== 'string') {
+      return undefined
+    }
+
+    const hash = hashRecoveryCode(code)
+    return hashes.find((storedHash) => {
+      return storedHash === hash
+    })
+  }
+}
@@ -20,6 +20,12 @@ const verificationTokenGenerator = customAlphabet(tokenCharset, verificationToke
 const transactionTokenLength = 32
 const transactionGenerator = customAlphabet(tokenCharset, transactionTokenLength)
 
+const exportTokenLength = 32
+const exportTokenGenerator = customAlphabet(tokenCharset, exportTokenLength)
+
+const recoveryCodeLength = 10
+const recoveryCodeGenerator = customAlphabet('1234567890abcdefghijklmnopqrstuvwxyz', recoveryCodeLength)
+
 export {
   clientSecretGenerator,
   sessionTokenGenerator,
@@ -27,4 +33,6 @@ export {
   resetTokenGenerator,
   verificationTokenGenerator,
   transactionGenerator,
+  exportTokenGenerator,
+  recoveryCodeGenerator,
 }
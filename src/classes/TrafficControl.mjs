@@ -1,107 +1,204 @@
-import { User } from '../db'
+import config from '../config'
+import { Client, User } from '../db'
+import enumerable from '../helpers/Enum'
+import logger from '../logging'
 import { Context } from './Context'
+import createTrafficStore, { TrafficStore, refillBucket } from './TrafficStore'
 
-const hourTimer = 60 * 60 * 1000
+const secondMilliseconds = 1000
+const hourSeconds = 60 * 60
+const pruneTimer = hourSeconds * secondMilliseconds
 
 const allowedUnauthenticatedRequestCount = 360
 const allowedAuthenticatedRequestCount = 3600
+const defaultRequestCost = 1
 
+/**
+ * Enumerable representing the types of entities traffic is rate limited for
+ * @readonly
+ * @enum {string}
+ * @property {string} users traffic from an authenticated user
+ * @property {string} clients traffic through an OAuth client with a custom rate limit
+ * @property {string} ips traffic from an unauthenticated remote address
+ */
+@enumerable({ symbols: false })
+class TrafficEntityType {
+  static users
+  static clients
+  static ips
+}
 
 /**
- * Class for managing the rate of traffic from IP addresses and users
+ * Class for managing the rate of traffic from IP addresses, users, and OAuth clients.
+ * Every traffic entity has a token bucket holding its hourly rate limit which is refilled continuously,
+ * each request takes its cost in tokens from the buckets of the entities making it.
  * @class
  */
 class TrafficControl {
-  #resetTimer = 0
+  #pruneTimer = 0
+  #store = undefined
+
+  /**
+   * Create a new instance of a Traffic Controller
+   * @param {object} [arg] function arguments object
+   * @param {TrafficStore} [arg.store] the storage backend keeping the token buckets, defaults to the configured one
+   */
+  constructor ({ store = createTrafficStore(config.traffic.store) } = {}) {
+    this.#store = store
+    this.#pruneTimer = setInterval(this.prune.bind(this), pruneTimer)
+  }
 
   /**
-   * Create a new instance of a Traffic Controller with fresh hash tables and reset clock
+   * Get the storage backend keeping the token buckets
+   * @returns {TrafficStore} the storage backend keeping the token buckets
    */
-  constructor () {
-    this.reset()
+  get store () {
+    return this.#store
   }
 
   /**
    *
    * @param {object} arg function arguments object
    * @param {Context} arg.connection A websocket client or Express.js request object
-   * @param {boolean} arg.increase Whether this validation should also increase the request count by 1
-   * @returns {object} An object containing whether the rate limit is exceeded, how many requests are left,
-   * and the total requests
-   */
-  validateRateLimit ({ connection, increase = true }) {
-    let entity = undefined
-    if (connection.state.user) {
-      entity = this.retrieveAuthenticatedEntity({ user: connection.state.user })
-    } else {
-      entity = this.retrieveUnauthenticatedEntity({ remoteAddress: connection.request.ip })
-    }
+   * @param {boolean} arg.increase Whether this validation should also take the cost of the request from the rate limit
+   * @param {number} [arg.cost] The cost of the request in number of requests
+   * @returns {Promise<object>} An object containing whether the rate limit is exceeded, how many requests are left,
+   * the total requests, and when the rate limit will be fully restored
+   */
+  async validateRateLimit ({ connection, increase = true, cost = defaultRequestCost }) {
+    const entities = await this.retrieveEntities({ connection })
+    const now = new Date()
+
+    const buckets = await Promise.all(entities.map((entity) => {
+      return this.#store.consume({
+        key: entity.key,
+        capacity: entity.totalRequests,
+        refillRate: entity.refillRate,
+        cost: increase ? cost : 0,
+        now,
+      })
+    }))
+
+    const limitingBucket = TrafficControl.getLimitingBucket({ buckets })
 
-    const valid = entity.remainingRequests > 0
-    if (valid && increase) {
-      entity.count += 1
-    }
     return {
-      exceeded: !valid,
-      remaining: entity.remainingRequests,
-      total: entity.totalRequests,
-      reset: this.nextResetDate,
+      exceeded: limitingBucket.allowed === false,
+      remaining: Math.floor(limitingBucket.tokens),
+      total: limitingBucket.capacity,
+      reset: TrafficControl.getResetDate({ bucket: limitingBucket, now }),
     }
   }
 
   /**
-   * Retrieve an authenticated entity with the number of requests made by this user, or create one
-   * @param {User} user - The user associated with this request
-   * @returns {object} An instance of AuthenticatedUserEntity
+   * Retrieve the traffic entities making a request, the authenticated user and the OAuth client they are using,
+   * or the remote address if the request is unauthenticated. Personal access tokens are not issued to an OAuth client,
+   * so requests made with them only count against the user that owns them.
+   * @param {object} arg function arguments object
+   * @param {Context} arg.connection A websocket client or Express.js request object
+   * @returns {Promise<[TrafficEntity]>} the traffic entities making the request
    */
-  retrieveAuthenticatedEntity ({ user }) {
-    let entity = this.authenticatedRequests[user.id]
-    if (!entity) {
-      entity = new AuthenticatedUserEntity({ user })
-      this.authenticatedRequests[user.id] = entity
+  async retrieveEntities ({ connection }) {
+    const { user, clientId } = connection.state
+    if (!user) {
+      return [new RemoteAddressEntity({ remoteAddress: connection.request.ip })]
     }
-    return entity
+
+    const entities = [new AuthenticatedUserEntity({ user })]
+    if (clientId) {
+      const client = await Client.findOne({
+        attributes: ['id', 'rateLimit'],
+        where: { id: clientId },
+      })
+
+      if (client && client.rateLimit) {
+        entities.push(new ClientEntity({ client }))
+      }
+    }
+    return entities
   }
 
   /**
-   * Retrieve an unauthenticated entity with the number of requests made by this IP address, or create one
-   * @param {string} remoteAddress - The remote address associated with this request
-   * @returns {object} an instance of RemoteAddressEntity
+   * Get the current rate limit state of all traffic entities that have made requests recently
+   * @returns {Promise<[object]>} list of traffic entities with their request counts, limits, and reset times
    */
-  retrieveUnauthenticatedEntity ({ remoteAddress }) {
-    let entity = this.unauthenticatedRequests[remoteAddress]
-    if (!entity) {
-      entity = new RemoteAddressEntity({ remoteAddress })
-      this.unauthenticatedRequests[remoteAddress] = entity
-    }
-    return entity
+  async getEntities () {
+    const buckets = await this.#store.entries()
+    const now = new Date()
+
+    return buckets.map((bucket) => {
+      const { key, capacity, refillRate, updatedAt } = bucket
+      const tokens = refillBucket({ bucket, capacity, refillRate, now })
+      const separatorIndex = key.indexOf(':')
+
+      return {
+        id: key,
+        entityType: key.substring(0, separatorIndex),
+        entityId: key.substring(separatorIndex + 1),
+        count: Math.ceil(capacity - tokens),
+        remaining: Math.floor(tokens),
+        total: capacity,
+        reset: TrafficControl.getResetDate({ bucket: { ...bucket, tokens }, now }),
+        throttled: bucket.allowed === false,
+        lastRequestAt: updatedAt,
+      }
+    })
   }
 
   /**
-   * Get the next time all rate limits will be reset (The next full hour)
-   * @returns {Date} A date object containing the next time all rate limits will be reset
+   * Clear the rate limit state of a traffic entity, restoring its full rate limit
+   * @param {object} arg function arguments object
+   * @param {TrafficEntityType} arg.entityType the type of the traffic entity
+   * @param {string} arg.entityId the user id, OAuth client id, or remote address of the traffic entity
+   * @returns {Promise<boolean>} whether the traffic entity had any rate limit state to clear
    */
-  get nextResetDate () {
-    return new Date(Math.ceil(new Date().getTime() / hourTimer) * hourTimer)
+  resetEntity ({ entityType, entityId }) {
+    return this.#store.delete(`${entityType}:${entityId}`)
   }
 
   /**
-   * Get the remaining milliseconds until the next time all rate limits will be reset (the next full hour)
-   * @returns {number} A number with the number of milliseconds until the next rate limit reset
-   * @private
+   * Get the token bucket that limits a request the most, the first one that did not allow the request,
+   * or otherwise the one with the fewest remaining tokens
+   * @param {object} arg function arguments object
+   * @param {[object]} arg.buckets the token buckets of the traffic entities making a request
+   * @returns {object} the token bucket that limits the request the most
+   */
+  static getLimitingBucket ({ buckets }) {
+    return buckets.reduce((acc, bucket) => {
+      if (!acc || bucket.allowed === false || (acc.allowed && bucket.tokens < acc.tokens)) {
+        return bucket
+      }
+      return acc
+    }, undefined)
+  }
+
+  /**
+   * Get the time at which the token bucket of a traffic entity will be completely refilled
+   * @param {object} arg function arguments object
+   * @param {object} arg.bucket a token bucket
+   * @param {Date} arg.now the current time
+   * @returns {Date} the time at which the token bucket will be completely refilled
    */
-  get remainingTimeToNextResetDate () {
-    return this.nextResetDate.getTime() - new Date().getTime()
+  static getResetDate ({ bucket, now }) {
+    const remainingSeconds = (bucket.capacity - bucket.tokens) / bucket.refillRate
+    return new Date(now.getTime() + Math.ceil(remainingSeconds * secondMilliseconds))
   }
 
   /**
-   * Reset all rate limits
+   * Remove the token buckets of traffic entities that have not made requests long enough for them to be refilled
+   * @returns {Promise<undefined>} resolves a promise when completed successfully
    * @private
    */
-  reset () {
-    this.authenticatedRequests = {}
-    this.unauthenticatedRequests = {}
-    this.#resetTimer = setTimeout(this.reset.bind(this), this.remainingTimeToNextResetDate)
+  async prune () {
+    try {
+      await this.#store.prune()
+    } catch (error) {
+      logger.error({
+        GELF: true,
+        _event: 'error',
+        _message: error.message,
+        _stack: error.stack,
+      }, `Failed to prune rate limits: ${error.message}`)
+    }
   }
 }
 
@@ -111,24 +208,34 @@ class TrafficControl {
  */
 class TrafficEntity {
   /**
-   * Get the number of requests made by this entity during the rate limit period
-   * @returns {number} number of requests made by this entity during the rate limit period
+   * Get the unique key identifying the token bucket of this entity
+   * @returns {string} unique key identifying the token bucket of this entity
+   * @abstract
+   */
+  get key () {
+    return undefined
+  }
+
+  /**
+   * Get the total number of requests allowed by this entity per hour
+   * @returns {number} total number of requests
+   * @abstract
    */
-  get count () {
-    return this.requestCount
+  get totalRequests () {
+    return undefined
   }
 
   /**
-   * Set the number of requests made by this entity during the rate limit period
-   * @param {number} count The number of requests made by this entity during the rate limit period
+   * Get the number of requests this entity regains per second
+   * @returns {number} the number of requests this entity regains per second
    */
-  set count (count) {
-    this.requestCount = count
+  get refillRate () {
+    return this.totalRequests / hourSeconds
   }
 }
 
 /**
- * Class representing an authenticated user containing their requests the last clock hour
+ * Class representing the traffic of an authenticated user
  * @class
  */
 class AuthenticatedUserEntity extends TrafficEntity {
@@ -138,14 +245,18 @@ class AuthenticatedUserEntity extends TrafficEntity {
    * Create an entity representing the traffic made by a specific authenticated user
    * @param {object} arg function arguments object
    * @param {User} arg.user - The user object of the authenticated user this traffic belongs to
-   * @param {number} arg.initialCount Optional parameter containing the number of requests this entity should start with
    */
-  constructor ({ user, initialCount = 0 }) {
+  constructor ({ user }) {
     super()
     this.#user = user
-    this.requestCount = initialCount
   }
 
+  /**
+   * @inheritdoc
+   */
+  get key () {
+    return `${TrafficEntityType.users}:${this.#user.id}`
+  }
 
   /**
    * Get the highest available rate limit for this user
@@ -165,24 +276,48 @@ class AuthenticatedUserEntity extends TrafficEntity {
   }
 
   /**
-   * Get the number of remaining requests this entity has in this period
-   * @returns {number} the number of remaining requests this entity has in this period
+   * @inheritdoc
    */
-  get remainingRequests () {
-    return this.totalRequests - this.requestCount
+  get totalRequests () {
+    return this.userRateLimit
   }
+}
+
+/**
+ * Class representing the traffic made through an OAuth client with a custom rate limit
+ * @class
+ */
+class ClientEntity extends TrafficEntity {
+  #client = undefined
 
   /**
-   * Get the total number of requests allowed by this entity
-   * @returns {number} total number of requests
+   * Create an entity representing the traffic made through a specific OAuth client
+   * @param {object} arg function arguments object
+   * @param {Client} arg.client The OAuth client this traffic belongs to
+   */
+  constructor ({ client }) {
+    super()
+    this.#client = client
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get key () {
+    return `${TrafficEntityType.clients}:${this.#client.id}`
+  }
+
+  /**
+   * @inheritdoc
    */
   get totalRequests () {
-    return this.userRateLimit
+    return this.#client.rateLimit
   }
 }
 
 /**
- * Class representing an unauthenticated remote address containing their requests the last clock hour
+ * Class representing the traffic of an unauthenticated remote address
+ * @class
  */
 class RemoteAddressEntity extends TrafficEntity {
   #remoteAddress = undefined
@@ -191,25 +326,21 @@ class RemoteAddressEntity extends TrafficEntity {
    * Create an entity representing the traffic made by a specific unauthenticated remote address
    * @param {object} arg function arguments object
    * @param {string} arg.remoteAddress The remote address this traffic belongs to
-   * @param {number} [arg.initialCount] Optional parameter containing the number of requests this entity should start
    */
-  constructor ({ remoteAddress, initialCount = 0 }) {
+  constructor ({ remoteAddress }) {
     super()
     this.#remoteAddress = remoteAddress
-    this.requestCount = initialCount
   }
 
   /**
-   * Get the number of remaining requests this entity has in this period
-   * @returns {number} the number of remaining requests this entity has in this period
+   * @inheritdoc
    */
-  get remainingRequests () {
-    return allowedUnauthenticatedRequestCount - this.requestCount
+  get key () {
+    return `${TrafficEntityType.ips}:${this.#remoteAddress}`
   }
 
   /**
-   * Get the total number of requests
-   * @returns {number} total number of requests
+   * @inheritdoc
    */
   get totalRequests () {
     return allowedUnauthenticatedRequestCount
@@ -217,3 +348,4 @@ class RemoteAddressEntity extends TrafficEntity {
 }
 
 export default TrafficControl
+export { TrafficEntityType }
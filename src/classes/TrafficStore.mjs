@@ -0,0 +1,261 @@
+import { db } from '../db'
+
+const secondMilliseconds = 1000
+
+// language=PostgreSQL
+const refilledTokens = `LEAST(
+  $capacity::double precision,
+  "TrafficBuckets"."tokens" +
+    EXTRACT(EPOCH FROM ($now::timestamptz - "TrafficBuckets"."updatedAt")) * $refillRate::double precision
+)`
+
+// language=PostgreSQL
+const consumeQuery = `
+INSERT INTO "TrafficBuckets" ("key", "tokens", "capacity", "refillRate", "allowed", "updatedAt")
+VALUES (
+  $key,
+  CASE
+    WHEN $capacity::double precision >= $cost::double precision
+    THEN $capacity::double precision - $cost::double precision
+    ELSE $capacity::double precision
+  END,
+  $capacity::double precision,
+  $refillRate::double precision,
+  $capacity::double precision >= $cost::double precision,
+  $now::timestamptz
+)
+ON CONFLICT ("key") DO UPDATE SET
+  "tokens" = CASE
+    WHEN ${refilledTokens} >= $cost::double precision
+    THEN ${refilledTokens} - $cost::double precision
+    ELSE ${refilledTokens}
+  END,
+  "allowed" = ${refilledTokens} >= $cost::double precision,
+  "capacity" = $capacity::double precision,
+  "refillRate" = $refillRate::double precision,
+  "updatedAt" = $now::timestamptz
+RETURNING *
+`
+
+// language=PostgreSQL
+const pruneQuery = `
+DELETE FROM "TrafficBuckets"
+WHERE "tokens" + EXTRACT(EPOCH FROM ($now::timestamptz - "updatedAt")) * "refillRate" >= "capacity"
+`
+
+/**
+ * Error thrown when an abstract method has not been implemented by a subclass
+ */
+class NotImplementedError extends Error {
+  /**
+   * Create a new not implemented error.
+   * @param {string} description Description of the method that has not been implemented.
+   */
+  constructor (description) {
+    super(`${description} requires implementation by subclass`)
+  }
+}
+
+/**
+ * Get the number of tokens in a bucket after refilling it for the time passed since it was last updated
+ * @param {object} arg function arguments object
+ * @param {object} arg.bucket the token bucket
+ * @param {number} arg.capacity the maximum number of tokens the bucket can hold
+ * @param {number} arg.refillRate the number of tokens added to the bucket per second
+ * @param {Date} arg.now the current time
+ * @returns {number} the number of tokens in the bucket
+ */
+export function refillBucket ({ bucket, capacity, refillRate, now }) {
+  const elapsedSeconds = (now.getTime() - bucket.updatedAt.getTime()) / secondMilliseconds
+  return Math.min(capacity, bucket.tokens + (elapsedSeconds * refillRate))
+}
+
+/**
+ * Base class for storage backends keeping the rate limit token buckets of traffic entities
+ * @class
+ * @abstract
+ */
+export class TrafficStore {
+  /**
+   * Refill the token bucket of a traffic entity for the time passed since it was last used, and take the cost of
+   * a request from it if it contains enough tokens. Takes an object with the unique key of the traffic entity, the
+   * capacity of its bucket, its refill rate in tokens per second, the cost of the request, and optionally the
+   * current time.
+   * @returns {Promise<{key: string, tokens: number, capacity: number, refillRate: number, allowed: boolean,
+   * updatedAt: Date}>} the updated token bucket, and whether the request was allowed
+   * @abstract
+   */
+  consume () {
+    throw new NotImplementedError('TrafficStore.consume')
+  }
+
+  /**
+   * Get the token buckets of all traffic entities that have made requests recently
+   * @returns {Promise<[object]>} list of token buckets
+   * @abstract
+   */
+  entries () {
+    throw new NotImplementedError('TrafficStore.entries')
+  }
+
+  /**
+   * Remove the token bucket of the traffic entity with the given key, restoring its full rate limit
+   * @returns {Promise<boolean>} whether a token bucket was removed
+   * @abstract
+   */
+  delete () {
+    throw new NotImplementedError('TrafficStore.delete')
+  }
+
+  /**
+   * Remove token buckets that have refilled completely by the given time, or the current time,
+   * as they are equivalent to no bucket at all
+   * @returns {Promise<undefined>} resolves a promise when completed successfully
+   * @abstract
+   */
+  prune () {
+    throw new NotImplementedError('TrafficStore.prune')
+  }
+}
+
+/**
+ * Traffic store keeping token buckets in the memory of this API instance
+ * @class
+ * @augments {TrafficStore}
+ */
+export class MemoryTrafficStore extends TrafficStore {
+  #buckets = new Map()
+
+  /**
+   * @inheritdoc
+   */
+  consume ({
+    key, capacity, refillRate, cost, now = new Date(),
+  }) {
+    const bucket = this.#buckets.get(key)
+    let tokens = capacity
+    if (bucket) {
+      tokens = refillBucket({ bucket, capacity, refillRate, now })
+    }
+
+    const allowed = tokens >= cost
+    if (allowed) {
+      tokens -= cost
+    }
+
+    const result = {
+      key,
+      tokens,
+      capacity,
+      refillRate,
+      allowed,
+      updatedAt: now,
+    }
+    this.#buckets.set(key, result)
+    return Promise.resolve({ ...result })
+  }
+
+  /**
+   * @inheritdoc
+   */
+  entries () {
+    return Promise.resolve([...this.#buckets.values()].map((bucket) => {
+      return { ...bucket }
+    }))
+  }
+
+  /**
+   * @inheritdoc
+   */
+  delete (key) {
+    return Promise.resolve(this.#buckets.delete(key))
+  }
+
+  /**
+   * @inheritdoc
+   */
+  prune (now = new Date()) {
+    this.#buckets.forEach((bucket, key) => {
+      const { capacity, refillRate } = bucket
+      if (refillBucket({ bucket, capacity, refillRate, now }) >= capacity) {
+        this.#buckets.delete(key)
+      }
+    })
+    return Promise.resolve()
+  }
+}
+
+/**
+ * Traffic store keeping token buckets in PostgreSQL, sharing rate limits between all API instances
+ * @class
+ * @augments {TrafficStore}
+ */
+export class DatabaseTrafficStore extends TrafficStore {
+  /**
+   * @inheritdoc
+   */
+  async consume ({
+    key, capacity, refillRate, cost, now = new Date(),
+  }) {
+    const [bucket] = await db.query(consumeQuery, {
+      bind: {
+        key,
+        capacity,
+        refillRate,
+        cost,
+        now,
+      },
+      type: db.QueryTypes.SELECT,
+    })
+
+    return bucket
+  }
+
+  /**
+   * @inheritdoc
+   */
+  entries () {
+    return db.query('SELECT * FROM "TrafficBuckets"', {
+      type: db.QueryTypes.SELECT,
+    })
+  }
+
+  /**
+   * @inheritdoc
+   */
+  async delete (key) {
+    const deleted = await db.query('DELETE FROM "TrafficBuckets" WHERE "key" = $key RETURNING "key"', {
+      bind: { key },
+      type: db.QueryTypes.SELECT,
+    })
+
+    return deleted.length > 0
+  }
+
+  /**
+   * @inheritdoc
+   */
+  async prune (now = new Date()) {
+    await db.query(pruneQuery, {
+      bind: { now },
+    })
+  }
+}
+
+/**
+ * Create the traffic store backend with the given name
+ * @param {string} name name of the traffic store backend, either "memory" or "postgres"
+ * @returns {TrafficStore} a traffic store
+ */
+export default function createTrafficStore (name) {
+  switch (name) {
+    case 'postgres':
+      return new DatabaseTrafficStore()
+
+    case 'memory':
+      return new MemoryTrafficStore()
+
+    default:
+      throw new Error(`Unknown traffic store ${name}`)
+  }
+}
@@ -4,7 +4,7 @@ import ws from 'ws'
 import Document from '../Documents/Document'
 import ErrorDocument from '../Documents/ErrorDocument'
 import config from '../config'
-import { User } from '../db'
+import { EventLogEntry, User } from '../db'
 import logger from '../logging'
 import Query from '../query/Query'
 import {
@@ -15,8 +15,9 @@ import {
 } from './APIError'
 
 import Authentication from './Authentication'
-import { Context } from './Context'
+import { Context, Request } from './Context'
 import { listen } from './Event'
+import EventLog from './EventLog'
 import Permission from './Permission'
 import StatusCode from './StatusCode'
 import TrafficControl from './TrafficControl'
@@ -63,21 +64,43 @@ export default class WebSocket {
 
 
       const url = new URL(`${config.server.externalUrl}${req.url}`)
+      const since = EventLog.parseCursor(url.searchParams.get('since'))
+      if (typeof since !== 'undefined') {
+        EventLog.hold(client)
+      }
+
       const bearer = url.searchParams.get('bearer')
       if (bearer) {
-        const { user, scope, clientId } = await Authentication.bearerAuthenticate({ bearer })
+        const { ip } = new Request({ client })
+        const {
+          user, scope, clientId, personalAccessToken,
+        } = await Authentication.bearerAuthenticate({ bearer, ip })
         if (user) {
           client.user = user
           client.scope = scope
           client.clientId = clientId
+          client.personalAccessToken = personalAccessToken
         }
       }
 
       // noinspection JSClosureCompilerSyntax
       const context = new Context({ client, request: {} })
-      client.permissions = Permission.getConnectionPermissions({ connection: context })
+      client.permissions = await Authentication.enforceTwoFactorEnrolment({
+        user: client.user,
+        permissions: Permission.getConnectionPermissions({ connection: context }),
+      })
 
       await this.onConnection({ ctx: context, client })
+      if (typeof since !== 'undefined') {
+        this.onResume({ client, since }).catch((error) => {
+          logger.error({
+            GELF: true,
+            _event: 'error',
+            _message: error.message,
+            _stack: error.stack,
+          }, 'Failed to resume websocket events')
+        })
+      }
 
       client.on('message', (message) => {
         try {
@@ -114,7 +137,7 @@ export default class WebSocket {
     const route = await WebSocket.getRoute('version', 'read')
     const result = await route(ctx)
 
-    ctx.state.traffic = this.traffic.validateRateLimit({ connection: ctx, increase: false })
+    ctx.state.traffic = await this.traffic.validateRateLimit({ connection: ctx, increase: false })
 
     WebSocket.send({
       client,
@@ -126,6 +149,37 @@ export default class WebSocket {
     })
   }
 
+  /**
+   * Replay the events a reconnecting client missed since the last event it received, if it is authenticated
+   * @param {object} arg function arguments object
+   * @param {ws.Client} arg.client websocket client
+   * @param {number} arg.since the id of the last event the client received
+   * @returns {Promise<void>} resolves promise when completed
+   */
+  async onResume ({ client, since }) {
+    if (typeof client.user === 'undefined') {
+      EventLog.release(client)
+      return
+    }
+
+    const result = await EventLog.resume({
+      subscriber: client,
+      since,
+      send: (entry) => {
+        WebSocket.sendEvent({ client, entry })
+      },
+    })
+
+    WebSocket.send({
+      client,
+      message: [
+        'resume',
+        StatusCode.ok,
+        result,
+      ],
+    })
+  }
+
   /**
    * On WebSocket message event
    * @param {object} arg function arguments object
@@ -229,9 +283,10 @@ export default class WebSocket {
    * @param {Function} arg.endpoint
    * @returns {*}
    */
-  route ({ ctx, endpoint }) {
-    const rateLimit = this.traffic.validateRateLimit({ connection: ctx })
+  async route ({ ctx, endpoint }) {
+    const rateLimit = await this.traffic.validateRateLimit({ connection: ctx })
     ctx.state.traffic = rateLimit
+    ctx.state.trafficControl = this.traffic
     if (rateLimit.exceeded) {
       throw new TooManyRequestsAPIError({})
     }
@@ -242,32 +297,21 @@ export default class WebSocket {
 
   /**
    * Event listener for fuelrats api change events that should be broadcasted to websocket
-   * @param {User} user the user that caused the vent
-   * @param {string} id the id of the resource this event relates to
-   * @param {object} data event data
+   * @param {EventLogEntry} entry the event log entry of the event
    */
-  @listen('fuelrats.*')
-  onEvent (user, id, data) {
+  @listen('eventlog.deliver')
+  onEvent (entry) {
     const clients = [...WebSocket.wss.clients].filter((client) => {
       return typeof client.user !== 'undefined'
     })
 
     for (const client of clients) {
-      let document = data
-      if (document instanceof Document) {
-        const context = new Context({ client, request: {} })
-        document.query = new Query({ connection: context })
-        document = document.render()
-      }
-
-      WebSocket.send({
-        client,
-        message: [
-          this.event,
-          user.id,
-          id,
-          document,
-        ],
+      EventLog.deliver({
+        subscriber: client,
+        entry,
+        send: (event) => {
+          WebSocket.sendEvent({ client, entry: event })
+        },
       })
     }
   }
@@ -311,6 +355,27 @@ export default class WebSocket {
     }
   }
 
+  /**
+   * Send a fuelrats api event to a WebSocket client, with the event data rendered for the client
+   * @param {object} arg function arguments object
+   * @param {ws.Client} arg.client websocket client
+   * @param {EventLogEntry} arg.entry the event log entry of the event
+   */
+  static sendEvent ({ client, entry }) {
+    const context = new Context({ client, request: {} })
+
+    WebSocket.send({
+      client,
+      message: [
+        entry.event,
+        entry.userId,
+        entry.resourceId,
+        EventLog.render({ entry, connection: context }),
+        entry.id ? Number(entry.id) : undefined,
+      ],
+    })
+  }
+
   /**
    * Send a message to multiple WebSocket clients
    * @param {object} arg function arguments object
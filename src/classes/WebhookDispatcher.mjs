@@ -0,0 +1,314 @@
+import axios from 'axios'
+import http from 'http'
+import https from 'https'
+import Sequelize from 'sequelize'
+import { URL } from 'url'
+import Document from '../Documents/Document'
+import { User, WebhookDelivery, WebhookSubscription } from '../db'
+import { publicAddressLookup, resolvesToPublicAddresses } from '../helpers/Network'
+import logger from '../logging'
+import Query from '../query'
+import { generateHmacSignature } from './Announcer'
+import { listen } from './Event'
+import Permission from './Permission'
+
+const { Op } = Sequelize
+
+const secondMilliseconds = 1000
+const minuteMilliseconds = 60 * secondMilliseconds
+const deliveryTimeoutSeconds = 10
+const deliveryTimeout = deliveryTimeoutSeconds * secondMilliseconds
+const deliveryLeaseMinutes = 5
+const deliveryLease = deliveryLeaseMinutes * minuteMilliseconds
+const retryBaseDelaySeconds = 30
+const retryBaseDelay = retryBaseDelaySeconds * secondMilliseconds
+const retryCheckInterval = minuteMilliseconds
+const retryBatchSize = 100
+const maxDeliveryAttempts = 8
+
+/* Deliveries resolve webhook hosts through a lookup that refuses non-public addresses, as DNS records can change
+ * after the subscription URL was validated */
+const httpAgent = new http.Agent({ lookup: publicAddressLookup })
+const httpsAgent = new https.Agent({ lookup: publicAddressLookup })
+
+/**
+ * Check whether an event name matches an event pattern, where * matches a single segment of the event name
+ * and ** matches any number of segments
+ * @param {[string]} patternSegments the dot separated segments of the event pattern
+ * @param {[string]} eventSegments the dot separated segments of the event name
+ * @returns {boolean} whether the event name matches the pattern
+ */
+function matchesEventPattern (patternSegments, eventSegments) {
+  if (patternSegments.length === 0) {
+    return eventSegments.length === 0
+  }
+
+  const [segment, ...remainingSegments] = patternSegments
+  if (segment === '**') {
+    return eventSegments.some((eventSegment, index) => {
+      return matchesEventPattern(remainingSegments, eventSegments.slice(index))
+    }) || matchesEventPattern(remainingSegments, [])
+  }
+
+  if (eventSegments.length === 0 || (segment !== '*' && segment !== eventSegments[0])) {
+    return false
+  }
+  return matchesEventPattern(remainingSegments, eventSegments.slice(1))
+}
+
+/**
+ * Create a connection representing the owner of a webhook subscription's OAuth client, used to render event
+ * documents with only the data the owner is permitted to read
+ * @param {User} user the owner of the OAuth client
+ * @returns {object} a connection object for rendering documents
+ */
+function ownerConnection (user) {
+  const state = { user }
+  return {
+    state: {
+      ...state,
+      permissions: Permission.getConnectionPermissions({ connection: { state } }),
+    },
+    query: {},
+  }
+}
+
+/**
+ * Get the delay before the next delivery attempt of a webhook event, doubling with each failed attempt
+ * @param {number} attempts the number of delivery attempts made so far
+ * @returns {number} the delay before the next attempt in milliseconds
+ */
+function retryDelay (attempts) {
+  return retryBaseDelay * (2 ** (attempts - 1))
+}
+
+/**
+ * Delivers API events to the webhook subscriptions of OAuth clients as HMAC signed HTTP requests,
+ * retrying failed deliveries with an exponential backoff
+ */
+export default class WebhookDispatcher {
+  /**
+   * Receive all API events and queue deliveries for the webhook subscriptions matching them
+   * @param {User} user the user that caused the event
+   * @param {string} id the id of the resource the event is for
+   * @param {object} data the event data
+   */
+  @listen('fuelrats.*')
+  static onEvent (user, id, data) {
+    WebhookDispatcher.dispatch({ event: this.event, user, id, data }).catch((error) => {
+      logger.error({
+        GELF: true,
+        _event: 'error',
+        _message: error.message,
+        _stack: error.stack,
+      }, `Failed to dispatch webhook event ${this.event}: ${error.message}`)
+    })
+  }
+
+  /**
+   * Create deliveries of an event for every active webhook subscription matching it and attempt to deliver them
+   * @param {object} arg function arguments object
+   * @param {string} arg.event the event name
+   * @param {User} arg.user the user that caused the event
+   * @param {string} arg.id the id of the resource the event is for
+   * @param {object} arg.data the event data
+   * @returns {Promise<undefined>} resolves a promise when completed successfully
+   */
+  static async dispatch ({ event, user, id, data }) {
+    const eventSegments = event.split('.')
+    const activeSubscriptions = await WebhookSubscription.findAll({ where: { active: true } })
+    const subscriptions = activeSubscriptions.filter((subscription) => {
+      return subscription.events.some((pattern) => {
+        return matchesEventPattern(pattern.split('.'), eventSegments)
+      })
+    })
+
+    if (subscriptions.length === 0) {
+      return
+    }
+
+    const ownerIds = subscriptions.map((subscription) => {
+      return subscription.client.userId
+    })
+    const owners = await User.findAll({ where: { id: [...new Set(ownerIds)] } })
+
+    const timestamp = new Date()
+    const deliveries = await WebhookDelivery.bulkCreate(subscriptions.map((subscription) => {
+      const owner = owners.find((ownerUser) => {
+        return ownerUser.id === subscription.client.userId
+      })
+
+      let document = data
+      if (document instanceof Document) {
+        document.query = new Query({ connection: ownerConnection(owner) })
+        document = document.render()
+      }
+
+      return {
+        event,
+        resourceId: id,
+        payload: {
+          event,
+          id,
+          user: user?.id,
+          data: document,
+          timestamp,
+        },
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: new Date(timestamp.getTime() + deliveryLease),
+        subscriptionId: subscription.id,
+      }
+    }), { returning: true })
+
+    await Promise.all(deliveries.map((delivery) => {
+      const subscription = subscriptions.find((matchingSubscription) => {
+        return matchingSubscription.id === delivery.subscriptionId
+      })
+      return WebhookDispatcher.deliver({ delivery, subscription })
+    }))
+  }
+
+  /**
+   * Attempt to deliver an event to a webhook subscription, scheduling a retry if it fails,
+   * or marking it as failed once it has run out of attempts
+   * @param {object} arg function arguments object
+   * @param {WebhookDelivery} arg.delivery the delivery to attempt
+   * @param {WebhookSubscription} arg.subscription the webhook subscription the delivery is for
+   * @returns {Promise<WebhookDelivery>} the updated delivery
+   */
+  static async deliver ({ delivery, subscription }) {
+    const contents = JSON.stringify(delivery.payload)
+    const hmacSignature = generateHmacSignature({ contents, key: subscription.secret })
+    const attempts = delivery.attempts + 1
+
+    try {
+      const { hostname } = new URL(subscription.url)
+      if (await resolvesToPublicAddresses(hostname) === false) {
+        throw new Error(`Refusing to deliver to ${hostname} as it does not resolve to a public address`)
+      }
+
+      const response = await axios({
+        method: 'POST',
+        url: subscription.url,
+        headers: {
+          'Content-Type': 'application/json',
+          'X-API-Signature': `sha1=${hmacSignature}`,
+          'X-API-Event': delivery.event,
+          'X-API-Delivery': delivery.id,
+        },
+        data: contents,
+        timeout: deliveryTimeout,
+        maxRedirects: 0,
+        httpAgent,
+        httpsAgent,
+      })
+
+      return delivery.update({
+        status: 'succeeded',
+        attempts,
+        nextAttemptAt: null,
+        responseStatus: response.status,
+        error: null,
+        deliveredAt: new Date(),
+      })
+    } catch (error) {
+      const failed = attempts >= maxDeliveryAttempts
+      let nextAttemptAt = null
+      if (!failed) {
+        nextAttemptAt = new Date(Date.now() + retryDelay(attempts))
+      }
+
+      return delivery.update({
+        status: failed ? 'failed' : 'pending',
+        attempts,
+        nextAttemptAt,
+        responseStatus: error.response?.status ?? null,
+        error: error.message,
+      })
+    }
+  }
+
+  /**
+   * Reset a delivery that has already succeeded or failed and attempt to deliver it again
+   * @param {object} arg function arguments object
+   * @param {WebhookDelivery} arg.delivery the delivery to replay
+   * @param {WebhookSubscription} arg.subscription the webhook subscription the delivery is for
+   * @returns {Promise<WebhookDelivery>} the updated delivery
+   */
+  static async replay ({ delivery, subscription }) {
+    await delivery.update({
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: new Date(Date.now() + deliveryLease),
+      responseStatus: null,
+      error: null,
+      deliveredAt: null,
+    })
+    return WebhookDispatcher.deliver({ delivery, subscription })
+  }
+
+  /**
+   * Start periodically retrying webhook deliveries that are due for another attempt
+   */
+  static scheduleRetries () {
+    setInterval(() => {
+      WebhookDispatcher.sendRetries().catch((error) => {
+        logger.error({
+          GELF: true,
+          _event: 'error',
+          _message: error.message,
+          _stack: error.stack,
+        }, `Failed to retry webhook deliveries: ${error.message}`)
+      })
+    }, retryCheckInterval)
+  }
+
+  /**
+   * Retry the pending deliveries of active webhook subscriptions that are due for another attempt. Each delivery is
+   * claimed by moving its next attempt forward first, so that it is only retried by one API instance at a time.
+   * @returns {Promise<undefined>} resolves a promise when completed successfully
+   */
+  static async sendRetries () {
+    const now = new Date()
+    const dueDeliveries = await WebhookDelivery.findAll({
+      where: {
+        status: 'pending',
+        nextAttemptAt: { [Op.lte]: now },
+      },
+      order: [['nextAttemptAt', 'ASC']],
+      limit: retryBatchSize,
+    })
+
+    const subscriptionIds = dueDeliveries.map((delivery) => {
+      return delivery.subscriptionId
+    })
+    const subscriptions = await WebhookSubscription.findAll({
+      where: { id: [...new Set(subscriptionIds)], active: true },
+    })
+
+    await Promise.all(dueDeliveries.map(async (delivery) => {
+      const subscription = subscriptions.find((activeSubscription) => {
+        return activeSubscription.id === delivery.subscriptionId
+      })
+      if (!subscription) {
+        return undefined
+      }
+
+      const [claimed] = await WebhookDelivery.update({
+        nextAttemptAt: new Date(now.getTime() + deliveryLease),
+      }, {
+        where: {
+          id: delivery.id,
+          status: 'pending',
+          nextAttemptAt: delivery.nextAttemptAt,
+        },
+      })
+      if (claimed === 0) {
+        return undefined
+      }
+
+      return WebhookDispatcher.deliver({ delivery, subscription })
+    }))
+  }
+}
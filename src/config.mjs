@@ -15,6 +15,14 @@ const config = {
     clientId: recommended('FRAPI_FRONTEND_CLIENTID', []),
     url: required('FRAPI_FRONTEND_URL', [], 'https://fuelrats.com'),
   },
+  oauth: {
+    accessTokenLifetime: toNumber(optional('FRAPI_OAUTH_ACCESS_TOKEN_LIFETIME', [], 3600)),
+    refreshTokenLifetime: toNumber(optional('FRAPI_OAUTH_REFRESH_TOKEN_LIFETIME', [], 2592000)),
+  },
+  openid: {
+    keysDirectory: recommended('FRAPI_OPENID_KEYS_DIRECTORY', [], undefined),
+    idTokenLifetime: toNumber(optional('FRAPI_OPENID_ID_TOKEN_LIFETIME', [], 3600)),
+  },
   postgres: {
     database: required('FRAPI_POSTGRES_DATABASE', [], 'fuelrats'),
     hostname: required('FRAPI_POSTGRES_HOSTNAME', [], 'localhost'),
@@ -49,6 +57,30 @@ const config = {
       drill: recommended('FRAPI_ANNOUNCER_DESTINATION_DRILL', [], '#doersofstuff'),
     },
   },
+  traffic: {
+    store: optional('FRAPI_TRAFFIC_STORE', [], 'memory'),
+  },
+  sessions: {
+    staleDays: toNumber(optional('FRAPI_SESSION_STALE_DAYS', [], 90)),
+  },
+  decals: {
+    lowStockThreshold: toNumber(optional('FRAPI_DECAL_LOW_STOCK_THRESHOLD', [], 50)),
+  },
+  epics: {
+    reviewQuorum: toNumber(optional('FRAPI_EPIC_REVIEW_QUORUM', [], 1)),
+  },
+  dataExports: {
+    expiryHours: toNumber(optional('FRAPI_DATA_EXPORT_EXPIRY_HOURS', [], 48)),
+  },
+  twoFactor: {
+    requireAdminEnrolment: toBoolean(optional('FRAPI_TWO_FACTOR_REQUIRE_ADMIN_ENROLMENT', [], false)),
+  },
+  eventLog: {
+    size: toNumber(optional('FRAPI_EVENT_LOG_SIZE', [], 10000)),
+  },
+  paperwork: {
+    reminderMinutes: toNumber(optional('FRAPI_PAPERWORK_REMINDER_MINUTES', [], undefined)),
+  },
   frontier: {
     clientId: recommended('FRAPI_FRONTIER_CLIENTID', [], undefined),
     sharedKey: recommended('FRAPI_FRONTIER_SHAREDKEY', [], undefined),
@@ -161,4 +193,25 @@ function optional (property, validations, defaultValue = undefined) {
   return value
 }
 
+/**
+ * Convert a config value provided as an environment variable string to a number
+ * @param {*} value the config value
+ * @returns {number|undefined} the config value as a number, or undefined if it is not set
+ */
+function toNumber (value) {
+  if (typeof value === 'undefined') {
+    return undefined
+  }
+  return Number(value)
+}
+
+/**
+ * Convert a config value provided as an environment variable string to a boolean
+ * @param {*} value the config value
+ * @returns {boolean} whether the config value is set to true
+ */
+function toBoolean (value) {
+  return value === true || ['true', '1'].includes(String(value).toLowerCase())
+}
+
 export default config
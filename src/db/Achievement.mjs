@@ -0,0 +1,34 @@
+import Model, { column, table, validate, type } from './Model'
+
+const badgeMaxLength = 64
+
+@table({
+  indexes: [{
+    fields: ['userId', 'badge'],
+    unique: true,
+  }],
+})
+/**
+ * Model class for the achievement badges users have been awarded
+ */
+export default class Achievement extends Model {
+  @validate({ isUUID: 4 })
+  @column(type.UUID, { primaryKey: true })
+  static id = type.UUIDV4
+
+  @validate({ len: [1, badgeMaxLength] })
+  @column(type.STRING(badgeMaxLength))
+  static badge = undefined
+
+  @validate({ isUUID: 4 })
+  @column(type.UUID)
+  static userId = undefined
+
+  /**
+   * @inheritdoc
+   */
+  static associate (models) {
+    super.associate(models)
+    models.Achievement.belongsTo(models.User, { as: 'user' })
+  }
+}
@@ -0,0 +1,43 @@
+import Model, { column, table, validate, type } from './Model'
+
+@table({
+  updatedAt: false,
+})
+/**
+ * Model class for the audit log of privileged and administrative changes made to resources through the API
+ */
+export default class AuditLog extends Model {
+  @validate({ isUUID: 4 })
+  @column(type.UUID, { primaryKey: true })
+  static id = type.UUIDV4
+
+  @column(type.STRING)
+  static action = undefined
+
+  @column(type.STRING)
+  static resourceType = undefined
+
+  @column(type.STRING, { allowNull: true })
+  static resourceId = undefined
+
+  @column(type.JSONB, { allowNull: true })
+  static before = undefined
+
+  @column(type.JSONB, { allowNull: true })
+  static after = undefined
+
+  @validate({ isUUID: 4 })
+  @column(type.UUID, { allowNull: true })
+  static userId = undefined
+
+  @validate({ isUUID: 4 })
+  @column(type.UUID, { allowNull: true })
+  static representedUserId = undefined
+
+  @validate({ isUUID: 4 })
+  @column(type.UUID, { allowNull: true })
+  static clientId = undefined
+
+  @column(type.STRING, { allowNull: true })
+  static ip = undefined
+}
@@ -38,6 +38,12 @@ export default class Client extends Model {
   @column(type.BOOLEAN)
   static firstParty = false
 
+  @column(type.BOOLEAN)
+  static public = false
+
+  @column(type.INTEGER, { allowNull: true })
+  static rateLimit = undefined
+
   /**
    * Function that runs when one attempts to set a new value to the client secret field, hashing the value
    * @param {Client} instance client model instance
@@ -56,7 +62,7 @@ export default class Client extends Model {
    * @returns {object} json output of the model without the client secret
    */
   toJSON () {
-    const values = this.get()
+    const values = { ...this.get() }
     delete values.secret
     return values
   }
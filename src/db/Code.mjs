@@ -1,11 +1,12 @@
 import Permission from '../classes/Permission'
-import { isURL } from '../helpers/Validators'
+import { isURL, oAuthCodeChallenge } from '../helpers/Validators'
 import Model, { column, validate, table, type } from './Model'
 
 const oAuthScopeMaxLength = 128
 const oAuthTokenMinLength = 24
 const oAuthTokenMaxLength = 128
 const oAuthRedirectUriMaxLength = 255
+const oAuthNonceMaxLength = 255
 
 @table({})
 /**
@@ -36,6 +37,13 @@ export default class Code extends Model {
   @column(type.UUID)
   static clientId = undefined
 
+  @validate({ is: oAuthCodeChallenge })
+  @column(type.STRING, { allowNull: true })
+  static codeChallenge = undefined
+
+  @column(type.STRING(oAuthNonceMaxLength), { allowNull: true })
+  static nonce = undefined
+
   /**
    * @inheritdoc
    */
@@ -0,0 +1,52 @@
+import Model, { column, table, validate, type } from './Model'
+
+const exportTokenLength = 32
+
+@table({})
+/**
+ * Model class for archives of the personal data held on a user that they have requested a copy of
+ */
+export default class DataExport extends Model {
+  @validate({ isUUID: 4 })
+  @column(type.UUID, { primaryKey: true })
+  static id = type.UUIDV4
+
+  @validate({ isAlphanumeric: true, len: [exportTokenLength, exportTokenLength] })
+  @column(type.STRING, { unique: true })
+  static token = undefined
+
+  @column(type.BLOB(), { allowNull: true })
+  static archive = undefined
+
+  @column(type.DATE, { allowNull: true })
+  static expiresAt = undefined
+
+  @validate({ isUUID: 4 })
+  @column(type.UUID)
+  static userId = undefined
+
+  /**
+   * @inheritdoc
+   */
+  static getScopes () {
+    return {
+      defaultScope: [{
+        attributes: {
+          exclude: ['archive'],
+        },
+      }],
+
+      data: [{
+        attributes: ['id', 'archive', 'expiresAt', 'userId', 'createdAt'],
+      }],
+    }
+  }
+
+  /**
+   * @inheritdoc
+   */
+  static associate (models) {
+    super.associate(models)
+    models.DataExport.belongsTo(models.User, { as: 'user' })
+  }
+}
@@ -0,0 +1,21 @@
+import Model, { column, table, validate, type } from './Model'
+
+@table({})
+/**
+ * Model class for the monthly runs that email eligible users a link to redeem their rescue decals
+ */
+export default class DecalIssuance extends Model {
+  @validate({ isUUID: 4 })
+  @column(type.UUID, { primaryKey: true })
+  static id = type.UUIDV4
+
+  @column(type.DATE, { unique: true })
+  static month = undefined
+
+  @validate({ min: 0 })
+  @column(type.INTEGER)
+  static notifiedCount = 0
+
+  @column(type.DATE, { allowNull: true })
+  static completedAt = undefined
+}
@@ -27,6 +27,9 @@ export default class Epic extends Model {
   @column(type.UUID)
   static nominatedById = undefined
 
+  @column(type.ENUM('pending', 'approved', 'rejected'))
+  static status = 'pending'
+
   /**
    * @inheritdoc
    */
@@ -72,5 +75,6 @@ export default class Epic extends Model {
       as: 'nominatedBy',
       foreignKey: 'nominatedById',
     })
+    models.Epic.hasMany(models.EpicReview, { foreignKey: 'epicId', as: 'reviews' })
   }
 }
@@ -0,0 +1,37 @@
+import Model, { column, table, validate, type } from './Model'
+
+const epicReviewCommentMaxLength = 2048
+
+@table({})
+/**
+ * Model class for the votes reviewers have cast on epic nominations
+ */
+export default class EpicReview extends Model {
+  @validate({ isUUID: 4 })
+  @column(type.UUID, { primaryKey: true })
+  static id = type.UUIDV4
+
+  @column(type.ENUM('approve', 'reject'))
+  static decision = undefined
+
+  @validate({ len: [1, epicReviewCommentMaxLength] })
+  @column(type.TEXT)
+  static comment = undefined
+
+  @validate({ isUUID: 4 })
+  @column(type.UUID)
+  static epicId = undefined
+
+  @validate({ isUUID: 4 })
+  @column(type.UUID)
+  static reviewerId = undefined
+
+  /**
+   * @inheritdoc
+   */
+  static associate (models) {
+    super.associate(models)
+    models.EpicReview.belongsTo(models.Epic, { as: 'epic', foreignKey: 'epicId' })
+    models.EpicReview.belongsTo(models.User, { as: 'reviewer', foreignKey: 'reviewerId' })
+  }
+}
@@ -0,0 +1,31 @@
+import Model, { column, table, validate, type } from './Model'
+
+@table({
+  updatedAt: false,
+})
+/**
+ * Model class for the persisted log of API events, used to replay events missed by reconnecting clients
+ */
+export default class EventLogEntry extends Model {
+  @column(type.BIGINT, { primaryKey: true, autoIncrement: true })
+  static id = undefined
+
+  @column(type.STRING)
+  static event = undefined
+
+  @validate({ isUUID: 4 })
+  @column(type.UUID, { allowNull: true })
+  static userId = undefined
+
+  @column(type.STRING, { allowNull: true })
+  static resourceId = undefined
+
+  @column(type.STRING, { allowNull: true })
+  static resourceType = undefined
+
+  @column(type.STRING, { allowNull: true })
+  static documentView = undefined
+
+  @column(type.JSONB, { allowNull: true })
+  static data = undefined
+}
@@ -0,0 +1,15 @@
+import Model, { column, table, validate, type } from './Model'
+
+@table({})
+/**
+ * Model class for the last time each rescue was reminded of overdue paperwork, kept apart from the rescue so that
+ * reminders do not add revisions to its history
+ */
+export default class PaperworkReminder extends Model {
+  @validate({ isUUID: 4 })
+  @column(type.UUID, { primaryKey: true })
+  static rescueId = undefined
+
+  @column(type.DATE)
+  static remindedAt = undefined
+}
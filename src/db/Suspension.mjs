@@ -0,0 +1,58 @@
+import Model, { column, table, validate, type } from './Model'
+
+@table({})
+/**
+ * Model class for the suspensions moderators have placed on user accounts
+ */
+export default class Suspension extends Model {
+  @validate({ isUUID: 4 })
+  @column(type.UUID, { primaryKey: true })
+  static id = type.UUIDV4
+
+  @validate({ notEmpty: true })
+  @column(type.TEXT)
+  static reason = undefined
+
+  @column(type.DATE)
+  static expiresAt = undefined
+
+  @column(type.DATE, { allowNull: true })
+  static endedAt = undefined
+
+  @validate({ isUUID: 4 })
+  @column(type.UUID)
+  static userId = undefined
+
+  @validate({ isUUID: 4 })
+  @column(type.UUID, { allowNull: true })
+  static moderatorId = undefined
+
+  @validate({ isUUID: 4 })
+  @column(type.UUID, { allowNull: true })
+  static liftedById = undefined
+
+  /**
+   * Check whether this suspension is currently in effect
+   * @param {Date} [now] the current time
+   * @returns {boolean} whether this suspension is currently in effect
+   */
+  isActive (now = new Date()) {
+    return !this.endedAt && this.expiresAt > now
+  }
+
+  /**
+   * @inheritdoc
+   */
+  static associate (models) {
+    super.associate(models)
+    models.Suspension.belongsTo(models.User, { as: 'user' })
+    models.Suspension.belongsTo(models.User, {
+      as: 'moderator',
+      foreignKey: 'moderatorId',
+    })
+    models.Suspension.belongsTo(models.User, {
+      as: 'liftedBy',
+      foreignKey: 'liftedById',
+    })
+  }
+}
@@ -1,9 +1,12 @@
 import Permission from '../classes/Permission'
+import { IPAddresses } from '../helpers/Validators'
 import Model, { column, table, validate, type } from './Model'
 
 const oAuthScopeMaxLength = 128
 const oAuthTokenMinLength = 16
 const oAuthTokenMaxLength = 128
+const nameMaxLength = 100
+const ipv4MappedPrefix = '::ffff:'
 
 @table({})
 /**
@@ -27,9 +30,87 @@ export default class Token extends Model {
   static userId = undefined
 
   @validate({ isUUID: 4 })
-  @column(type.UUID)
+  @column(type.UUID, { allowNull: true })
   static clientId = undefined
 
+  @validate({ len: [1, nameMaxLength] })
+  @column(type.STRING(nameMaxLength), { allowNull: true })
+  static name = undefined
+
+  @validate({ IPAddresses })
+  @column(type.ARRAY(type.STRING), { allowNull: true })
+  static ipAllowList = undefined
+
+  @column(type.DATE, { allowNull: true })
+  static expiresAt = undefined
+
+  @validate({ len: [oAuthTokenMinLength, oAuthTokenMaxLength], isAlphanumeric: true })
+  @column(type.STRING, { allowNull: true, unique: true })
+  static refreshToken = undefined
+
+  @column(type.DATE, { allowNull: true })
+  static refreshTokenExpiresAt = undefined
+
+  @column(type.DATE, { allowNull: true })
+  static lastAccess = undefined
+
+  @validate({ isUUID: 4 })
+  @column(type.UUID, { allowNull: true })
+  static sessionId = undefined
+
+  /**
+   * Check whether this access token has expired, tokens without an expiry date never expire
+   * @param {Date} [now] the current time
+   * @returns {boolean} whether this access token has expired
+   */
+  isExpired (now = new Date()) {
+    return Boolean(this.expiresAt) && this.expiresAt <= now
+  }
+
+  /**
+   * Check whether the refresh token of this token has expired or it does not have one
+   * @param {Date} [now] the current time
+   * @returns {boolean} whether the refresh token of this token has expired
+   */
+  isRefreshTokenExpired (now = new Date()) {
+    return !this.refreshToken || (Boolean(this.refreshTokenExpiresAt) && this.refreshTokenExpiresAt <= now)
+  }
+
+  /**
+   * Check whether this token can still be used, either directly or by exchanging its refresh token for a new one
+   * @param {Date} [now] the current time
+   * @returns {boolean} whether this token can still be used
+   */
+  isActive (now = new Date()) {
+    return !this.isExpired(now) || !this.isRefreshTokenExpired(now)
+  }
+
+  /**
+   * Check whether this is a personal access token a user created for themselves, rather than one issued to an
+   * OAuth client
+   * @returns {boolean} whether this is a personal access token
+   */
+  isPersonal () {
+    return !this.clientId
+  }
+
+  /**
+   * Check whether this token may be used from an IP address, tokens without an IP allow-list may be used from anywhere
+   * @param {string} ip the IP address the token is used from
+   * @returns {boolean} whether this token may be used from the IP address
+   */
+  isAllowedAddress (ip) {
+    if (!this.ipAllowList || this.ipAllowList.length === 0) {
+      return true
+    }
+
+    let address = ip
+    if (typeof address === 'string' && address.startsWith(ipv4MappedPrefix)) {
+      address = address.substring(ipv4MappedPrefix.length)
+    }
+    return this.ipAllowList.includes(address)
+  }
+
   /**
    * @inheritdoc
    */
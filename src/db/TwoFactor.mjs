@@ -0,0 +1,37 @@
+import Model, { column, table, validate, type } from './Model'
+
+const recoveryCodeHashLength = 64
+
+@table({})
+/**
+ * Model class for the TOTP two-factor authentication enrolment of a user
+ */
+export default class TwoFactor extends Model {
+  @validate({ isUUID: 4 })
+  @column(type.UUID, { primaryKey: true })
+  static id = type.UUIDV4
+
+  @column(type.STRING)
+  static secret = undefined
+
+  @column(type.BOOLEAN)
+  static enabled = false
+
+  @column(type.ARRAY(type.STRING(recoveryCodeHashLength)))
+  static recoveryCodes = []
+
+  @column(type.BIGINT, { allowNull: true })
+  static lastUsedStep = undefined
+
+  @validate({ isUUID: 4 })
+  @column(type.UUID, { unique: true })
+  static userId = undefined
+
+  /**
+   * @inheritdoc
+   */
+  static associate (models) {
+    super.associate(models)
+    models.TwoFactor.belongsTo(models.User, { as: 'user' })
+  }
+}
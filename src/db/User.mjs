@@ -90,7 +90,7 @@ export default class User extends Model {
    * @returns {object}
    */
   toJSON () {
-    const values = this.get()
+    const values = { ...this.get() }
     delete values.password
     return values
   }
@@ -0,0 +1,81 @@
+import Model, { column, table, validate, type } from './Model'
+
+@table({
+  indexes: [{
+    fields: ['subscriptionId'],
+  }, {
+    fields: ['status', 'nextAttemptAt'],
+  }],
+})
+/**
+ * Model class for the delivery log of API events sent to webhook subscriptions
+ */
+export default class WebhookDelivery extends Model {
+  @validate({ isUUID: 4 })
+  @column(type.UUID, { primaryKey: true })
+  static id = type.UUIDV4
+
+  @column(type.STRING)
+  static event = undefined
+
+  @column(type.STRING, { allowNull: true })
+  static resourceId = undefined
+
+  @column(type.JSONB)
+  static payload = {}
+
+  @validate({ isIn: [['pending', 'succeeded', 'failed']] })
+  @column(type.ENUM('pending', 'succeeded', 'failed'))
+  static status = 'pending'
+
+  @validate({ isInt: true, min: 0 })
+  @column(type.INTEGER)
+  static attempts = 0
+
+  @column(type.DATE, { allowNull: true })
+  static nextAttemptAt = undefined
+
+  @column(type.INTEGER, { allowNull: true })
+  static responseStatus = undefined
+
+  @column(type.TEXT, { allowNull: true })
+  static error = undefined
+
+  @column(type.DATE, { allowNull: true })
+  static deliveredAt = undefined
+
+  @validate({ isUUID: 4 })
+  @column(type.UUID)
+  static subscriptionId = undefined
+
+  /**
+   * @inheritdoc
+   */
+  static getScopes (models) {
+    return {
+      subscription: [(subscriptionId) => {
+        return {
+          where: { subscriptionId },
+          include: [
+            {
+              model: models.WebhookSubscription,
+              as: 'subscription',
+              required: true,
+            },
+          ],
+        }
+      }, {
+        override: true,
+      }],
+    }
+  }
+
+  /**
+   * @inheritdoc
+   */
+  static associate (models) {
+    super.associate(models)
+
+    models.WebhookDelivery.belongsTo(models.WebhookSubscription, { as: 'subscription', foreignKey: 'subscriptionId' })
+  }
+}
@@ -0,0 +1,84 @@
+import { WebhookEventPatterns, isWebhookURL } from '../helpers/Validators'
+import Model, { column, table, validate, type } from './Model'
+
+const webhookSecretMinLength = 16
+const webhookSecretMaxLength = 512
+
+@table({
+  indexes: [{
+    fields: ['clientId'],
+  }],
+})
+/**
+ * Model class for OAuth client subscriptions to API events delivered through webhooks
+ */
+export default class WebhookSubscription extends Model {
+  @validate({ isUUID: 4 })
+  @column(type.UUID, { primaryKey: true })
+  static id = type.UUIDV4
+
+  @validate({ isWebhookURL })
+  @column(type.STRING)
+  static url = undefined
+
+  @validate({ WebhookEventPatterns })
+  @column(type.ARRAY(type.STRING))
+  static events = []
+
+  @validate({ len: [webhookSecretMinLength, webhookSecretMaxLength] })
+  @column(type.STRING(webhookSecretMaxLength))
+  static secret = undefined
+
+  @column(type.BOOLEAN)
+  static active = true
+
+  @validate({ isUUID: 4 })
+  @column(type.UUID)
+  static clientId = undefined
+
+  /**
+   * Removes the webhook secret from the json output of this model
+   * @returns {object} json output of the model without the webhook secret
+   */
+  toJSON () {
+    const values = { ...this.get() }
+    delete values.secret
+    return values
+  }
+
+  /**
+   * @inheritdoc
+   */
+  static getScopes (models) {
+    return {
+      defaultScope: [{
+        include: [
+          {
+            model: models.Client,
+            as: 'client',
+            required: true,
+          },
+        ],
+      }, {
+        override: true,
+      }],
+      clients: [(clientIds) => {
+        return {
+          where: { clientId: clientIds },
+        }
+      }, {
+        override: true,
+      }],
+    }
+  }
+
+  /**
+   * @inheritdoc
+   */
+  static associate (models) {
+    super.associate(models)
+
+    models.WebhookSubscription.belongsTo(models.Client, { as: 'client', foreignKey: 'clientId' })
+    models.WebhookSubscription.hasMany(models.WebhookDelivery, { as: 'deliveries', foreignKey: 'subscriptionId' })
+  }
+}
@@ -2,23 +2,34 @@ import Sequelize from 'sequelize'
 import config from '../config'
 import logger from '../logging'
 
+import Achievement from './Achievement'
+import AuditLog from './AuditLog'
 import Avatar from './Avatar'
 import Client from './Client'
 import Code from './Code'
+import DataExport from './DataExport'
 import Decal from './Decal'
+import DecalIssuance from './DecalIssuance'
 import Epic from './Epic'
+import EpicReview from './EpicReview'
 import EpicUsers from './EpicUsers'
+import EventLogEntry from './EventLogEntry'
 import Group from './Group'
+import PaperworkReminder from './PaperworkReminder'
 import Rat from './Rat'
 import Rescue from './Rescue'
 import RescueRats from './RescueRats'
 import Reset from './Reset'
 import Session from './Session'
 import Ship from './Ship'
+import Suspension from './Suspension'
 import Token from './Token'
+import TwoFactor from './TwoFactor'
 import User from './User'
 import UserGroups from './UserGroups'
 import VerificationToken from './VerificationToken'
+import WebhookDelivery from './WebhookDelivery'
+import WebhookSubscription from './WebhookSubscription'
 
 const models = {
   Avatar,
@@ -38,6 +49,17 @@ const models = {
   UserGroups,
   VerificationToken,
   Session,
+  WebhookSubscription,
+  WebhookDelivery,
+  EventLogEntry,
+  TwoFactor,
+  AuditLog,
+  Suspension,
+  DataExport,
+  EpicReview,
+  DecalIssuance,
+  Achievement,
+  PaperworkReminder,
 }
 
 const {
@@ -133,21 +155,32 @@ export {
   db as sequelize,
   Sequelize,
   Op,
+  Achievement,
+  AuditLog,
   Avatar,
   Client,
   Code,
+  DataExport,
   Decal,
+  DecalIssuance,
   Epic,
+  EpicReview,
   EpicUsers,
+  EventLogEntry,
   Group,
+  PaperworkReminder,
   Rat,
   Rescue,
   RescueRats,
   Reset,
   Session,
   Ship,
+  Suspension,
   Token,
+  TwoFactor,
   User,
   UserGroups,
   VerificationToken,
+  WebhookDelivery,
+  WebhookSubscription,
 }
@@ -0,0 +1,45 @@
+import config from '../config'
+import { User } from '../db'
+
+/**
+ * Get a personal data export download link
+ * @param {string} exportToken personal data export token
+ * @returns {string} personal data export download link
+ */
+function getExportLink (exportToken) {
+  return `${config.server.externalUrl}/exports/${exportToken}`
+}
+
+/**
+ * Personal data export email template
+ * @param {object} arg function arguments object
+ * @param {User} arg.user the user to send the email to
+ * @param {string} arg.exportToken the download token of the personal data export
+ * @param {Date} arg.expiresAt the date the download link expires
+ * @returns {object} personal data export email template
+ */
+export default function dataExportEmail ({ user, exportToken, expiresAt }) {
+  return {
+    to: user.email,
+    subject: 'Fuel Rats: Your personal data export is ready',
+    body: {
+      name: user.preferredRat()?.name,
+      intro: 'The copy of the personal data held on your Fuel Rats account that you requested is ready to download.',
+      action: {
+        instructions: `Click the button below to download your data, the link is valid until ${expiresAt.toUTCString()}:`,
+        button: {
+          color: '#d65050',
+          text: 'Download your data',
+          link: getExportLink(exportToken),
+        },
+      },
+      goToAction: {
+        text: 'Download Data',
+        link: getExportLink(exportToken),
+        description: 'Click to download your personal data export',
+      },
+      outro: 'If you did not request a copy of your data, please contact support@fuelrats.com',
+      signature: 'Sincerely',
+    },
+  }
+}
@@ -0,0 +1,45 @@
+import config from '../config'
+import { User } from '../db'
+
+/**
+ * Get the link to the page where rescue decals are redeemed
+ * @returns {string} decal redeem link
+ */
+function getRedeemLink () {
+  return `${config.frontend.url}/profile/decals`
+}
+
+/**
+ * Rescue decal eligibility email template
+ * @param {object} arg function arguments object
+ * @param {User} arg.user the user to send the email to
+ * @param {number} arg.count the number of decals the user is eligible to redeem
+ * @returns {object} rescue decal eligibility email template
+ */
+export default function decalEligibilityEmail ({ user, count }) {
+  const decals = count === 1 ? 'a rescue decal' : `${count} rescue decals`
+
+  return {
+    to: user.email,
+    subject: 'Fuel Rats: You have a rescue decal waiting',
+    body: {
+      name: user.preferredRat()?.name,
+      intro: `Thank you for all the rescues you have done, you are eligible to redeem ${decals}!`,
+      action: {
+        instructions: 'Click the button below to redeem your decal code from your Fuel Rats profile:',
+        button: {
+          color: '#d65050',
+          text: 'Redeem your decal',
+          link: getRedeemLink(),
+        },
+      },
+      goToAction: {
+        text: 'Redeem Decal',
+        link: getRedeemLink(),
+        description: 'Click to redeem your rescue decal',
+      },
+      outro: 'Decal codes can be redeemed in the Frontier store.',
+      signature: 'Sincerely',
+    },
+  }
+}
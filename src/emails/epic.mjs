@@ -0,0 +1,33 @@
+import { User } from '../db'
+
+/**
+ * Epic nomination review decision email template
+ * @param {object} arg function arguments object
+ * @param {User} arg.user the user to send the email to
+ * @param {[string]} arg.nomineeNames the names of the nominated users
+ * @param {boolean} arg.approved whether the nomination was approved
+ * @param {string} arg.comment the comment of the reviewer who decided the nomination
+ * @returns {object} epic nomination review decision email template
+ */
+export default function epicDecisionEmail ({
+  user, nomineeNames, approved, comment,
+}) {
+  const decision = approved ? 'approved' : 'rejected'
+
+  return {
+    to: user.email,
+    subject: `Fuel Rats: Epic nomination ${decision}`,
+    body: {
+      name: user.preferredRat()?.name,
+      intro: approved
+        ? 'An epic nomination you are part of has been approved by the reviewers, congratulations!'
+        : 'An epic nomination you are part of has been reviewed and was not approved.',
+      dictionary: {
+        Nominees: nomineeNames.join(', '),
+        'Reviewer Comment': comment,
+      },
+      outro: 'If you have any questions about this decision please contact support@fuelrats.com',
+      signature: 'Sincerely',
+    },
+  }
+}
@@ -0,0 +1,28 @@
+import { generateDeviceDescription } from './session'
+
+/**
+ * New login location notification email template
+ * @param {object} arg function arguments object
+ * @param {object} arg.user the user that logged in
+ * @param {string} arg.userAgent the user agent of the new session
+ * @param {string} arg.location a user location string
+ * @param {string} arg.ipAddress the IP address of the new session
+ * @returns {object} new login location email template
+ */
+export default function newLocationEmail ({ user, userAgent, location, ipAddress }) {
+  return {
+    to: user.email,
+    subject: 'Fuel Rats: New login from a new location',
+    body: {
+      name: user.preferredRat().name,
+      intro: 'Your Fuel Rats account was just logged in to from a location you have not logged in from before.',
+      dictionary: {
+        Device: generateDeviceDescription(userAgent),
+        Location: location,
+        'IP Address': ipAddress,
+      },
+      outro: 'If this login was not by you then please change your password immediately and contact administrators!',
+      signature: 'Sincerely',
+    },
+  }
+}
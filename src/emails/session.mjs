@@ -6,7 +6,7 @@ import GeoIP from '../classes/GeoIP'
  * @param {object} userAgent parsed user agent
  * @returns {string} short device description
  */
-function generateDeviceDescription (userAgent) {
+export function generateDeviceDescription (userAgent) {
   const ua = new UAParser(userAgent)
   if (!ua.getBrowser().name) {
     return 'Unknown device'
@@ -0,0 +1,24 @@
+/**
+ * Account suspension notification email template
+ * @param {object} arg function arguments object
+ * @param {object} arg.user the user whose account was suspended
+ * @param {string} arg.reason the reason given for the suspension
+ * @param {Date} arg.expiresAt the date the suspension ends
+ * @returns {object} account suspension email template
+ */
+export default function suspensionEmail ({ user, reason, expiresAt }) {
+  return {
+    to: user.email,
+    subject: 'Fuel Rats: Your account has been suspended',
+    body: {
+      name: user.preferredRat()?.name,
+      intro: 'Your Fuel Rats account has been suspended by a moderator.',
+      dictionary: {
+        Reason: reason,
+        'Suspended Until': expiresAt.toUTCString(),
+      },
+      outro: 'If you believe this suspension was made in error please contact support@fuelrats.com',
+      signature: 'Sincerely',
+    },
+  }
+}
@@ -0,0 +1,196 @@
+import dns from 'dns'
+import net from 'net'
+
+const byteBits = 8
+const byteValues = 256
+const ipv6Groups = 8
+const ipv4Bytes = 4
+const ipv6Bytes = 16
+const ipv4Family = 4
+const ipv6Family = 6
+const ipv4MappedPrefix = [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, byteValues - 1, byteValues - 1]
+
+/**
+ * Address ranges that webhooks and other outgoing requests made on behalf of users may not be sent to: the
+ * unspecified, loopback, private, shared, link-local, documentation, benchmarking, multicast and reserved ranges
+ * @type {[string]}
+ */
+const nonPublicRanges = [
+  '0.0.0.0/8',
+  '10.0.0.0/8',
+  '100.64.0.0/10',
+  '127.0.0.0/8',
+  '169.254.0.0/16',
+  '172.16.0.0/12',
+  '192.0.0.0/24',
+  '192.0.2.0/24',
+  '192.168.0.0/16',
+  '198.18.0.0/15',
+  '198.51.100.0/24',
+  '203.0.113.0/24',
+  '224.0.0.0/4',
+  '240.0.0.0/4',
+  '::/96',
+  '100::/64',
+  '2001:db8::/32',
+  'fc00::/7',
+  'fe80::/10',
+  'fec0::/10',
+  'ff00::/8',
+]
+
+/**
+ * Convert an IPv4 address to its bytes
+ * @param {string} address the IPv4 address
+ * @returns {[number]} the bytes of the address
+ */
+function ipv4ToBytes (address) {
+  return address.split('.').map(Number)
+}
+
+/**
+ * Convert an IPv6 address, which may end in an embedded IPv4 address, to its bytes
+ * @param {string} address the IPv6 address
+ * @returns {[number]} the bytes of the address
+ */
+function ipv6ToBytes (address) {
+  const toGroups = (part) => {
+    if (part.length === 0) {
+      return []
+    }
+    return part.split(':').flatMap((group) => {
+      if (group.includes('.')) {
+        const [first, second, third, fourth] = ipv4ToBytes(group)
+        return [(first * byteValues) + second, (third * byteValues) + fourth]
+      }
+      return [Number.parseInt(group, 16)]
+    })
+  }
+
+  const [head, tail = undefined] = address.split('%')[0].split('::')
+  const headGroups = toGroups(head)
+  const tailGroups = typeof tail === 'undefined' ? [] : toGroups(tail)
+  const groups = [
+    ...headGroups,
+    ...Array(ipv6Groups - headGroups.length - tailGroups.length).fill(0),
+    ...tailGroups,
+  ]
+
+  return groups.flatMap((group) => {
+    return [Math.floor(group / byteValues), group % byteValues]
+  })
+}
+
+/**
+ * Convert an IP address to its bytes, IPv4-mapped IPv6 addresses are converted to the IPv4 address they map to
+ * @param {string} address the IP address
+ * @returns {[number]|undefined} the bytes of the address, or undefined if it is not a valid IP address
+ */
+function addressToBytes (address) {
+  const unbracketed = address.replace(/^\[|\]$/gu, '')
+  switch (net.isIP(unbracketed.split('%')[0])) {
+    case ipv4Family:
+      return ipv4ToBytes(unbracketed)
+
+    case ipv6Family: {
+      const bytes = ipv6ToBytes(unbracketed)
+      const mapped = ipv4MappedPrefix.every((byte, index) => {
+        return bytes[index] === byte
+      })
+      return mapped ? bytes.slice(ipv6Bytes - ipv4Bytes) : bytes
+    }
+
+    default:
+      return undefined
+  }
+}
+
+/**
+ * Check whether the bytes of an address fall within a range
+ * @param {[number]} bytes the bytes of the address
+ * @param {{bytes: [number], prefixLength: number}} range the address range
+ * @returns {boolean} whether the address is within the range
+ */
+function inRange (bytes, range) {
+  if (bytes.length !== range.bytes.length) {
+    return false
+  }
+
+  const fullBytes = Math.floor(range.prefixLength / byteBits)
+  const remainingBits = range.prefixLength % byteBits
+  const fullBytesMatch = range.bytes.slice(0, fullBytes).every((byte, index) => {
+    return bytes[index] === byte
+  })
+
+  if (!fullBytesMatch || remainingBits === 0) {
+    return fullBytesMatch
+  }
+
+  const divisor = 2 ** (byteBits - remainingBits)
+  return Math.floor(bytes[fullBytes] / divisor) === Math.floor(range.bytes[fullBytes] / divisor)
+}
+
+const parsedNonPublicRanges = nonPublicRanges.map((range) => {
+  const [address, prefixLength] = range.split('/')
+  return { bytes: addressToBytes(address), prefixLength: Number(prefixLength) }
+})
+
+/**
+ * Check whether an IP address is a public internet address, rather than a loopback, link-local, private, unique
+ * local or otherwise reserved address
+ * @param {string} address the IP address
+ * @returns {boolean} whether the address is a public internet address
+ */
+export function isPublicAddress (address) {
+  const bytes = addressToBytes(address)
+  if (!bytes) {
+    return false
+  }
+
+  return parsedNonPublicRanges.some((range) => {
+    return inRange(bytes, range)
+  }) === false
+}
+
+/**
+ * Resolve a hostname and check that every address it resolves to is a public internet address
+ * @param {string} hostname the hostname to resolve
+ * @returns {Promise<boolean>} whether the hostname resolves to only public internet addresses
+ */
+export async function resolvesToPublicAddresses (hostname) {
+  try {
+    const addresses = await dns.promises.lookup(hostname.replace(/^\[|\]$/gu, ''), { all: true })
+    return addresses.length > 0 && addresses.every(({ address }) => {
+      return isPublicAddress(address)
+    })
+  } catch (ex) {
+    return false
+  }
+}
+
+/**
+ * DNS lookup function for HTTP agents that refuses to connect to addresses that are not public internet addresses,
+ * ensuring the address checked is the address connected to even if the DNS records change
+ * @param {string} hostname the hostname to resolve
+ * @param {object} options dns.lookup options
+ * @param {Function} callback dns.lookup callback
+ */
+export function publicAddressLookup (hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      callback(error)
+      return
+    }
+
+    const addresses = Array.isArray(address) ? address : [{ address }]
+    const nonPublicAddress = addresses.find((entry) => {
+      return !isPublicAddress(entry.address)
+    })
+
+    if (nonPublicAddress) {
+      callback(new Error(`Refusing to connect to non-public address ${nonPublicAddress.address} for ${hostname}`))
+      return
+    }
+    callback(null, address, family)
+  })
+}
@@ -1,6 +1,8 @@
 // import Permission from './Permission'
+import net from 'net'
 import { URL } from 'url'
 import { UnprocessableEntityAPIError } from '../classes/APIError'
+import { resolvesToPublicAddresses } from './Network'
 import RegexLiteral from './RegexLiteral'
 
 
@@ -17,6 +19,9 @@ export const IRCVirtualHost = /^[a-z][a-z0-9.]{3,64}$/u
 export const IRCNickname = /^[A-Za-z_\\`\[\]{}]([A-Za-z0-9_\\`\[\]{}\-|]{1,29})?$/u
 export const languageCode = /^[a-z]{2}-[A-Z]{2}$/u
 export const stripeUserId = /cus_[A-Za-z0-9]{14}$/u
+export const oAuthCodeChallenge = /^[A-Za-z0-9_-]{43}$/u
+export const oAuthCodeVerifier = /^[A-Za-z0-9._~-]{43,128}$/u
+export const webhookEventPattern = /^fuelrats(\.([a-z0-9-]+|\*{1,2}))+$/u
 
 
 // language=JSUnicodeRegexp
@@ -158,3 +163,56 @@ export function isURL (value) {
     throw new UnprocessableEntityAPIError({ pointer: '/data/attributes/redirectUri' })
   }
 }
+
+/**
+ * Validate whether a value is a valid URL that webhook events can be delivered to, the host of which must resolve
+ * to only public internet addresses
+ * @param {string} value the URL to validate
+ * @returns {Promise<undefined>} resolves a promise if the URL is valid
+ */
+export async function isWebhookURL (value) {
+  let url = undefined
+  try {
+    url = new URL(value)
+  } catch (ex) {
+    throw new UnprocessableEntityAPIError({ pointer: '/data/attributes/url' })
+  }
+
+  if (['http:', 'https:'].includes(url.protocol) === false) {
+    throw new UnprocessableEntityAPIError({ pointer: '/data/attributes/url' })
+  }
+
+  if (await resolvesToPublicAddresses(url.hostname) === false) {
+    throw new UnprocessableEntityAPIError({ pointer: '/data/attributes/url' })
+  }
+}
+
+/**
+ * Validate whether a value is a valid list of API event patterns, such as "fuelrats.rescueupdate" or "fuelrats.*"
+ * @param {[string]} value the list of event patterns to validate
+ */
+export function WebhookEventPatterns (value) {
+  if (!Array.isArray(value) || value.length === 0) {
+    throw new UnprocessableEntityAPIError({ pointer: '/data/attributes/events' })
+  }
+  value.forEach((pattern) => {
+    if (typeof pattern !== 'string' || !webhookEventPattern.test(pattern)) {
+      throw new UnprocessableEntityAPIError({ pointer: '/data/attributes/events' })
+    }
+  })
+}
+
+/**
+ * Validate whether a value is a valid list of IP addresses that a personal access token may be used from
+ * @param {[string]} value the list of IP addresses to validate
+ */
+export function IPAddresses (value) {
+  if (!Array.isArray(value)) {
+    throw new UnprocessableEntityAPIError({ pointer: '/data/attributes/ipAllowList' })
+  }
+  value.forEach((address) => {
+    if (net.isIP(address) === 0) {
+      throw new UnprocessableEntityAPIError({ pointer: '/data/attributes/ipAllowList' })
+    }
+  })
+}
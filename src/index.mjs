@@ -17,13 +17,20 @@ import {
   ForbiddenAPIError,
   UnauthorizedAPIError,
 } from './classes/APIError'
+import Achievements from './classes/Achievements'
 import Authentication from './classes/Authentication'
+import DataExports from './classes/DataExports'
+import DecalInventory from './classes/DecalInventory'
 import { OAuthError } from './classes/OAuthError'
+import Paperwork from './classes/Paperwork'
 import Permission from './classes/Permission'
 import router from './classes/Router'
+import Sessions from './classes/Sessions'
 import StatusCode from './classes/StatusCode'
+import Suspensions from './classes/Suspensions'
 import TrafficControl from './classes/TrafficControl'
 import WebSocket from './classes/WebSocket'
+import WebhookDispatcher from './classes/WebhookDispatcher'
 import config from './config'
 import { db } from './db'
 import packageInfo from './files/package'
@@ -125,8 +132,9 @@ app.use(async (ctx, next) => {
       }
     }
 
-    const rateLimit = traffic.validateRateLimit({ connection: ctx })
+    const rateLimit = await traffic.validateRateLimit({ connection: ctx })
     ctx.state.traffic = rateLimit
+    ctx.state.trafficControl = traffic
     ctx.set('X-API-Version', packageInfo.version)
     ctx.set('X-Rate-Limit-Limit', rateLimit.total)
     ctx.set('X-Rate-Limit-Remaining', rateLimit.remaining)
@@ -151,11 +159,15 @@ app.use(async (ctx, next) => {
       ctx.state.user = ctx.state.client
     }
 
-    ctx.state.permissions = Permission.getConnectionPermissions({ connection: ctx })
+    ctx.state.permissions = await Authentication.enforceTwoFactorEnrolment({
+      user: ctx.state.user,
+      permissions: Permission.getConnectionPermissions({ connection: ctx }),
+    })
 
     if (ctx.get('X-Permanent-Deletion')) {
-      const basicUser = await Authentication.basicUserAuthentication({ connection: ctx })
-      if (basicUser.id !== ctx.state.user.id) {
+      /* The request must have been authenticated with basic authentication, which has already verified and consumed
+      * the two-factor authentication code of the user, so it cannot be checked a second time here */
+      if (ctx.state.basicAuth !== true) {
         throw new UnauthorizedAPIError({})
       }
 
@@ -227,6 +239,13 @@ server.wss = new WebSocket({ server, trafficManager: traffic })
 ;(async function startServer () {
   try {
     await db.sync()
+    Paperwork.scheduleReminders()
+    WebhookDispatcher.scheduleRetries()
+    Sessions.schedulePruning()
+    DataExports.schedulePruning()
+    DecalInventory.scheduleIssuance()
+    Suspensions.scheduleExpiry()
+    Achievements.scheduleBackfill()
     const listen = promisify(server.listen.bind(server))
     await listen(config.server.port, config.server.hostname)
     logger.info({
@@ -0,0 +1,15 @@
+import logger from '.'
+
+/**
+ * Log a failure of a background task that has no request to report it to
+ * @param {Error} error the error that occurred
+ * @param {string} message description of what failed
+ */
+export function logFailure (error, message) {
+  logger.error({
+    GELF: true,
+    _event: 'error',
+    _message: error.message,
+    _stack: error.stack,
+  }, `${message}: ${error.message}`)
+}
@@ -1,4 +1,56 @@
-import Query, { SortOrder } from './Query'
+import Sequelize from 'sequelize'
+import { UnprocessableEntityAPIError } from '../classes/APIError'
+import { Context } from '../classes/Context'
+import compileFilter from './Filter'
+import Query, { CursorDirection, SortOrder } from './Query'
+
+const { Op } = Sequelize
+
+/**
+ * Get a Sequelize condition matching values that are sorted after a value in a given sort order,
+ * taking into account that PostgreSQL sorts null values last in ascending order and first in descending order
+ * @param {object} arg function arguments object
+ * @param {*} arg.value the value to compare against
+ * @param {SortOrder} arg.sort the sort order
+ * @returns {object|undefined} Sequelize condition, or undefined if no values can be sorted after the value
+ */
+function sortedAfterCondition ({ value, sort }) {
+  const isNull = Object.is(value, null)
+  if (sort === SortOrder.ascending) {
+    if (isNull) {
+      return undefined
+    }
+    return { [Op.or]: [{ [Op.gt]: value }, { [Op.is]: null }] }
+  }
+
+  if (isNull) {
+    return { [Op.not]: null }
+  }
+  return { [Op.lt]: value }
+}
+
+/**
+ * Get a Sequelize keyset condition matching the results that are sorted after the result a page cursor points to
+ * @param {object} arg function arguments object
+ * @param {{field: string, sort: SortOrder}[]} arg.order the sort order of the results
+ * @param {Array} arg.values the values of the sort fields of the result the page cursor points to
+ * @returns {object} Sequelize where condition
+ */
+function cursorCondition ({ order, values }) {
+  const conditions = order.reduce((acc, { field, sort }, index) => {
+    const comparison = sortedAfterCondition({ value: values[index], sort })
+    if (!comparison) {
+      return acc
+    }
+
+    const equalities = order.slice(0, index).map((previous, previousIndex) => {
+      return { [previous.field]: values[previousIndex] ?? null }
+    })
+    return acc.concat({ [Op.and]: [...equalities, { [field]: comparison }] })
+  }, [])
+
+  return { [Op.or]: conditions }
+}
 
 /**
  * @classdesc An API Query Handler for requests that need data from a Sequelize database table
@@ -6,21 +58,131 @@ import Query, { SortOrder } from './Query'
  * @augments {Query}
  */
 export default class DatabaseQuery extends Query {
+  databaseType = undefined
+  filterFields = {}
+  #keysetPaginated = false
+
+  /**
+   * Create a new instance of a database API Query
+   * @param {object} arg function arguments object
+   * @param {Context} arg.connection request context
+   * @param {object} [arg.databaseType] the database model being searched
+   * @param {object} [arg.filterFields] map of fields that can be filtered on to their FilterType
+   */
+  constructor ({ connection, databaseType = undefined, filterFields = {} }) {
+    super({ connection })
+    this.databaseType = databaseType
+    this.filterFields = filterFields
+  }
+
   /**
    * @inheritdoc
    */
   get searchObject () {
+    const { cursor } = this
+    let order = this.cursorSort
+    let where = this.filterCondition
+    let { offset } = this
+
+    if (cursor) {
+      if (cursor.direction === CursorDirection.before) {
+        order = order.map(({ field, sort }) => {
+          return {
+            field,
+            sort: sort === SortOrder.ascending ? SortOrder.descending : SortOrder.ascending,
+          }
+        })
+      }
+
+      if (cursor.values.length !== order.length) {
+        throw new UnprocessableEntityAPIError({ parameter: `page[${cursor.direction.description}]` })
+      }
+
+      where = { [Op.and]: [where, cursorCondition({ order, values: cursor.values })] }
+      offset = 0
+    }
+
     return {
-      where: this.filter,
-      order: this.sort.map(({ field, sort }) => {
+      where,
+      order: order.map(({ field, sort }) => {
         const sequelizeOrder = SortOrder.toSQL(sort)
         return [field, sequelizeOrder]
       }),
-      offset: this.offset,
+      offset,
       limit: this.limit,
     }
   }
 
+  /**
+   * Get the Sequelize where condition for the filter requested in the API Query
+   * @returns {object} Sequelize where condition
+   */
+  get filterCondition () {
+    return compileFilter({
+      filter: this.filter,
+      fields: this.filterFields,
+      databaseType: this.databaseType,
+    })
+  }
+
+  /**
+   * Get the requested sort order with the primary key added as a tie-breaker, so that every result has a unique
+   * position that a page cursor can point to
+   * @returns {{field: string, sort: SortOrder}[]} sort order used for cursor pagination
+   */
+  get cursorSort () {
+    const { sort } = this
+    const primaryKey = this.databaseType?.primaryKeyAttribute ?? 'id'
+    const hasPrimaryKey = sort.some(({ field }) => {
+      return field === primaryKey
+    })
+
+    if (hasPrimaryKey) {
+      return sort
+    }
+    return [...sort, { field: primaryKey, sort: SortOrder.ascending }]
+  }
+
+  /**
+   * Create an opaque page cursor pointing to a result of this query
+   * @param {object} object a result of this query
+   * @returns {string} an opaque page cursor
+   */
+  createCursor (object) {
+    return Query.encodeCursor(this.cursorSort.map(({ field }) => {
+      return object[field] ?? null
+    }))
+  }
+
+  /**
+   * Find the results of this query in a database model, counting the total number of results
+   * unless the client has opted out of it
+   * @param {Sequelize.Model} model the database model, or scope of a model, to search
+   * @returns {Promise<{count: number|undefined, rows: [object]}>} the results of the query
+   */
+  async findAndCountAll (model) {
+    const rows = await model.findAll(this.searchObject)
+    this.#keysetPaginated = true
+    if (this.includeCount === false) {
+      return { count: undefined, rows }
+    }
+
+    const count = await model.count({
+      where: this.filterCondition,
+      distinct: true,
+      col: model.primaryKeyField,
+    })
+    return { count, rows }
+  }
+
+  /**
+   * Get whether the results of this query were found using its page cursor, rather than only its offset and limit
+   * @returns {boolean} whether the results of this query were found using its page cursor
+   */
+  get isKeysetPaginated () {
+    return this.#keysetPaginated
+  }
+
   /**
    * @inheritdoc
    */
@@ -0,0 +1,353 @@
+import Sequelize from 'sequelize'
+import { UnprocessableEntityAPIError } from '../classes/APIError'
+import enumerable from '../helpers/Enum'
+import { UUID } from '../helpers/Validators'
+
+const { Op } = Sequelize
+const betweenValueCount = 2
+
+const likeOperators = {
+  like: Op.like,
+  ilike: Op.iLike,
+}
+
+/**
+ * Check whether a filter value is a plain object rather than an array or a single value
+ * @param {*} value the value to check
+ * @returns {boolean} whether the value is a plain object
+ */
+function isObject (value) {
+  return value instanceof Object && Array.isArray(value) === false
+}
+
+/**
+ * Parse and validate a single filter value for a field type
+ * @param {object} arg function arguments object
+ * @param {FilterType} arg.filterType the type of the field being filtered
+ * @param {*} arg.value the value to parse
+ * @returns {*} the parsed value, or undefined if the value is not valid for the type
+ */
+function parseValue ({ filterType, value }) {
+  switch (filterType) {
+    case FilterType.string:
+      if (typeof value === 'string') {
+        return value
+      }
+      return undefined
+
+    case FilterType.number: {
+      let number = value
+      if (typeof value === 'string' && value.trim().length > 0) {
+        number = Number(value)
+      }
+
+      if (typeof number === 'number' && Number.isFinite(number)) {
+        return number
+      }
+      return undefined
+    }
+
+    case FilterType.boolean:
+      if (value === true || value === 'true') {
+        return true
+      }
+
+      if (value === false || value === 'false') {
+        return false
+      }
+      return undefined
+
+    case FilterType.date:
+      if (typeof value === 'string' && Number.isNaN(Date.parse(value)) === false) {
+        return new Date(value)
+      }
+      return undefined
+
+    case FilterType.uuid:
+      if (typeof value === 'string' && value.match(UUID)) {
+        return value
+      }
+      return undefined
+
+    default:
+      return undefined
+  }
+}
+
+/**
+ * Parse and validate a list of filter values for a field type
+ * @param {object} arg function arguments object
+ * @param {FilterType} arg.filterType the type of the field being filtered
+ * @param {*} arg.value the list of values to parse
+ * @returns {[*]|undefined} the parsed values, or undefined if any of them are not valid for the type
+ */
+function parseValues ({ filterType, value }) {
+  if (Array.isArray(value) === false || value.length === 0) {
+    return undefined
+  }
+
+  const values = value.map((entry) => {
+    return parseValue({ filterType, value: entry })
+  })
+
+  if (values.includes(undefined)) {
+    return undefined
+  }
+  return values
+}
+
+/**
+ * Convert a single filter operator and value into a Sequelize condition
+ * @param {object} arg function arguments object
+ * @param {FilterType} arg.filterType the type of the field being filtered
+ * @param {string} arg.operator the filter operator
+ * @param {*} arg.value the filter value
+ * @returns {object|undefined} a Sequelize condition, or undefined if the value is not valid for the operator
+ */
+function parseCondition ({ filterType, operator, value }) {
+  switch (operator) {
+    case 'eq':
+    case 'ne':
+    case 'gt':
+    case 'gte':
+    case 'lt':
+    case 'lte': {
+      const parsedValue = parseValue({ filterType, value })
+      if (typeof parsedValue === 'undefined') {
+        return undefined
+      }
+      return { [Op[operator]]: parsedValue }
+    }
+
+    case 'in':
+    case 'notIn': {
+      const values = parseValues({ filterType, value })
+      if (!values) {
+        return undefined
+      }
+      return { [Op[operator]]: values }
+    }
+
+    case 'like':
+    case 'ilike':
+      if (typeof value !== 'string') {
+        return undefined
+      }
+      return { [likeOperators[operator]]: value }
+
+    case 'between': {
+      const values = parseValues({ filterType, value })
+      if (!values || values.length !== betweenValueCount) {
+        return undefined
+      }
+      return { [Op.between]: values }
+    }
+
+    case 'contains':
+      if (filterType === FilterType.json && value instanceof Object) {
+        return { [Op.contains]: value }
+      }
+
+      if (filterType === FilterType.array) {
+        const values = parseValues({ filterType: FilterType.string, value })
+        if (!values) {
+          return undefined
+        }
+        return { [Op.contains]: values }
+      }
+      return undefined
+
+    case 'null': {
+      const isNull = parseValue({ filterType: FilterType.boolean, value })
+      if (isNull === true) {
+        return { [Op.is]: null }
+      }
+
+      if (isNull === false) {
+        return { [Op.not]: null }
+      }
+      return undefined
+    }
+
+    default:
+      return undefined
+  }
+}
+
+/**
+ * Generate a Sequelize literal sub query selecting a single attribute from a model
+ * @param {object} arg function arguments object
+ * @param {Sequelize.Model} arg.model the model to select from
+ * @param {string} arg.attribute the attribute to select
+ * @param {object} arg.where Sequelize where condition for the sub query
+ * @returns {object} Sequelize literal sub query
+ */
+function subQuery ({ model, attribute, where }) {
+  let condition = where
+  if (model.options.paranoid) {
+    condition = { [Op.and]: [where, { deletedAt: null }] }
+  }
+
+  const { QueryGenerator } = model.sequelize.getQueryInterface()
+  const query = QueryGenerator.selectQuery(model.getTableName(), {
+    attributes: [attribute],
+    where: condition,
+  }, model)
+
+  return model.sequelize.literal(`(${query.replace(/;$/u, '')})`)
+}
+
+/**
+ * Convert a condition on a relationship of a model into a condition on the model itself
+ * @param {object} arg function arguments object
+ * @param {Sequelize.Model} arg.databaseType the model being searched
+ * @param {string} arg.relationship the relationship being filtered on
+ * @param {object} arg.where Sequelize where condition for the related model
+ * @returns {object} Sequelize where condition for the model being searched
+ */
+function relationshipCondition ({ databaseType, relationship, where }) {
+  const association = databaseType.associations[relationship]
+  const { target } = association
+
+  switch (association.associationType) {
+    case 'BelongsTo':
+      return {
+        [association.foreignKey]: {
+          [Op.in]: subQuery({ model: target, attribute: target.primaryKeyAttribute, where }),
+        },
+      }
+
+    case 'HasOne':
+    case 'HasMany':
+      return {
+        [databaseType.primaryKeyAttribute]: {
+          [Op.in]: subQuery({ model: target, attribute: association.foreignKey, where }),
+        },
+      }
+
+    case 'BelongsToMany': {
+      const targetIds = subQuery({ model: target, attribute: target.primaryKeyAttribute, where })
+      return {
+        [databaseType.primaryKeyAttribute]: {
+          [Op.in]: subQuery({
+            model: association.through.model,
+            attribute: association.foreignKey,
+            where: { [association.otherKey]: { [Op.in]: targetIds } },
+          }),
+        },
+      }
+    }
+
+    default:
+      return undefined
+  }
+}
+
+@enumerable()
+/**
+ * Enumerable representing the value types a filterable field can have
+ * @readonly
+ * @enum {symbol}
+ * @property {symbol} string a text field
+ * @property {symbol} number a numeric field
+ * @property {symbol} boolean a boolean field
+ * @property {symbol} date a date or timestamp field
+ * @property {symbol} uuid a UUID field
+ * @property {symbol} json a JSONB field
+ * @property {symbol} array an array field
+ */
+export class FilterType {
+  static string
+  static number
+  static boolean
+  static date
+  static uuid
+  static json
+  static array
+
+  /**
+   * Get the filter operators that can be used on a field of this type
+   * @param {FilterType} filterType a FilterType value
+   * @returns {string[]} filter operators available for the type
+   */
+  static operators (filterType) {
+    switch (filterType) {
+      case this.string:
+        return ['eq', 'ne', 'in', 'notIn', 'like', 'ilike', 'null']
+
+      case this.number:
+      case this.date:
+        return ['eq', 'ne', 'in', 'notIn', 'gt', 'gte', 'lt', 'lte', 'between', 'null']
+
+      case this.boolean:
+        return ['eq', 'ne', 'null']
+
+      case this.uuid:
+        return ['eq', 'ne', 'in', 'notIn', 'null']
+
+      case this.json:
+      case this.array:
+        return ['contains', 'null']
+
+      default:
+        return []
+    }
+  }
+}
+
+/**
+ * Convert a request filter into a Sequelize where condition, validating it against a whitelist of filterable fields.
+ * Fields are filtered using an object of operators and values, such as { "status": { "in": ["open", "inactive"] } },
+ * or a value which is shorthand for the eq operator. Fields on relationships are filtered using dot notation,
+ * such as "rats.name".
+ * @param {object} arg function arguments object
+ * @param {object} arg.filter the request filter
+ * @param {object} arg.fields map of filterable fields to their FilterType
+ * @param {Sequelize.Model} arg.databaseType the model being searched
+ * @returns {object} Sequelize where condition
+ * @throws {UnprocessableEntityAPIError} if the filter contains fields or operators that are not allowed
+ */
+export default function compileFilter ({ filter, fields = {}, databaseType }) {
+  if (isObject(filter) === false) {
+    throw new UnprocessableEntityAPIError({ parameter: 'filter' })
+  }
+
+  const conditions = Object.entries(filter).map(([field, fieldFilter]) => {
+    const filterType = fields[field]
+    if (!filterType) {
+      throw new UnprocessableEntityAPIError({ parameter: `filter[${field}]` })
+    }
+
+    let operators = fieldFilter
+    if (isObject(fieldFilter) === false) {
+      operators = { eq: fieldFilter }
+    }
+
+    const fieldConditions = Object.entries(operators).reduce((acc, [operator, value]) => {
+      if (FilterType.operators(filterType).includes(operator) === false) {
+        throw new UnprocessableEntityAPIError({ parameter: `filter[${field}][${operator}]` })
+      }
+
+      const condition = parseCondition({ filterType, operator, value })
+      if (!condition) {
+        throw new UnprocessableEntityAPIError({ parameter: `filter[${field}][${operator}]` })
+      }
+      return { ...acc, ...condition }
+    }, {})
+
+    const [relationship, attribute] = field.split('.')
+    if (attribute && databaseType && Reflect.has(databaseType.associations, relationship)) {
+      return relationshipCondition({
+        databaseType,
+        relationship,
+        where: { [attribute]: fieldConditions },
+      })
+    }
+    return { [field]: fieldConditions }
+  })
+
+  if (conditions.length === 0) {
+    return {}
+  }
+  return { [Op.and]: conditions }
+}
@@ -1,16 +1,60 @@
 import { UnprocessableEntityAPIError } from '../classes/APIError'
-import Query, { SortOrder } from './Query'
+import Query, { SortOrder, parseBoundary } from './Query'
 
 const leaderBoardFields = [
+  'rank',
   'preferredName',
   'ratNames',
   'joinedAt',
   'rescueCount',
+  'assistCount',
   'codeRedCount',
   'isDispatch',
   'isEpic',
 ]
 
+const leaderboardPlatforms = ['pc', 'xb', 'ps']
+
+/**
+ * The leaderboard statistic that rats can be ranked by for each ranking metric
+ * @type {{firstLimpet: string, assists: string, codeRed: string}}
+ */
+const leaderboardMetrics = {
+  firstLimpet: 'rescueCount',
+  assists: 'assistCount',
+  codeRed: 'codeRedCount',
+}
+
+const daysPerWeek = 7
+
+/**
+ * Get the start of the current week, month, or year
+ * @param {string} window the time window, "week", "month", or "year"
+ * @returns {Date} the start of the time window
+ */
+function windowStart (window) {
+  const date = new Date()
+  date.setUTCHours(0, 0, 0, 0)
+
+  switch (window) {
+    case 'week':
+      date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + daysPerWeek - 1) % daysPerWeek))
+      break
+
+    case 'month':
+      date.setUTCDate(1)
+      break
+
+    case 'year':
+      date.setUTCMonth(0, 1)
+      break
+
+    default:
+      throw new UnprocessableEntityAPIError({ parameter: 'filter[window]' })
+  }
+  return date
+}
+
 /**
  * Query the leaderboard for results
  */
@@ -30,6 +74,9 @@ export default class LeaderboardQuery extends Query {
       }).join(', '),
       offset: this.offset,
       limit: this.limit,
+      metric: this.metric,
+      platform: this.platform,
+      ...this.window,
     }
   }
 
@@ -38,8 +85,63 @@ export default class LeaderboardQuery extends Query {
    */
   get defaultSort () {
     return [{
-      field: 'rescueCount',
-      sort: SortOrder.descending,
+      field: 'rank',
+      sort: SortOrder.ascending,
     }]
   }
+
+  /**
+   * Get the leaderboard statistic rats are ranked by, parsed from the metric parameter of the API Query
+   * @returns {string} the leaderboard statistic rats are ranked by
+   */
+  get metric () {
+    const { metric = 'firstLimpet' } = this.connection.query
+    if (Reflect.has(leaderboardMetrics, metric) === false) {
+      throw new UnprocessableEntityAPIError({ parameter: 'metric' })
+    }
+    return leaderboardMetrics[metric]
+  }
+
+  /**
+   * Get the platform the leaderboard is limited to, parsed from the filter of the API Query
+   * @returns {string|undefined} the platform, or undefined if the leaderboard covers every platform
+   */
+  get platform () {
+    const { platform } = this.filter
+    if (typeof platform === 'undefined') {
+      return undefined
+    }
+
+    if (leaderboardPlatforms.includes(platform) === false) {
+      throw new UnprocessableEntityAPIError({ parameter: 'filter[platform]' })
+    }
+    return platform
+  }
+
+  /**
+   * Get the time window the leaderboard is limited to, parsed from the filter of the API Query as either the current
+   * week, month, or year, or a custom range of dates that includes the whole days of both dates
+   * @returns {{from: Date|undefined, to: Date|undefined}} the start and end of the time window, undefined boundaries
+   * are unlimited
+   */
+  get window () {
+    const { window, from, to } = this.filter
+
+    if (typeof window !== 'undefined') {
+      if (typeof from !== 'undefined' || typeof to !== 'undefined') {
+        throw new UnprocessableEntityAPIError({ parameter: 'filter[window]' })
+      }
+      return { from: windowStart(window), to: undefined }
+    }
+
+    const range = {
+      from: parseBoundary(from, 'filter[from]'),
+      to: parseBoundary(to, 'filter[to]'),
+    }
+
+    if (range.from && range.to && range.from > range.to) {
+      throw new UnprocessableEntityAPIError({ parameter: 'filter[to]' })
+    }
+    return range
+  }
 }
@@ -37,6 +37,36 @@ export class SortOrder {
   }
 }
 
+@enumerable()
+/**
+ * Enumerable representing the direction a page cursor points in
+ * @readonly
+ * @enum {symbol}
+ * @property {symbol} after the page contains the results following the cursor
+ * @property {symbol} before the page contains the results preceding the cursor
+ */
+export class CursorDirection {
+  static after
+  static before
+}
+
+/**
+ * Parse a date boundary of a date range filter
+ * @param {string} value the date to parse
+ * @param {string} parameter the query parameter the date was provided in
+ * @returns {Date|undefined} the parsed date, or undefined if no date was provided
+ */
+export function parseBoundary (value, parameter) {
+  if (typeof value === 'undefined') {
+    return undefined
+  }
+
+  if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) {
+    throw new UnprocessableEntityAPIError({ parameter })
+  }
+  return new Date(value)
+}
+
 /**
  * @classdesc API Query Handler
  * @class
@@ -64,20 +94,44 @@ export default class Query {
   }
 
   /**
-   * Get page query information like page number, offset, or limit parsed from the API Query
-   * @returns {{number: number, size: number, offset: number, limit: number}}  Page query information
+   * Get page query information like page number, offset, limit, or cursor parsed from the API Query
+   * @returns {{number: number, size: number, offset: number, limit: number, after: string, before: string,
+   * count: boolean}} Page query information
    */
   get page () {
     const { page = {} } = this.connection.query
 
     return Object.entries(page).reduce((acc, [key, value]) => {
-      const parsedValue = Number(value)
-      if (Number.isInteger(parsedValue) && parsedValue >= 0) {
-        acc[key] = parsedValue
-      } else {
-        throw new UnprocessableEntityAPIError({
-          parameter: `page[${key}]`,
-        })
+      switch (key) {
+        case 'after':
+        case 'before':
+          if (typeof value !== 'string' || value.length === 0) {
+            throw new UnprocessableEntityAPIError({
+              parameter: `page[${key}]`,
+            })
+          }
+          acc[key] = value
+          break
+
+        case 'count':
+          if (value !== 'true' && value !== 'false') {
+            throw new UnprocessableEntityAPIError({
+              parameter: `page[${key}]`,
+            })
+          }
+          acc[key] = value === 'true'
+          break
+
+        default: {
+          const parsedValue = Number(value)
+          if (Number.isInteger(parsedValue) && parsedValue >= 0) {
+            acc[key] = parsedValue
+          } else {
+            throw new UnprocessableEntityAPIError({
+              parameter: `page[${key}]`,
+            })
+          }
+        }
       }
       return acc
     }, {
@@ -85,9 +139,67 @@ export default class Query {
       size: undefined,
       offset: undefined,
       limit: undefined,
+      after: undefined,
+      before: undefined,
+      count: undefined,
     })
   }
 
+  /**
+   * Get the page cursor the results should continue from, parsed from the API Query
+   * @returns {{direction: CursorDirection, values: Array}|undefined} the direction of the cursor and the sort values
+   * of the result it points to, or undefined if the query does not use a cursor
+   */
+  get cursor () {
+    const { after, before, number } = this.page
+    if (!after && !before) {
+      return undefined
+    }
+
+    if (after && before) {
+      throw new UnprocessableEntityAPIError({ parameter: 'page[before]' })
+    }
+
+    if (typeof number !== 'undefined') {
+      throw new UnprocessableEntityAPIError({ parameter: 'page[number]' })
+    }
+
+    const direction = after ? CursorDirection.after : CursorDirection.before
+    const parameter = after ? 'page[after]' : 'page[before]'
+
+    let values = undefined
+    try {
+      values = JSON.parse(Buffer.from(after ?? before, 'base64').toString('utf8'))
+    } catch (ex) {
+      throw new UnprocessableEntityAPIError({ parameter })
+    }
+
+    if (Array.isArray(values) === false) {
+      throw new UnprocessableEntityAPIError({ parameter })
+    }
+    return { direction, values }
+  }
+
+  /**
+   * Get whether the total number of results should be counted, clients can opt out with page[count]=false
+   * @returns {boolean} whether the total number of results should be counted
+   */
+  get includeCount () {
+    return this.page.count !== false
+  }
+
+  /**
+   * Create an opaque page cursor from the sort values of a result
+   * @param {Array} values the values of the sort fields of a result
+   * @returns {string} an opaque URL safe page cursor
+   */
+  static encodeCursor (values) {
+    return Buffer.from(JSON.stringify(values)).toString('base64')
+      .replace(/\+/gu, '-')
+      .replace(/\//gu, '_')
+      .replace(/[=]+$/u, '')
+  }
+
   /**
    * Get the offset to request, parsed from the API Query
    * @returns {number} Offset (number of records from 0) that is being requested in the query
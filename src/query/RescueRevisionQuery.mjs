@@ -0,0 +1,39 @@
+import { UnprocessableEntityAPIError } from '../classes/APIError'
+import Query, { SortOrder } from './Query'
+
+const rescueRevisionFields = [
+  'revision',
+  'updatedAt',
+]
+
+/**
+ * Query the revision history of a rescue
+ */
+export default class RescueRevisionQuery extends Query {
+  /**
+   * @inheritdoc
+   */
+  get searchObject () {
+    return {
+      order: this.sort.map(({ field, sort }) => {
+        if (rescueRevisionFields.includes(field) === false) {
+          throw new UnprocessableEntityAPIError({ parameter: 'sort' })
+        }
+        const sequelizeOrder = SortOrder.toSQL(sort)
+        return `"${field}" ${sequelizeOrder}`
+      }).join(', '),
+      offset: this.offset,
+      limit: this.limit,
+    }
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get defaultSort () {
+    return [{
+      field: 'revision',
+      sort: SortOrder.descending,
+    }]
+  }
+}
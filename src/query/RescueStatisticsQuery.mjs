@@ -0,0 +1,81 @@
+import { UnprocessableEntityAPIError } from '../classes/APIError'
+import Query, { parseBoundary } from './Query'
+
+const rescueStatisticsIntervals = ['hour', 'day', 'week', 'month']
+const rescueStatisticsFormats = ['jsonapi', 'csv', 'prometheus']
+
+const dayMilliseconds = 24 * 60 * 60 * 1000
+const defaultRangeDays = 30
+
+/**
+ * The maximum number of days the date range may span for each size of time bucket
+ * @type {{hour: number, day: number, week: number, month: number}}
+ */
+const maximumRangeDays = {
+  hour: 31,
+  day: 366,
+  week: 1827,
+  month: 7305,
+}
+
+/**
+ * Query the time-bucketed global rescue statistics
+ */
+export default class RescueStatisticsQuery extends Query {
+  /**
+   * @inheritdoc
+   */
+  get searchObject () {
+    return {
+      interval: this.interval,
+      ...this.range,
+    }
+  }
+
+  /**
+   * Get the size of the time buckets, parsed from the interval parameter of the API Query
+   * @returns {string} the size of the time buckets, "hour", "day", "week", or "month"
+   */
+  get interval () {
+    const { interval = 'day' } = this.connection.query
+    if (rescueStatisticsIntervals.includes(interval) === false) {
+      throw new UnprocessableEntityAPIError({ parameter: 'interval' })
+    }
+    return interval
+  }
+
+  /**
+   * Get the format the statistics should be returned in, parsed from the format parameter of the API Query
+   * @returns {string} the format, "jsonapi", "csv", or "prometheus"
+   */
+  get format () {
+    const { format = 'jsonapi' } = this.connection.query
+    if (rescueStatisticsFormats.includes(format) === false) {
+      throw new UnprocessableEntityAPIError({ parameter: 'format' })
+    }
+    return format
+  }
+
+  /**
+   * Get the date range of the rescues to include, parsed from the filter of the API Query, defaults to the last
+   * 30 days. The range may not span more days than the maximum for the size of the time buckets.
+   * @returns {{from: Date, to: Date}} the start (inclusive) and end (exclusive) of the date range
+   */
+  get range () {
+    const { from, to } = this.filter
+
+    const range = {
+      to: parseBoundary(to, 'filter[to]') ?? new Date(),
+    }
+    range.from = parseBoundary(from, 'filter[from]') ?? new Date(range.to.getTime() - (defaultRangeDays * dayMilliseconds))
+
+    if (range.from >= range.to) {
+      throw new UnprocessableEntityAPIError({ parameter: 'filter[to]' })
+    }
+
+    if (range.to - range.from > maximumRangeDays[this.interval] * dayMilliseconds) {
+      throw new UnprocessableEntityAPIError({ parameter: 'filter[from]' })
+    }
+    return range
+  }
+}
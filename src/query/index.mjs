@@ -3,3 +3,5 @@ export * from './Query'
 export DatabaseQuery from './DatabaseQuery'
 export AnopeQuery from './AnopeQuery'
 export LeaderboradQuery from './LeaderboardQuery'
+export RescueRevisionQuery from './RescueRevisionQuery'
+export RescueStatisticsQuery from './RescueStatisticsQuery'
@@ -1,6 +1,7 @@
 import {
   BadRequestAPIError,
   ForbiddenAPIError,
+  TooManyRequestsAPIError,
   UnauthorizedAPIError,
   UnprocessableEntityAPIError,
 } from '../classes/APIError'
@@ -156,6 +157,25 @@ export function clientAuthenticated (target, name, descriptor) {
   }
 }
 
+// eslint-disable-next-line jsdoc/require-param
+/**
+ * ESNext Decorator for requiring client authentication on an endpoint, allowing public clients to identify
+ * themselves with only their client id
+ */
+export function publicClientAuthenticated (target, name, descriptor) {
+  const endpoint = descriptor.value
+
+  descriptor.value = async function value (...args) {
+    const [ctx] = args
+    const client = await Authentication.requireClientAuthentication({ connection: ctx, allowPublic: true })
+    if (!client) {
+      throw new InvalidClientOAuthError()
+    }
+    ctx.state.client = client
+    return endpoint.apply(target, args)
+  }
+}
+
 // eslint-disable-next-line jsdoc/require-param
 /**
  * ESNext decorator for requiring basic user authentication on an endpoint
@@ -207,6 +227,31 @@ export function permissions (...perms) {
   }
 }
 
+/**
+ * ESNext Decorator setting the cost of an expensive API endpoint in number of requests taken from the rate limit
+ * @param {number} requestCost the cost of a request to the endpoint
+ * @returns {Function} A decorator function
+ */
+export function cost (requestCost) {
+  return (target, name, descriptor) => {
+    const endpoint = descriptor.value
+
+    descriptor.value = async function value (...args) {
+      const [ctx] = args
+      const { trafficControl } = ctx.state
+      if (trafficControl) {
+        // The base cost of the request has already been taken when the request was received
+        const rateLimit = await trafficControl.validateRateLimit({ connection: ctx, cost: requestCost - 1 })
+        ctx.state.traffic = rateLimit
+        if (rateLimit.exceeded) {
+          throw new TooManyRequestsAPIError({})
+        }
+      }
+      return endpoint.apply(target, args)
+    }
+  }
+}
+
 /**
  * ESNext Decorator for requiring query parameters in an endpoint
  * @param {...string} fields The query parameters to require
@@ -8,6 +8,7 @@ import {
   NotFoundAPIError,
   UnprocessableEntityAPIError,
 } from '../classes/APIError'
+import Audit from '../classes/Audit'
 import { Context } from '../classes/Context'
 import Permission from '../classes/Permission'
 import { Rat, db } from '../db'
@@ -111,6 +112,15 @@ export default class APIResource extends API {
 
         await Promise.all(relationshipChanges)
       }
+
+      await Audit.record({
+        ctx,
+        action: 'create',
+        resourceType: this.type,
+        resourceId: entity.id,
+        after: entity,
+        transaction,
+      })
     } catch (ex) {
       await transaction.rollback()
       throw ex
@@ -157,6 +167,7 @@ export default class APIResource extends API {
     delete attributes.createdAt
     delete attributes.updatedAt
 
+    const before = Audit.snapshot(entity)
     const transaction = await db.transaction()
 
     try {
@@ -178,6 +189,16 @@ export default class APIResource extends API {
 
         await Promise.all(relationshipChanges)
       }
+
+      await Audit.record({
+        ctx,
+        action: 'update',
+        resourceType: this.type,
+        resourceId: entity.id,
+        before,
+        after: entity,
+        transaction,
+      })
     } catch (ex) {
       await transaction.rollback()
       throw ex
@@ -228,7 +249,17 @@ export default class APIResource extends API {
       await callback(entity)
     }
 
-    return entity.destroy({ force: ctx.state.forceDelete })
+    const before = Audit.snapshot(entity)
+    const result = await entity.destroy({ force: ctx.state.forceDelete })
+
+    await Audit.record({
+      ctx,
+      action: ctx.state.forceDelete ? 'forcedelete' : 'delete',
+      resourceType: this.type,
+      resourceId: entity.id,
+      before,
+    })
+    return result
   }
 
   /**
@@ -295,12 +326,30 @@ export default class APIResource extends API {
       await callback(entity)
     }
 
+    const before = Audit.snapshot(entity)
     const transaction = await db.transaction()
 
     try {
       await this.generateRelationshipChange({
         ctx, data: ctx.data.data, entity, change, relationship, transaction,
       })
+
+      const after = await databaseType.findOne({
+        where: {
+          id: ctx.params.id,
+        },
+        transaction,
+      })
+
+      await Audit.record({
+        ctx,
+        action: `relationships.${relationship}.${change}`,
+        resourceType: this.type,
+        resourceId: entity.id,
+        before,
+        after,
+        transaction,
+      })
     } catch (ex) {
       await transaction.rollback()
       throw ex
@@ -554,6 +603,16 @@ export default class APIResource extends API {
     return {}
   }
 
+  /**
+   * Get a map of the fields searches of this resource can be filtered on to their FilterType,
+   * fields on relationships use dot notation such as "rats.name"
+   * @returns {object}
+   * @abstract
+   */
+  get filterFields () {
+    return {}
+  }
+
   /**
    * Check whether this entity requires self-level access (Can only be accessed by themselves, or admin)
    * @param {object} arg function arguments object
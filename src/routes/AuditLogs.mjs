@@ -0,0 +1,88 @@
+import DatabaseDocument from '../Documents/DatabaseDocument'
+import { NotFoundAPIError } from '../classes/APIError'
+import { Context } from '../classes/Context'
+import { websocket } from '../classes/WebSocket'
+import { AuditLog } from '../db'
+import { UUID } from '../helpers/Validators'
+import DatabaseQuery from '../query/DatabaseQuery'
+import { FilterType } from '../query/Filter'
+import { AuditLogView } from '../view'
+import API, {
+  authenticated,
+  GET,
+  parameters,
+  permissions,
+} from './API'
+
+/**
+ * Endpoints for searching the audit log of privileged and administrative changes made to resources
+ */
+export default class AuditLogs extends API {
+  /**
+   * @inheritdoc
+   */
+  get type () {
+    return 'audit-logs'
+  }
+
+  /**
+   * Search the audit log, for example by the type and id of a resource to find out who changed it
+   * @param {Context} ctx request context
+   * @returns {Promise<DatabaseDocument>} list of audit log entries
+   */
+  @GET('/audit')
+  @websocket('audit', 'search')
+  @authenticated
+  @permissions('audit.read')
+  async search (ctx) {
+    const query = new DatabaseQuery({
+      connection: ctx,
+      databaseType: AuditLog,
+      filterFields: this.filterFields,
+    })
+
+    const result = await query.findAndCountAll(AuditLog)
+    return new DatabaseDocument({ query, result, type: AuditLogView })
+  }
+
+  /**
+   * Find an audit log entry by id
+   * @param {Context} ctx request context
+   * @returns {Promise<DatabaseDocument>} an audit log entry
+   */
+  @GET('/audit/:id')
+  @websocket('audit', 'read')
+  @parameters('id')
+  @authenticated
+  @permissions('audit.read')
+  async findById (ctx) {
+    if (!UUID.test(ctx.params.id)) {
+      throw new NotFoundAPIError({ parameter: 'id' })
+    }
+
+    const result = await AuditLog.findOne({ where: { id: ctx.params.id } })
+    if (!result) {
+      throw new NotFoundAPIError({ parameter: 'id' })
+    }
+
+    const query = new DatabaseQuery({ connection: ctx })
+    return new DatabaseDocument({ query, result, type: AuditLogView })
+  }
+
+  /**
+   * Get a map of the fields searches of the audit log can be filtered on to their FilterType
+   * @returns {object}
+   */
+  get filterFields () {
+    return {
+      action: FilterType.string,
+      resourceType: FilterType.string,
+      resourceId: FilterType.string,
+      userId: FilterType.uuid,
+      representedUserId: FilterType.uuid,
+      clientId: FilterType.uuid,
+      ip: FilterType.string,
+      createdAt: FilterType.date,
+    }
+  }
+}
@@ -9,6 +9,7 @@ import StatusCode from '../classes/StatusCode'
 import { websocket } from '../classes/WebSocket'
 import { Client, Code, Token } from '../db'
 import DatabaseQuery from '../query/DatabaseQuery'
+import { FilterType } from '../query/Filter'
 import { ClientView, UserView } from '../view'
 import {
   permissions,
@@ -44,8 +45,12 @@ export default class Clients extends APIResource {
   @websocket('clients', 'search')
   @authenticated
   async search (ctx) {
-    const query = new DatabaseQuery({ connection: ctx })
-    const result = await Client.scope('user').findAndCountAll(query.searchObject)
+    const query = new DatabaseQuery({
+      connection: ctx,
+      databaseType: Client,
+      filterFields: this.filterFields,
+    })
+    const result = await query.findAndCountAll(Client.scope('user'))
     return new DatabaseDocument({ query, result, type: ClientView })
   }
 
@@ -170,6 +175,21 @@ export default class Clients extends APIResource {
     return true
   }
 
+  /**
+   * @inheritdoc
+   */
+  get filterFields () {
+    return {
+      name: FilterType.string,
+      redirectUri: FilterType.string,
+      userId: FilterType.uuid,
+      firstParty: FilterType.boolean,
+      public: FilterType.boolean,
+      createdAt: FilterType.date,
+      updatedAt: FilterType.date,
+    }
+  }
+
   /**
    * @inheritdoc
    */
@@ -179,6 +199,8 @@ export default class Clients extends APIResource {
       redirectUri: WritePermission.group,
       namespaces: WritePermission.sudo,
       firstParty: WritePermission.sudo,
+      public: WritePermission.group,
+      rateLimit: WritePermission.sudo,
       secret: WritePermission.internal,
       createdAt: WritePermission.internal,
       updatedAt: WritePermission.internal,
@@ -1,11 +1,17 @@
+import fs from 'fs'
 import { DocumentViewType } from '../Documents'
 import DatabaseDocument from '../Documents/DatabaseDocument'
-import { UnsupportedMediaAPIError } from '../classes/APIError'
+import ObjectDocument from '../Documents/ObjectDocument'
+import { BadRequestAPIError, UnprocessableEntityAPIError, UnsupportedMediaAPIError } from '../classes/APIError'
+import { Context } from '../classes/Context'
+import DecalInventory from '../classes/DecalInventory'
 import StatusCode from '../classes/StatusCode'
 import { websocket } from '../classes/WebSocket'
-import { Decal, db, User } from '../db'
+import { Decal } from '../db'
+import Query from '../query'
 import DatabaseQuery from '../query/DatabaseQuery'
-import { DecalView } from '../view'
+import { FilterType } from '../query/Filter'
+import { DecalInventoryView, DecalView } from '../view'
 import {
   authenticated,
   GET,
@@ -19,47 +25,8 @@ import {
 } from './API'
 import APIResource from './APIResource'
 
-const originalDecalDeadline = '2016-04-01 00:00:00+00'
-const minimumRescueCount = 10
-
-/*
-* This query retrieves the number of decals the user is eligible to redeem.
-* A user is granted 1 decal per rat (CMDR) that had 10 rescues or more before the start of the current month.
-* This excludes rats that had a rescue before April 2016 as those were already granted a decal using a previous giveaway
-* The number of rescue decals already redeemed by the user is subtracted from the count.
-* */
-
-// language=PostgreSQL
-const decalEligibilityQuery = `
-WITH "EligibleRats" AS (
-	SELECT
-		COUNT(DISTINCT "Rescues"."id") AS "count",
-		COUNT(DISTINCT "Decals"."id") AS "existingDecals"
-	FROM "Users"
-	LEFT JOIN "Rats" ON "Rats"."userId" = "Users"."id" AND "Rats"."deletedAt" IS NULL
-	LEFT JOIN "Rescues" ON "Rescues"."firstLimpetId" = "Rats"."id" AND "Rescues"."deletedAt" IS NULL
-	LEFT JOIN "Decals" ON "Decals"."userId" = "Users"."id" AND "Decals"."type" = 'Rescues'
-	WHERE
-		NOT EXISTS (
-			SELECT NULL FROM "Rescues" WHERE
-				"Rescues"."firstLimpetId" = "Rats"."id" AND
-				"Rescues"."deletedAt" IS NULL AND
-				"Rescues"."outcome" = 'success' AND
-				"Rescues"."createdAt" < $originalDecalDeadline
-		) AND
-		"Users"."id" = $userId AND
-		"Rescues"."outcome" = 'success' AND
-		"Rescues"."createdAt" < $monthTurnOver
-	GROUP BY "Rats"."id"
-    HAVING COUNT(DISTINCT "Rescues"."id") >= $minimumRescueCount
-)
-
-SELECT COUNT("EligibleRats"."count") - min("existingDecals") AS "canRedeem"
-FROM "EligibleRats"
-`
-
 /**
- *
+ * Class managing decal endpoints
  */
 export default class Decals extends APIResource {
   /**
@@ -78,12 +45,68 @@ export default class Decals extends APIResource {
   @authenticated
   @permissions('decals.read')
   async search (ctx) {
-    const query = new DatabaseQuery({ connection: ctx })
-    const result = await Decal.findAndCountAll(query.searchObject)
+    const query = new DatabaseQuery({
+      connection: ctx,
+      databaseType: Decal,
+      filterFields: this.filterFields,
+    })
+    const result = await query.findAndCountAll(Decal)
 
     return new DatabaseDocument({ query, result, type: DecalView })
   }
 
+  /**
+   * Get the number of total, claimed, and available decal codes for each type of decal
+   * @param {Context} ctx request context
+   * @returns {Promise<DatabaseDocument>} decal inventory counts
+   */
+  @GET('/decals/inventory')
+  @websocket('decals', 'inventory', 'read')
+  @authenticated
+  @permissions('decals.read')
+  async inventory (ctx) {
+    const inventory = await DecalInventory.counts()
+
+    const query = new Query({ connection: ctx })
+    const result = { count: inventory.length, rows: inventory.slice(query.offset, query.offset + query.limit) }
+    return new DatabaseDocument({ query, result, type: DecalInventoryView })
+  }
+
+  /**
+   * Bulk import decal codes from an uploaded CSV file with one code per row
+   * @param {Context} ctx request context
+   * @returns {Promise<ObjectDocument>} the inventory of the imported type of decal and a summary of the import
+   */
+  @POST('/decals/import')
+  @authenticated
+  @permissions('decals.write')
+  async import (ctx) {
+    const file = ctx.request.files?.file
+    if (!file) {
+      throw new BadRequestAPIError({ parameter: 'file' })
+    }
+
+    const { type = 'Rescues' } = ctx.request.body
+    if (!Decal.rawAttributes.type.values.includes(type)) {
+      throw new UnprocessableEntityAPIError({ parameter: 'type' })
+    }
+
+    const csv = await fs.promises.readFile(file.path, 'utf8')
+    const summary = await DecalInventory.importCodes({ ctx, type, csv })
+
+    const inventory = await DecalInventory.counts()
+    const result = {
+      ...inventory.find((entry) => {
+        return entry.type === type
+      }),
+      ...summary,
+    }
+
+    ctx.response.status = StatusCode.created
+    const query = new Query({ connection: ctx })
+    return new ObjectDocument({ query, result, type: DecalInventoryView, view: DocumentViewType.individual })
+  }
+
   /**
    * Get a decal by ID
    * @endpoint
@@ -182,38 +205,6 @@ export default class Decals extends APIResource {
     return new DatabaseDocument({ query, result, type: DecalView, view: DocumentViewType.meta })
   }
 
-  /**
-   * Get a date object for the exact start of the current month
-   * @returns {Date} date object for the start of the current month
-   */
-  static getLastMonthTurnOver () {
-    const date = new Date()
-    date.setUTCDate(1)
-    date.setUTCHours(0)
-    date.setUTCMinutes(0)
-    date.setUTCSeconds(0)
-    return date
-  }
-
-  /**
-   * Get a user's eligible decal count
-   * @param {object} arg function arguments object
-   * @param {User} arg.user the user to check
-   * @returns {Promise<number>} the number of decals the user is eligible to redeem
-   */
-  static async getEligibleDecalCount ({ user }) {
-    const { id: userId } = user
-    const monthTurnOver = Decals.getLastMonthTurnOver()
-
-    const [result] = await db.query(decalEligibilityQuery, {
-      bind: { userId, originalDecalDeadline, monthTurnOver, minimumRescueCount },
-      type: db.QueryTypes.SELECT,
-    })
-
-    const { canRedeem } = result ?? {}
-    return canRedeem || 0
-  }
-
   /**
    *
    * @inheritdoc
@@ -247,6 +238,20 @@ export default class Decals extends APIResource {
     return entity.userId === ctx.state.user.id
   }
 
+  /**
+   * @inheritdoc
+   */
+  get filterFields () {
+    return {
+      code: FilterType.string,
+      type: FilterType.string,
+      claimedAt: FilterType.date,
+      userId: FilterType.uuid,
+      createdAt: FilterType.date,
+      updatedAt: FilterType.date,
+    }
+  }
+
   /**
    * @inheritdoc
    */
@@ -1,12 +1,15 @@
 import { DocumentViewType } from '../Documents'
 import DatabaseDocument from '../Documents/DatabaseDocument'
-import { UnsupportedMediaAPIError } from '../classes/APIError'
+import { UnprocessableEntityAPIError, UnsupportedMediaAPIError } from '../classes/APIError'
+import { Context } from '../classes/Context'
+import EpicReviews from '../classes/EpicReviews'
 import Permission from '../classes/Permission'
 import StatusCode from '../classes/StatusCode'
 import { websocket } from '../classes/WebSocket'
-import { Epic } from '../db'
+import { Epic, EpicReview } from '../db'
 import DatabaseQuery from '../query/DatabaseQuery'
-import { EpicView, UserView } from '../view'
+import { FilterType } from '../query/Filter'
+import { EpicReviewView, EpicView, UserView } from '../view'
 import {
   GET,
   PUT,
@@ -14,7 +17,11 @@ import {
   PATCH,
   DELETE,
   authenticated,
-  WritePermission, parameters
+  getJSONAPIData,
+  permissions,
+  required,
+  WritePermission,
+  parameters,
 } from './API'
 import APIResource from './APIResource'
 
@@ -37,8 +44,12 @@ export default class Epics extends APIResource {
   @websocket('epics', 'search')
   @authenticated
   async search (ctx) {
-    const query = new DatabaseQuery({ connection: ctx })
-    const result = await Epic.findAndCountAll(query.searchObject)
+    const query = new DatabaseQuery({
+      connection: ctx,
+      databaseType: Epic,
+      filterFields: this.filterFields,
+    })
+    const result = await query.findAndCountAll(Epic)
     return new DatabaseDocument({ query, result, type: EpicView })
   }
 
@@ -106,6 +117,79 @@ export default class Epics extends APIResource {
     return true
   }
 
+  /**
+   * Vote to approve a pending epic nomination
+   * @endpoint
+   */
+  @POST('/epics/:id/approve')
+  @websocket('epics', 'approve')
+  @parameters('id')
+  @required('comment')
+  @authenticated
+  @permissions('epics.write')
+  approve (ctx) {
+    return this.review({ ctx, decision: 'approve' })
+  }
+
+  /**
+   * Vote to reject a pending epic nomination
+   * @endpoint
+   */
+  @POST('/epics/:id/reject')
+  @websocket('epics', 'reject')
+  @parameters('id')
+  @required('comment')
+  @authenticated
+  @permissions('epics.write')
+  reject (ctx) {
+    return this.review({ ctx, decision: 'reject' })
+  }
+
+  /**
+   * Get the votes reviewers have cast on an epic nomination
+   * @endpoint
+   */
+  @GET('/epics/:id/reviews')
+  @websocket('epics', 'reviews', 'read')
+  @parameters('id')
+  @authenticated
+  @permissions('epics.read')
+  async reviews (ctx) {
+    const { result: epic } = await super.findById({ ctx, databaseType: Epic })
+
+    const query = new DatabaseQuery({ connection: ctx })
+    const result = await EpicReview.findAndCountAll({
+      where: { epicId: epic.id },
+      order: [['createdAt', 'ASC']],
+      offset: query.offset,
+      limit: query.limit,
+    })
+    return new DatabaseDocument({ query, result, type: EpicReviewView })
+  }
+
+  /**
+   * Cast the requesting reviewer's vote on an epic nomination
+   * @param {object} arg function arguments object
+   * @param {Context} arg.ctx request context
+   * @param {string} arg.decision the decision to vote for, "approve" or "reject"
+   * @returns {Promise<DatabaseDocument>} the epic nomination after the vote
+   */
+  async review ({ ctx, decision }) {
+    const { result: epic } = await super.findById({ ctx, databaseType: Epic })
+
+    const { comment } = getJSONAPIData({ ctx, type: 'epic-reviews' }).attributes
+    if (typeof comment !== 'string' || comment.trim().length === 0) {
+      throw new UnprocessableEntityAPIError({ pointer: '/data/attributes/comment' })
+    }
+
+    await EpicReviews.review({
+      ctx, epicId: epic.id, decision, comment,
+    })
+
+    const { query, result } = await super.findById({ ctx, databaseType: Epic })
+    return new DatabaseDocument({ query, result, type: EpicView })
+  }
+
   /**
    * Get the nominated users in an epic nomination
    * @endpoint
@@ -243,26 +327,6 @@ export default class Epics extends APIResource {
     return new DatabaseDocument({ query, result, type: UserView, view: DocumentViewType.relationship })
   }
 
-  /**
-   * Set the user who approved this epic
-   * @endpoint
-   */
-  @PATCH('/epics/:id/relationships/approvedBy')
-  @websocket('epics', 'approvedBy', 'patch')
-  @parameters('id')
-  @authenticated
-  async relationshipApprovedByPatch (ctx) {
-    await this.relationshipChange({
-      ctx,
-      databaseType: Epic,
-      change: 'patch',
-      relationship: 'approvedBy',
-    })
-
-    ctx.response.status = StatusCode.noContent
-    return true
-  }
-
   /**
    * @inheritdoc
    */
@@ -273,7 +337,7 @@ export default class Epics extends APIResource {
           many: true,
 
           hasPermission (connection, entity) {
-            if (!entity.approvedById && entity.nominatedById === connection.state.user.id) {
+            if (entity.status === 'pending' && entity.nominatedById === connection.state.user.id) {
               return Permission.granted({ permissions: ['epics.write.me'], connection })
             }
             return Permission.granted({ permissions: ['epics.write'], connection })
@@ -309,23 +373,6 @@ export default class Epics extends APIResource {
           },
         }
 
-      case 'approvedBy':
-        return {
-          many: false,
-
-          hasPermission (connection) {
-            return Permission.granted({ permissions: ['epics.write'], connection })
-          },
-
-          add ({ entity, id, transaction }) {
-            return entity.setApprovedBy(id, { transaction })
-          },
-
-          patch ({ entity, id, transaction }) {
-            return entity.setApprovedBy(id, { transaction })
-          },
-        }
-
       default:
         throw new UnsupportedMediaAPIError({ pointer: '/relationships' })
     }
@@ -350,6 +397,21 @@ export default class Epics extends APIResource {
     }
   }
 
+  /**
+   * @inheritdoc
+   */
+  get filterFields () {
+    return {
+      rescueId: FilterType.uuid,
+      approvedById: FilterType.uuid,
+      nominatedById: FilterType.uuid,
+      status: FilterType.string,
+      createdAt: FilterType.date,
+      updatedAt: FilterType.date,
+      'nominees.id': FilterType.uuid,
+    }
+  }
+
   /**
    * @inheritdoc
    */
@@ -1,4 +1,3 @@
-import Document from '../Documents/Document'
 import {
   BadRequestAPIError,
   ConflictAPIError,
@@ -8,17 +7,17 @@ import {
 } from '../classes/APIError'
 import { Context } from '../classes/Context'
 import { listen } from '../classes/Event'
+import EventLog from '../classes/EventLog'
 import EventStream from '../classes/EventStream'
 import StatusCode from '../classes/StatusCode'
 import WebSocket, { websocket } from '../classes/WebSocket'
-import { Client } from '../db'
+import { Client, EventLogEntry } from '../db'
 import API, {
   authenticated,
   parameters,
   GET,
   POST,
 } from './API'
-import Query from '../query/Query'
 
 /**
  * WebSocket and SSE subscription endpoint
@@ -39,30 +38,26 @@ export default class Events extends API {
   @GET('/events')
   @authenticated
   events (ctx) {
-    return EventStream.fromConnection(ctx)
+    let lastEventId = ctx.get('Last-Event-ID')
+    if (!lastEventId) {
+      lastEventId = ctx.query.lastEventId
+    }
+
+    return EventStream.fromConnection(ctx, EventLog.parseCursor(lastEventId))
   }
 
   /**
    * Event listener for fuelrats api change events that should be broadcasted to SSE
-   * @param {object} user the user that caused the vent
-   * @param {string} id the id of the resource this event relates to
-   * @param {object} data event data
+   * @param {EventLogEntry} entry the event log entry of the event
    */
-  @listen('fuelrats.*')
-  onListen (user, id, data) {
+  @listen('eventlog.deliver')
+  onListen (entry) {
     EventStream.subscriptions.forEach((stream) => {
-      let document = data
-      if (document instanceof Document) {
-        document.query = new Query({ connection: stream.ctx })
-        document = document.render()
-      }
-
-      stream.send({
-        event: this.event,
-        data: {
-          id,
-          user,
-          data: document,
+      EventLog.deliver({
+        subscriber: stream,
+        entry,
+        send: (event) => {
+          stream.sendEvent(event)
         },
       })
     })
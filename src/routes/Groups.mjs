@@ -4,6 +4,7 @@ import StatusCode from '../classes/StatusCode'
 import { websocket } from '../classes/WebSocket'
 import { Group } from '../db'
 import DatabaseQuery from '../query/DatabaseQuery'
+import { FilterType } from '../query/Filter'
 import { GroupView } from '../view'
 import {
   GET,
@@ -36,8 +37,12 @@ export default class Groups extends APIResource {
   @websocket('groups', 'search')
   @authenticated
   async search (ctx) {
-    const query = new DatabaseQuery({ connection: ctx })
-    const result = await Group.findAndCountAll(query.searchObject)
+    const query = new DatabaseQuery({
+      connection: ctx,
+      databaseType: Group,
+      filterFields: this.filterFields,
+    })
+    const result = await query.findAndCountAll(Group)
     return new DatabaseDocument({ query, result, type: GroupView })
   }
 
@@ -124,6 +129,20 @@ export default class Groups extends APIResource {
     return {}
   }
 
+  /**
+   * @inheritdoc
+   */
+  get filterFields () {
+    return {
+      name: FilterType.string,
+      vhost: FilterType.string,
+      withoutPrefix: FilterType.boolean,
+      priority: FilterType.number,
+      createdAt: FilterType.date,
+      updatedAt: FilterType.date,
+    }
+  }
+
   /**
    * @inheritdoc
    */
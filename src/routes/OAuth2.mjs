@@ -1,3 +1,5 @@
+import crypto from 'crypto'
+import Sequelize from 'sequelize'
 import {
   BadRequestAPIError,
   ForbiddenAPIError,
@@ -9,28 +11,58 @@ import {
   OAuthError,
   AccessDeniedOAuthError,
   InvalidClientOAuthError,
+  InvalidGrantOAuthError,
   InvalidRequestOAuthError,
   InvalidScopeOAuthError, UnauthorisedClientOAuthError,
   UnsupportedGrantTypeOAuthError,
   UnsupportedResponseTypeOAuthError,
 } from '../classes/OAuthError'
+import OpenIDConnect, { base64UrlEncode } from '../classes/OpenIDConnect'
 import Permission from '../classes/Permission'
+import router from '../classes/Router'
 import Sessions from '../classes/Sessions'
 import { oAuthTokenGenerator, transactionGenerator } from '../classes/TokenGenerators'
-import { Client, Code, Session } from '../db'
+import config from '../config'
+import { Client, Code, Session, User } from '../db'
 import Token from '../db/Token'
-import { isValidRedirectUri } from '../helpers/Validators'
+import { isValidRedirectUri, oAuthCodeChallenge, oAuthCodeVerifier } from '../helpers/Validators'
 import API, {
   authenticated,
   clientAuthenticated,
   GET,
   parameters,
   POST,
+  publicClientAuthenticated,
 } from './API'
 
+const { Op } = Sequelize
+
 const transactionTimeoutMinutes = 10
 const transactionTimeout = transactionTimeoutMinutes * 60 * 1000
 const sessionExpiryTime = 60 * 60 * 1000
+const secondMilliseconds = 1000
+
+/**
+ * The OAuth authorization response types supported by the authorize endpoint
+ * @type {[string]}
+ */
+const responseTypes = ['code', 'token']
+
+/**
+ * The OAuth grant types supported by the token endpoint, mapped to the name of the method handling them
+ * @type {Map<string, string>}
+ */
+const grantTypes = new Map([
+  ['authorization_code', 'authoriseTokenExchange'],
+  ['password', 'resourceOwnerPasswordCredentials'],
+  ['refresh_token', 'refreshTokenGrant'],
+])
+
+/**
+ * The grant types public clients, which authenticate with only their client id, may use at the token endpoint
+ * @type {[string]}
+ */
+const publicClientGrantTypes = ['authorization_code', 'refresh_token']
 
 /**
  * Class for managing OAuth 2 requests
@@ -60,6 +92,9 @@ class OAuth extends API {
       redirect_uri: redirectUri,
       scope,
       state,
+      code_challenge: codeChallenge,
+      code_challenge_method: codeChallengeMethod,
+      nonce,
     } = ctx.query
 
     /* Check valid parameters */
@@ -88,6 +123,17 @@ class OAuth extends API {
       return callbackError(redirectUri, throw new InvalidScopeOAuthError(invalidScopes.join(',')))
     }
 
+    /* Check valid PKCE code challenge, only the S256 code challenge method is supported */
+    if (codeChallenge) {
+      if (codeChallengeMethod !== 'S256') {
+        return callbackError(redirectUri, new InvalidRequestOAuthError('code_challenge_method'))
+      }
+
+      if (!oAuthCodeChallenge.test(codeChallenge)) {
+        return callbackError(redirectUri, new InvalidRequestOAuthError('code_challenge'))
+      }
+    }
+
     /* Check if OAuth client exists */
     const client = await Client.findOne({
       where: { id: clientId },
@@ -96,6 +142,12 @@ class OAuth extends API {
       return callbackError(redirectUri, new InvalidRequestOAuthError('client'))
     }
 
+    /* Public clients have no client secret to authenticate the token exchange with,
+    * they must instead prove that they requested the auth code with a PKCE code challenge */
+    if (client.public && responseType === 'code' && !codeChallenge) {
+      return callbackError(redirectUri, new InvalidRequestOAuthError('code_challenge'))
+    }
+
     /* Implicit Grant requires the redirectUri to be the same as stored in the OAuth client database entry
     * as the redirectUri serves as the only form of client authentication */
     if (responseType === 'token') {
@@ -104,7 +156,7 @@ class OAuth extends API {
       }
     }
 
-    if (responseType === 'code' || responseType === 'token') {
+    if (responseTypes.includes(responseType)) {
       /* Check if the user has previously granted this application access to these permissions */
       const existingToken = await Token.findOne({
         where: {
@@ -122,6 +174,8 @@ class OAuth extends API {
           value: await oAuthTokenGenerator(),
           scope: scopes,
           redirectUri,
+          codeChallenge,
+          nonce,
           clientId,
           userId: ctx.state.user.id,
         })
@@ -134,16 +188,17 @@ class OAuth extends API {
 
       /* User has previously granted access, skip immediately to returning a token */
       if (existingToken && responseType === 'token') {
-        const token = await Token.create({
-          value: await oAuthTokenGenerator(),
+        const token = await issueToken({
           scope: scopes,
           clientId,
           userId: ctx.state.user.id,
+          refresh: false,
         })
 
         return callbackResponse(redirectUri, {
           access_token: token.value,
           token_type: 'bearer',
+          expires_in: config.oauth.accessTokenLifetime,
           scope: scopes.join(','),
           state,
         })
@@ -155,6 +210,8 @@ class OAuth extends API {
         responseType,
         redirectUri,
         scopes,
+        codeChallenge,
+        nonce,
         clientId,
         state,
         userId: ctx.state.user.id,
@@ -206,6 +263,8 @@ class OAuth extends API {
     const {
       redirectUri,
       scopes,
+      codeChallenge,
+      nonce,
       clientId,
       userId,
       state,
@@ -234,6 +293,8 @@ class OAuth extends API {
         value: await oAuthTokenGenerator(),
         scope: scopes,
         redirectUri,
+        codeChallenge,
+        nonce,
         clientId,
         userId,
       })
@@ -246,16 +307,17 @@ class OAuth extends API {
 
     /* User allowed access, return bearer token */
     if (transaction.responseType === 'token') {
-      const token = await Token.create({
-        value: await oAuthTokenGenerator(),
+      const token = await issueToken({
         scope: transaction.scopes,
         clientId: transaction.clientId,
         userId: transaction.userId,
+        refresh: false,
       })
 
       return callbackResponse(redirectUri, {
         access_token: token.value,
         token_type: 'bearer',
+        expires_in: config.oauth.accessTokenLifetime,
         scope: transaction.scopes.join(','),
         state: transaction.state,
       })
@@ -269,19 +331,19 @@ class OAuth extends API {
    * @endpoint
    */
   @POST('/oauth2/token')
-  @clientAuthenticated
+  @publicClientAuthenticated
   token (ctx) {
     const { grant_type: grantType } = ctx.request.body
     if (!grantType) {
       throw new InvalidRequestOAuthError('grant_type')
     }
 
-    if (grantType === 'authorization_code') {
-      return this.authoriseTokenExchange(ctx)
+    if (ctx.state.client.public && !publicClientGrantTypes.includes(grantType)) {
+      throw new UnauthorisedClientOAuthError()
     }
 
-    if (grantType === 'password') {
-      return this.resourceOwnerPasswordCredentials(ctx)
+    if (grantTypes.has(grantType)) {
+      return this[grantTypes.get(grantType)](ctx)
     }
 
     throw new UnsupportedGrantTypeOAuthError()
@@ -296,6 +358,7 @@ class OAuth extends API {
     const {
       code,
       redirect_uri: redirectUri,
+      code_verifier: codeVerifier,
     } = ctx.request.body
 
     /* Validate parameters */
@@ -320,7 +383,7 @@ class OAuth extends API {
     }
 
     /* Only 10 minutes is allowed to pass between requesting an auth code and exchanging it for a token */
-    if (Date() - authCode.createdAt > transactionTimeout) {
+    if (Date.now() - authCode.createdAt > transactionTimeout) {
       throw new InvalidRequestOAuthError('code')
     }
 
@@ -334,18 +397,92 @@ class OAuth extends API {
       throw new InvalidRequestOAuthError('redirect_uri')
     }
 
+    /* Auth codes requested by public clients must always be exchanged with a PKCE code verifier */
+    if (client.public && !authCode.codeChallenge) {
+      throw new InvalidGrantOAuthError('code_verifier')
+    }
+
+    /* The code verifier in the current request does not match the code challenge of the auth code request */
+    if (authCode.codeChallenge) {
+      if (typeof codeVerifier !== 'string' || !oAuthCodeVerifier.test(codeVerifier)) {
+        throw new InvalidRequestOAuthError('code_verifier')
+      }
+
+      if (s256CodeChallenge(codeVerifier) !== authCode.codeChallenge) {
+        throw new InvalidGrantOAuthError('code_verifier')
+      }
+    }
+
+    /* Auth codes can only be exchanged once */
+    await authCode.destroy()
+
     /* Exchange successful, return bearer token */
-    const token = await Token.create({
-      value: await oAuthTokenGenerator(),
+    const token = await issueToken({
       scope: authCode.scope,
       userId: authCode.userId,
       clientId: authCode.clientId,
     })
 
-    return {
-      access_token: token.value,
-      token_type: 'bearer',
+    return tokenResponse(token, { nonce: authCode.nonce })
+  }
+
+  /**
+   * Handler for OAuth2 Refresh Token requests
+   * @endpoint
+   */
+  async refreshTokenGrant (ctx) {
+    const {
+      refresh_token: refreshToken,
+      scope,
+    } = ctx.request.body
+
+    /* Validate parameters */
+    if (!refreshToken) {
+      throw new InvalidRequestOAuthError('refresh_token')
+    }
+
+    /* Lookup the token the refresh token was issued with */
+    const { client } = ctx.state
+    const existingToken = await Token.findOne({
+      where: {
+        refreshToken,
+        clientId: client.id,
+      },
+    })
+
+    if (!existingToken || existingToken.isRefreshTokenExpired()) {
+      throw new InvalidGrantOAuthError('refresh_token')
     }
+
+    /* The client may narrow the scope of the new token, but never request scopes that were not originally granted */
+    let scopes = existingToken.scope
+    if (typeof scope !== 'undefined') {
+      if (typeof scope !== 'string' || scope.length === 0) {
+        throw new InvalidRequestOAuthError('scope')
+      }
+
+      scopes = scope.split(' ')
+      if (!existingToken.scope.includes('*')) {
+        const invalidScopes = scopes.filter((scopeEntry) => {
+          return existingToken.scope.includes(scopeEntry) === false
+        })
+        if (invalidScopes.length > 0) {
+          throw new InvalidScopeOAuthError(invalidScopes.join(','))
+        }
+      }
+    }
+
+    /* Refresh tokens are rotated, the old token and refresh token are revoked when a new one is issued */
+    await existingToken.destroy()
+
+    const token = await issueToken({
+      scope: scopes,
+      userId: existingToken.userId,
+      clientId: client.id,
+      sessionId: existingToken.sessionId,
+    })
+
+    return tokenResponse(token)
   }
 
 
@@ -400,8 +537,9 @@ class OAuth extends API {
       throw new InvalidRequestOAuthError('X-Fingerprint')
     }
 
-    /* Validate username and password */
-    const user = await Authentication.passwordAuthenticate({ email: username, password })
+    /* Validate username and password, the two-factor authentication code is only verified once the session has been,
+    so that a single use recovery code is not consumed by a login that still requires session verification */
+    const user = await Authentication.passwordAuthenticate({ email: username, password, twoFactor: false })
     if (!user) {
       throw new UnauthorizedAPIError({})
     }
@@ -436,32 +574,30 @@ class OAuth extends API {
       }
     }
 
+    /* Validate the two-factor authentication code if the user has enabled it */
+    await Authentication.verifyTwoFactor({ user, code: ctx.request.body.totp })
+
     /* An existing session was found and it was either already verified,
     or the client passed a valid verification token. Return bearer token. */
-    await existingSession.update({
-      verified: true,
-      lastAccess: Date.now(),
-    })
+    await Sessions.verifySession({ user, session: existingSession })
 
-    const token = await Token.create({
-      value: await oAuthTokenGenerator(),
+    const token = await issueToken({
       clientId: client.id,
       userId: user.id,
+      sessionId: existingSession.id,
       scope: ['*'],
     })
 
-    return {
-      access_token: token.value,
-      token_type: 'bearer',
-    }
+    return tokenResponse(token)
   }
 
   /**
-   * Endpoint for OAuth 2 token revocation requests
+   * Endpoint for OAuth 2 token revocation requests, public clients may revoke the tokens they present as they can
+   * only identify themselves with their client id
    * @endpoint
    */
   @POST('/oauth2/revoke')
-  @clientAuthenticated
+  @publicClientAuthenticated
   async revoke (ctx) {
     const { token } = ctx.request.body
 
@@ -469,9 +605,11 @@ class OAuth extends API {
       throw new InvalidRequestOAuthError('token')
     }
 
-    const authToken = Token.findOne({
-      value: token,
-      clientId: ctx.state.client.id,
+    const authToken = await Token.findOne({
+      where: {
+        [Op.or]: [{ value: token }, { refreshToken: token }],
+        clientId: ctx.state.client.id,
+      },
     })
 
     if (authToken) {
@@ -481,6 +619,108 @@ class OAuth extends API {
     return {}
   }
 
+  /**
+   * Endpoint for OAuth 2 token introspection requests (RFC 7662), OAuth clients may introspect the tokens issued to
+   * them, first party clients may introspect any token
+   * @endpoint
+   */
+  @POST('/oauth2/introspect')
+  @clientAuthenticated
+  async introspect (ctx) {
+    const { token } = ctx.request.body
+
+    if (!token) {
+      throw new InvalidRequestOAuthError('token')
+    }
+
+    const { client } = ctx.state
+    const authToken = await Token.findOne({
+      where: {
+        [Op.or]: [{ value: token }, { refreshToken: token }],
+      },
+    })
+
+    const inactive = { active: false }
+    if (!authToken || (authToken.clientId !== client.id && !client.firstParty)) {
+      return inactive
+    }
+
+    const isRefreshToken = authToken.refreshToken === token
+    if (isRefreshToken ? authToken.isRefreshTokenExpired() : authToken.isExpired()) {
+      return inactive
+    }
+
+    const user = await User.findOne({ where: { id: authToken.userId } })
+    if (!user || user.isSuspended()) {
+      return inactive
+    }
+
+    const expiresAt = isRefreshToken ? authToken.refreshTokenExpiresAt : authToken.expiresAt
+    return {
+      active: true,
+      scope: authToken.scope.join(' '),
+      client_id: authToken.clientId,
+      username: user.preferredRat()?.name,
+      token_type: isRefreshToken ? 'refresh_token' : 'bearer',
+      exp: expiresAt ? unixTimestamp(expiresAt) : undefined,
+      iat: unixTimestamp(authToken.createdAt),
+      sub: user.id,
+      iss: config.server.externalUrl,
+    }
+  }
+
+  /**
+   * Endpoint for the OAuth 2 authorization server metadata document (RFC 8414)
+   * @endpoint
+   */
+  @GET('/.well-known/oauth-authorization-server')
+  metadata () {
+    return authorizationServerMetadata()
+  }
+
+  /**
+   * Endpoint for the OpenID Connect discovery document, the authorization server metadata extended with the
+   * OpenID Connect provider metadata
+   * @endpoint
+   */
+  @GET('/.well-known/openid-configuration')
+  openIdConfiguration () {
+    /* eslint-disable id-length */
+    return {
+      ...authorizationServerMetadata(),
+      userinfo_endpoint: endpointUrl('/userinfo'),
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      claims_supported: OpenIDConnect.claimsSupported,
+    }
+    /* eslint-enable id-length */
+  }
+
+  /**
+   * Endpoint for the JSON Web Key Set of the keys OpenID Connect ID tokens are signed with
+   * @endpoint
+   */
+  @GET('/.well-known/jwks.json')
+  jsonWebKeySet () {
+    return OpenIDConnect.jsonWebKeySet
+  }
+
+  /**
+   * Endpoint for OpenID Connect UserInfo requests, returning the claims about the user that the scopes of the
+   * access token grant access to
+   * @endpoint
+   */
+  @GET('/userinfo')
+  @authenticated
+  userinfo (ctx) {
+    const { user, scope } = ctx.state
+    if (!scope || !OpenIDConnect.isOpenIDRequest(scope)) {
+      throw new ForbiddenAPIError({ parameter: 'scope' })
+    }
+
+    return OpenIDConnect.claims({ user, scopes: scope })
+  }
+
   /**
    * Endpoint for OAuth2 revoke all client tokens requests
    * @endpoint
@@ -498,6 +738,121 @@ class OAuth extends API {
   }
 }
 
+/**
+ * Issue a new expiring OAuth access token, optionally with a refresh token that can be exchanged for a new one
+ * @param {object} arg function arguments object
+ * @param {[string]} arg.scope the scopes granted to the token
+ * @param {string} arg.clientId the id of the OAuth client the token is issued to
+ * @param {string} arg.userId the id of the user the token is issued for
+ * @param {string} [arg.sessionId] the id of the login session the token is issued through, if any
+ * @param {boolean} [arg.refresh] whether to issue a refresh token with the access token
+ * @returns {Promise<Token>} the issued token
+ */
+async function issueToken ({
+  scope, clientId, userId, sessionId = undefined, refresh = true,
+}) {
+  const now = Date.now()
+  const token = {
+    value: await oAuthTokenGenerator(),
+    scope,
+    clientId,
+    userId,
+    sessionId,
+    expiresAt: new Date(now + (config.oauth.accessTokenLifetime * secondMilliseconds)),
+  }
+
+  if (refresh) {
+    token.refreshToken = await oAuthTokenGenerator()
+    token.refreshTokenExpiresAt = new Date(now + (config.oauth.refreshTokenLifetime * secondMilliseconds))
+  }
+
+  return Token.create(token)
+}
+
+/**
+ * Transform an issued OAuth token into a token endpoint response, with an ID token if it was issued for an
+ * OpenID Connect request
+ * @param {Token} token the issued token
+ * @param {object} [options] token response options
+ * @param {string} [options.nonce] the nonce the client sent with the authorization request
+ * @returns {Promise<object>} token endpoint response body
+ */
+async function tokenResponse (token, { nonce } = {}) {
+  const response = {
+    access_token: token.value,
+    token_type: 'bearer',
+    expires_in: config.oauth.accessTokenLifetime,
+    scope: token.scope.join(' '),
+  }
+
+  if (token.refreshToken) {
+    response.refresh_token = token.refreshToken
+  }
+
+  if (token.scope.includes('openid')) {
+    response.id_token = await OpenIDConnect.createIdToken({ token, nonce })
+  }
+  return response
+}
+
+/**
+ * Get the OAuth 2 authorization server metadata (RFC 8414) describing the endpoints registered with the router
+ * @returns {object} authorization server metadata
+ */
+function authorizationServerMetadata () {
+  /* eslint-disable id-length */
+  return {
+    issuer: config.server.externalUrl,
+    authorization_endpoint: endpointUrl('/oauth2/authorize'),
+    token_endpoint: endpointUrl('/oauth2/token'),
+    revocation_endpoint: endpointUrl('/oauth2/revoke'),
+    introspection_endpoint: endpointUrl('/oauth2/introspect'),
+    jwks_uri: endpointUrl('/.well-known/jwks.json'),
+    scopes_supported: ['*', ...Permission.openIdScopes, ...Permission.allPermissions],
+    response_types_supported: responseTypes,
+    grant_types_supported: [...grantTypes.keys(), 'implicit'],
+    code_challenge_methods_supported: ['S256'],
+    token_endpoint_auth_methods_supported: ['client_secret_basic', 'none'],
+    revocation_endpoint_auth_methods_supported: ['client_secret_basic', 'none'],
+    introspection_endpoint_auth_methods_supported: ['client_secret_basic', 'none'],
+  }
+  /* eslint-enable id-length */
+}
+
+/**
+ * Get the absolute URL of an endpoint registered with the router
+ * @param {string} route the http path of the endpoint
+ * @returns {string|undefined} the absolute URL of the endpoint, or undefined if no such endpoint is registered
+ */
+function endpointUrl (route) {
+  const registered = router.stack.some((layer) => {
+    return layer.path === route
+  })
+
+  if (!registered) {
+    return undefined
+  }
+  return `${config.server.externalUrl}${route}`
+}
+
+/**
+ * Convert a date into the number of seconds since the unix epoch
+ * @param {Date} date the date to convert
+ * @returns {number} number of seconds since the unix epoch
+ */
+function unixTimestamp (date) {
+  return Math.floor(date.getTime() / secondMilliseconds)
+}
+
+/**
+ * Derive the S256 PKCE code challenge of a code verifier
+ * @param {string} codeVerifier the code verifier
+ * @returns {string} the base64url encoded SHA-256 hash of the code verifier
+ */
+function s256CodeChallenge (codeVerifier) {
+  return base64UrlEncode(crypto.createHash('sha256').update(codeVerifier).digest())
+}
+
 /**
  * Transform the body output of an endpoint into an OAuth callback uri that the front-end will redirect to
  * @param {string} redirectUri base redirect uri
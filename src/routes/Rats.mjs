@@ -7,6 +7,7 @@ import { websocket } from '../classes/WebSocket'
 import { Rat } from '../db'
 
 import DatabaseQuery from '../query/DatabaseQuery'
+import { FilterType } from '../query/Filter'
 import { RatView, UserView } from '../view'
 import {
   authenticated,
@@ -38,8 +39,12 @@ export default class Rats extends APIResource {
   @GET('/rats')
   @websocket('rats', 'search')
   async search (ctx) {
-    const query = new DatabaseQuery({ connection: ctx })
-    const result = await Rat.findAndCountAll(query.searchObject)
+    const query = new DatabaseQuery({
+      connection: ctx,
+      databaseType: Rat,
+      filterFields: this.filterFields,
+    })
+    const result = await query.findAndCountAll(Rat)
     return new DatabaseDocument({ query, result, type: RatView })
   }
 
@@ -159,6 +164,23 @@ export default class Rats extends APIResource {
     return true
   }
 
+  /**
+   * @inheritdoc
+   */
+  get filterFields () {
+    return {
+      name: FilterType.string,
+      data: FilterType.json,
+      platform: FilterType.string,
+      frontierId: FilterType.number,
+      userId: FilterType.uuid,
+      createdAt: FilterType.date,
+      updatedAt: FilterType.date,
+      'ships.name': FilterType.string,
+      'ships.shipType': FilterType.string,
+    }
+  }
+
   /**
    * @inheritdoc
    */
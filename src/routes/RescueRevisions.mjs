@@ -1,61 +1,418 @@
-import { NotFoundAPIError } from '../classes/APIError'
+import { isDeepStrictEqual } from 'util'
+import DatabaseDocument from '../Documents/DatabaseDocument'
+import { DocumentViewType } from '../Documents/Document'
+import ObjectDocument from '../Documents/ObjectDocument'
+import { NotFoundAPIError, UnprocessableEntityAPIError } from '../classes/APIError'
+import Event from '../classes/Event'
 import { websocket } from '../classes/WebSocket'
-import { Rescue, RescueHistory, RescueRatsHistory } from '../db'
-import { GET, authenticated } from './API'
+import {
+  Client,
+  Rat,
+  Rescue,
+  User,
+  db,
+} from '../db'
+import DatabaseQuery from '../query/DatabaseQuery'
+import RescueRevisionQuery from '../query/RescueRevisionQuery'
+import { RescueRevisionComparisonView, RescueRevisionView, RescueView } from '../view'
+import {
+  GET,
+  POST,
+  authenticated,
+  parameters,
+  permissions,
+} from './API'
 import APIResource from './APIResource'
 
-export default class RescueRevisions extends APIResource {
+/**
+ * Rescue fields that are tracked by revisions and can be restored
+ */
+const revisionFields = [
+  'client',
+  'clientNick',
+  'clientLanguage',
+  'commandIdentifier',
+  'codeRed',
+  'data',
+  'notes',
+  'platform',
+  'system',
+  'title',
+  'unidentifiedRats',
+  'status',
+  'outcome',
+  'quotes',
+  'firstLimpetId',
+]
+
+/**
+ * Rescue fields that are only changed through the rescue status transitions, and are not restored from revisions
+ */
+const transitionFields = ['status']
+
+// language=PostgreSQL
+const rescueRevisionColumns = `
+  "id", "client", "clientNick", "clientLanguage", "commandIdentifier", "codeRed", "data", "notes", "platform",
+  "system", "title", "unidentifiedRats", "status", "outcome", "quotes", "firstLimpetId",
+  "lastEditUserId", "lastEditClientId", "updatedAt",
+  lower("temporalPeriod") AS "validFrom",
+  upper("temporalPeriod") AS "validUntil"
+`
+
+// language=PostgreSQL
+const rescueRevisionCountQuery = `
+SELECT COUNT(*) + 1 AS "count" FROM "rescueshistory"
+WHERE "id" = $rescueId
+`
+
+// language=PostgreSQL
+const rescueRatAssignmentsQuery = `
+SELECT "ratId", lower("temporalPeriod") AS "assignedAt", upper("temporalPeriod") AS "unassignedAt"
+FROM "RescueRats"
+WHERE "rescueId" = $rescueId
+UNION ALL
+SELECT "ratId", lower("temporalPeriod") AS "assignedAt", upper("temporalPeriod") AS "unassignedAt"
+FROM "rescueratshistory"
+WHERE "rescueId" = $rescueId
+`
+
+/**
+ * Endpoint for browsing, comparing, and restoring the revision history of rescues
+ */
+class RescueRevisions extends APIResource {
+  /**
+   * @inheritdoc
+   */
   get type () {
     return 'rescue-revisions'
   }
 
+  /**
+   * Get the revision history of a rescue
+   * @endpoint
+   */
   @GET('/rescues/:id/revisions')
   @websocket('rescues', 'revisions', 'search')
+  @parameters('id')
   @authenticated
-  async rescueRevisionSearch (ctx) {
-    const rescue = await Rescue.findOne({
-      where: { id: ctx.params.id },
+  @permissions('rescue-revisions.read')
+  async search (ctx) {
+    const rescue = await findRescue({ id: ctx.params.id })
+    const query = new RescueRevisionQuery({ connection: ctx })
+    const { order, offset, limit } = query.searchObject
+
+    let [{ count }] = await db.query(rescueRevisionCountQuery, {
+      bind: { rescueId: rescue.id },
+      type: db.QueryTypes.SELECT,
     })
 
-    if (!rescue) {
-      throw new NotFoundAPIError({ parameter: 'id' })
-    }
+    count = Number(count)
 
-    const rescueHistory = await RescueHistory.findAndCountAll({
-      where: {
-        id: ctx.params.id,
-      },
+    const rows = await getRevisions({
+      rescue,
+      condition: `ORDER BY ${order} OFFSET $offset LIMIT $limit`,
+      bind: { offset, limit },
     })
 
-    const assignHistory = await RescueRatsHistory.findAndCountAll({
-      where: {
-        rescueId: ctx.params.id,
-      },
-    })
+    return new DatabaseDocument({ query, result: { count, rows }, type: RescueRevisionView })
+  }
 
-    console.log(rescueHistory, assignHistory)
+  /**
+   * Get a single revision of a rescue
+   * @endpoint
+   */
+  @GET('/rescues/:id/revisions/:revision')
+  @websocket('rescues', 'revisions', 'read')
+  @parameters('id', 'revision')
+  @authenticated
+  @permissions('rescue-revisions.read')
+  async findById (ctx) {
+    const rescue = await findRescue({ id: ctx.params.id })
+    const revision = await findRevision({ rescue, revision: ctx.params.revision, parameter: 'revision' })
+
+    const query = new DatabaseQuery({ connection: ctx })
+    return new DatabaseDocument({
+      query,
+      result: revision,
+      type: RescueRevisionView,
+      view: DocumentViewType.individual,
+    })
   }
 
-  @GET('/rescues/:id/revisions/:revision/compare/:revision')
+  /**
+   * Compare two revisions of a rescue and get the fields and assigned rats that changed between them
+   * @endpoint
+   */
+  @GET('/rescues/:id/revisions/:revision/compare/:compare')
+  @websocket('rescues', 'revisions', 'compare')
+  @parameters('id', 'revision', 'compare')
   @authenticated
-  async rescueRevisionById (ctx) {
+  @permissions('rescue-revisions.read')
+  async compare (ctx) {
+    const rescue = await findRescue({ id: ctx.params.id })
+    const from = await findRevision({ rescue, revision: ctx.params.revision, parameter: 'revision' })
+    const to = await findRevision({ rescue, revision: ctx.params.compare, parameter: 'compare' })
+
+    const changes = revisionFields.reduce((acc, field) => {
+      if (isDeepStrictEqual(from[field], to[field]) === false) {
+        acc[field] = {
+          from: from[field],
+          to: to[field],
+        }
+      }
+      return acc
+    }, {})
 
+    const rats = {
+      added: to.ratIds.filter((ratId) => {
+        return from.ratIds.includes(ratId) === false
+      }),
+      removed: from.ratIds.filter((ratId) => {
+        return to.ratIds.includes(ratId) === false
+      }),
+    }
+
+    const query = new DatabaseQuery({ connection: ctx })
+    return new ObjectDocument({
+      query,
+      result: {
+        rescueId: rescue.id,
+        from: from.revision,
+        to: to.revision,
+        changes,
+        rats,
+      },
+      type: RescueRevisionComparisonView,
+      view: DocumentViewType.individual,
+    })
   }
 
+  /**
+   * Restore a rescue, including its assigned rats, to the state it had at a past revision. The status of the rescue
+   * is kept, and its outcome is only restored if the rescue is closed, as these may only change through the rescue
+   * status transitions.
+   * @endpoint
+   */
+  @POST('/rescues/:id/revisions/:revision/restore')
+  @websocket('rescues', 'revisions', 'restore')
+  @parameters('id', 'revision')
+  @authenticated
+  @permissions('rescue-revisions.write')
+  async restore (ctx) {
+    const rescue = await findRescue({ id: ctx.params.id })
+    const revision = await findRevision({ rescue, revision: ctx.params.revision, parameter: 'revision' })
+
+    const attributes = revisionFields.reduce((acc, field) => {
+      if (transitionFields.includes(field) === false) {
+        acc[field] = revision[field]
+      }
+      return acc
+    }, {})
+
+    if (rescue.status !== 'closed') {
+      delete attributes.outcome
+    }
+
+    const transaction = await db.transaction()
+
+    try {
+      await rescue.update({
+        ...attributes,
+        lastEditUserId: ctx.state.user.id,
+        lastEditClientId: ctx.state.clientId,
+      }, { transaction })
+
+      await rescue.setRats(revision.ratIds, {
+        through: {
+          assignerUserId: ctx.state.user.id,
+          assignerClientId: ctx.state.clientId,
+        },
+        transaction,
+      })
+    } catch (ex) {
+      await transaction.rollback()
+      throw ex
+    }
+
+    await transaction.commit()
+
+    const result = await Rescue.findOne({
+      where: { id: rescue.id },
+    })
+
+    const query = new DatabaseQuery({ connection: ctx })
+    const document = new DatabaseDocument({ query, result, type: RescueView })
+    Event.broadcast('fuelrats.rescueupdate', ctx.state.user, result.id, document)
+    return document
+  }
 
-  changeRelationship ({ relationship }) {
+  /**
+   * @inheritdoc
+   */
+  changeRelationship () {
     return undefined
   }
 
-  isSelf ({ ctx, entity }) {
+  /**
+   * @inheritdoc
+   */
+  isSelf () {
     return false
   }
 
+  /**
+   * @inheritdoc
+   */
   get relationTypes () {
-    return undefined
+    return {}
   }
 
+  /**
+   * @inheritdoc
+   */
   get writePermissionsForFieldAccess () {
-    return undefined
+    return {}
+  }
+}
+
+/**
+ * Get the SQL query for retrieving the numbered revisions of a rescue, both its past states and its current state
+ * @param {string} condition SQL condition, ordering, and pagination to apply to the revisions
+ * @returns {string} SQL query
+ */
+function rescueRevisionsQuery (condition) {
+  // language=PostgreSQL
+  return `
+WITH "Revisions" AS (
+  SELECT
+    *,
+    ROW_NUMBER() OVER (ORDER BY "validFrom" ASC) AS "revision"
+  FROM (
+    SELECT ${rescueRevisionColumns} FROM "Rescues" WHERE "id" = $rescueId
+    UNION ALL
+    SELECT ${rescueRevisionColumns} FROM "rescueshistory" WHERE "id" = $rescueId
+  ) AS "States"
+)
+SELECT * FROM "Revisions"
+${condition}
+`
+}
+
+/**
+ * Find a rescue by id or throw a not found error
+ * @param {object} arg function arguments object
+ * @param {string} arg.id rescue id
+ * @returns {Promise<Rescue>} the rescue
+ */
+async function findRescue ({ id }) {
+  const rescue = await Rescue.findOne({
+    where: { id },
+  })
+
+  if (!rescue) {
+    throw new NotFoundAPIError({ parameter: 'id' })
+  }
+  return rescue
+}
+
+/**
+ * Find a single revision of a rescue by its revision number
+ * @param {object} arg function arguments object
+ * @param {Rescue} arg.rescue the rescue to find a revision of
+ * @param {string} arg.revision the requested revision number
+ * @param {string} arg.parameter name of the URL parameter the revision number came from
+ * @returns {Promise<object>} the revision
+ */
+async function findRevision ({ rescue, revision, parameter }) {
+  const revisionNumber = Number(revision)
+  if (Number.isInteger(revisionNumber) === false || revisionNumber < 1) {
+    throw new UnprocessableEntityAPIError({ parameter })
+  }
+
+  const [result] = await getRevisions({
+    rescue,
+    condition: 'WHERE "revision" = $revision',
+    bind: { revision: revisionNumber },
+  })
+
+  if (!result) {
+    throw new NotFoundAPIError({ parameter })
   }
+  return result
 }
+
+/**
+ * Get revisions of a rescue along with the rats that were assigned, and the user and client that made each edit
+ * @param {object} arg function arguments object
+ * @param {Rescue} arg.rescue the rescue to get revisions of
+ * @param {string} arg.condition SQL condition, ordering, and pagination to apply to the revisions
+ * @param {object} arg.bind additional bind parameters used by the condition
+ * @returns {Promise<[object]>} list of revisions
+ */
+async function getRevisions ({ rescue, condition, bind = {} }) {
+  const results = await db.query(rescueRevisionsQuery(condition), {
+    bind: { ...bind, rescueId: rescue.id },
+    type: db.QueryTypes.SELECT,
+  })
+
+  const assignments = await db.query(rescueRatAssignmentsQuery, {
+    bind: { rescueId: rescue.id },
+    type: db.QueryTypes.SELECT,
+  })
+
+  const revisions = results.map((result) => {
+    const ratIds = assignments.filter(({ assignedAt, unassignedAt }) => {
+      const wasUnassigned = unassignedAt && unassignedAt <= result.validFrom
+      return assignedAt <= result.validFrom && !wasUnassigned
+    }).map(({ ratId }) => {
+      return ratId
+    })
+
+    return {
+      ...result,
+      rescueId: rescue.id,
+      revision: Number(result.revision),
+      temporalPeriod: [result.validFrom, result.validUntil],
+      ratIds: [...new Set(ratIds)],
+    }
+  })
+
+  const ratIds = revisions.reduce((acc, revision) => {
+    return acc.concat(revision.ratIds, revision.firstLimpetId ?? [])
+  }, [])
+
+  const userIds = revisions.reduce((acc, revision) => {
+    return acc.concat(revision.lastEditUserId ?? [])
+  }, [])
+
+  const clientIds = revisions.reduce((acc, revision) => {
+    return acc.concat(revision.lastEditClientId ?? [])
+  }, [])
+
+  const [rats, users, clients] = await Promise.all([
+    Rat.findAll({ where: { id: [...new Set(ratIds)] }, paranoid: false }),
+    User.scope('norelations').findAll({ where: { id: [...new Set(userIds)] }, paranoid: false }),
+    Client.findAll({ where: { id: [...new Set(clientIds)] } }),
+  ])
+
+  return revisions.map((revision) => {
+    return {
+      ...revision,
+      rescue,
+      rats: rats.filter((rat) => {
+        return revision.ratIds.includes(rat.id)
+      }),
+      firstLimpet: rats.find((rat) => {
+        return rat.id === revision.firstLimpetId
+      }),
+      user: users.find((user) => {
+        return user.id === revision.lastEditUserId
+      }),
+      client: clients.find((client) => {
+        return client.id === revision.lastEditClientId
+      }),
+    }
+  })
+}
+
+export default RescueRevisions
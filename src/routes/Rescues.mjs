@@ -1,18 +1,21 @@
 import DatabaseDocument from '../Documents/DatabaseDocument'
 import { DocumentViewType } from '../Documents/Document'
 import {
+  InvalidTransitionAPIError,
   NotFoundAPIError, UnprocessableEntityAPIError,
   UnsupportedMediaAPIError,
 } from '../classes/APIError'
 import Announcer from '../classes/Announcer'
 import Event from '../classes/Event'
+import Paperwork from '../classes/Paperwork'
 import Permission from '../classes/Permission'
 import StatusCode from '../classes/StatusCode'
 import { websocket } from '../classes/WebSocket'
 import { Rescue, db } from '../db'
 import DatabaseQuery from '../query/DatabaseQuery'
+import { FilterType } from '../query/Filter'
 
-import { RescueView, RatView } from '../view'
+import { PaperworkView, RescueView, RatView } from '../view'
 import {
   permissions,
   authenticated,
@@ -22,6 +25,7 @@ import {
   PATCH,
   DELETE,
   parameters,
+  cost,
   WritePermission,
 } from './API'
 import APIResource from './APIResource'
@@ -29,6 +33,46 @@ import APIResource from './APIResource'
 const rescueAccessHours = 3
 const rescueAccessTime = rescueAccessHours * 60 * 60 * 1000
 
+/**
+ * Status transitions a rescue can make through a regular update, closing and reopening a rescue
+ * must go through their own actions
+ */
+const rescueUpdateTransitions = {
+  open: ['inactive'],
+  inactive: ['open'],
+  closed: [],
+}
+
+const rescueUpdateTransitionEvents = {
+  open: 'fuelrats.rescueactive',
+  inactive: 'fuelrats.rescueinactive',
+}
+
+const rescueSearchDocument = 'rescue_search_document("client", "clientNick", "system", "title", "notes", "quotes")'
+const rescueSearchText = 'concat_ws(\' \', "client", "clientNick", "system", "title", "notes", rescue_quotes_text("quotes"))'
+const rescueSearchHighlightOptions = 'StartSel=<mark>, StopSel=</mark>, MaxFragments=3'
+const rescueSearchCost = 5
+
+/**
+ * Fields a full-text rescue search can additionally be filtered on
+ */
+const rescueSearchFilterFields = {
+  status: FilterType.string,
+  platform: FilterType.string,
+  createdAt: FilterType.date,
+  updatedAt: FilterType.date,
+}
+
+/**
+ * Get the SQL for a full-text search query matching a search text
+ * @param {string} text the search text
+ * @returns {string} SQL tsquery expression
+ */
+function rescueSearchQuery (text) {
+  const escapedText = db.escape(text)
+  return `(websearch_to_tsquery('simple', ${escapedText}) || websearch_to_tsquery('english', ${escapedText}))`
+}
+
 const rescueCountQuery = `
 SELECT COUNT("id") FROM "Rescues"
 WHERE 
@@ -57,11 +101,112 @@ export default class Rescues extends APIResource {
   @websocket('rescues', 'search')
   @authenticated
   async search (ctx) {
-    const query = new DatabaseQuery({ connection: ctx })
-    const result = await Rescue.findAndCountAll(query.searchObject)
+    const query = new DatabaseQuery({
+      connection: ctx,
+      databaseType: Rescue,
+      filterFields: this.filterFields,
+    })
+    const result = await query.findAndCountAll(Rescue)
     return new DatabaseDocument({ query, result, type: RescueView })
   }
 
+  /**
+   * Get rescues that were closed or went inactive with incomplete paperwork
+   * @endpoint
+   */
+  @GET('/rescues/paperwork')
+  @websocket('rescues', 'paperwork')
+  @authenticated
+  @permissions('rescues.read')
+  async paperwork (ctx) {
+    const query = new DatabaseQuery({ connection: ctx })
+    const result = await Paperwork.search({
+      offset: query.offset,
+      limit: query.limit,
+    })
+    return new DatabaseDocument({ query, result, type: PaperworkView })
+  }
+
+  /**
+   * Get rescues with incomplete paperwork that the current user is responsible for
+   * @endpoint
+   */
+  @GET('/profile/paperwork')
+  @websocket('profiles', 'paperwork')
+  @authenticated
+  async profilePaperwork (ctx) {
+    const query = new DatabaseQuery({ connection: ctx })
+    const result = await Paperwork.search({
+      userId: ctx.state.user.id,
+      offset: query.offset,
+      limit: query.limit,
+    })
+    return new DatabaseDocument({ query, result, type: PaperworkView })
+  }
+
+  /**
+   * Full-text search rescues by client, system, title, notes, and quotes, ranked by relevance
+   * @endpoint
+   */
+  @GET('/rescues/search')
+  @websocket('rescues', 'fulltext')
+  @authenticated
+  @cost(rescueSearchCost)
+  @parameters('q')
+  async fullTextSearch (ctx) {
+    const text = ctx.query.q
+    if (typeof text !== 'string' || text.trim().length === 0) {
+      throw new UnprocessableEntityAPIError({ parameter: 'q' })
+    }
+
+    const query = new DatabaseQuery({
+      connection: ctx,
+      databaseType: Rescue,
+      filterFields: rescueSearchFilterFields,
+    })
+    const where = query.filterCondition
+    const { offset, limit } = query
+
+    const tsQuery = rescueSearchQuery(text)
+    const searchWhere = db.and(where, db.literal(`${rescueSearchDocument} @@ ${tsQuery}`))
+
+    const [count, results] = await Promise.all([
+      Rescue.unscoped().count({ where: searchWhere }),
+      Rescue.unscoped().findAll({
+        attributes: [
+          'id',
+          [db.literal(`ts_rank_cd(${rescueSearchDocument}, ${tsQuery})`), 'searchRank'],
+          [db.literal(`ts_headline('english', ${rescueSearchText}, ${tsQuery}, '${rescueSearchHighlightOptions}')`),
+            'searchHighlight'],
+        ],
+        where: searchWhere,
+        order: [[db.literal('"searchRank"'), 'DESC']],
+        offset,
+        limit,
+        raw: true,
+      }),
+    ])
+
+    const rescues = await Rescue.findAll({
+      where: {
+        id: results.map((result) => {
+          return result.id
+        }),
+      },
+    })
+
+    const rows = results.map((result) => {
+      const rescue = rescues.find((entity) => {
+        return entity.id === result.id
+      })
+      rescue.searchRank = result.searchRank
+      rescue.searchHighlight = result.searchHighlight
+      return rescue
+    })
+
+    return new DatabaseDocument({ query, result: { count, rows }, type: RescueView })
+  }
+
   /**
    * Get a rescue by id
    * @endpoint
@@ -76,7 +221,7 @@ export default class Rescues extends APIResource {
   }
 
   /**
-   * Create a rescue
+   * Create a rescue, rescues are always created open and can only be closed through the close endpoint
    * @endpoint
    */
   @POST('/rescues')
@@ -84,6 +229,15 @@ export default class Rescues extends APIResource {
   @authenticated
   @permissions('rescues.write')
   async create (ctx) {
+    const { status, outcome } = ctx.data?.data?.attributes ?? {}
+    if (typeof status !== 'undefined' && status !== 'open') {
+      throw new UnprocessableEntityAPIError({ pointer: '/data/attributes/status' })
+    }
+
+    if (outcome) {
+      throw new UnprocessableEntityAPIError({ pointer: '/data/attributes/outcome' })
+    }
+
     const result = await super.create({
       ctx,
       databaseType: Rescue,
@@ -110,6 +264,30 @@ export default class Rescues extends APIResource {
   @authenticated
   @parameters('id')
   async update (ctx) {
+    const rescue = await Rescue.findOne({
+      where: { id: ctx.params.id },
+    })
+
+    if (!rescue) {
+      throw new NotFoundAPIError({ parameter: 'id' })
+    }
+
+    this.requireWritePermission({ connection: ctx, entity: rescue })
+
+    const { status, outcome } = ctx.data?.data?.attributes ?? {}
+    const isStatusChange = Boolean(status) && status !== rescue.status
+
+    if (isStatusChange && rescueUpdateTransitions[rescue.status].includes(status) === false) {
+      throw new InvalidTransitionAPIError({ pointer: '/data/attributes/status' }, {
+        from: rescue.status,
+        to: status,
+      })
+    }
+
+    if (typeof outcome !== 'undefined' && outcome !== rescue.outcome && rescue.status !== 'closed') {
+      throw new UnprocessableEntityAPIError({ pointer: '/data/attributes/outcome' })
+    }
+
     const result = await super.update({
       ctx,
       databaseType: Rescue,
@@ -120,23 +298,130 @@ export default class Rescues extends APIResource {
       },
     })
 
-    if (ctx.data.data.attributes.outcome) {
-      const caseId = result.commandIdentifier ?? result.id
-      await Announcer.sendRescueMessage({
-        message: `[Paperwork] Paperwork for case ${caseId} (${result.client}) 
-      has been completed by ${ctx.state.user.preferredRat().name}`,
+    const query = new DatabaseQuery({ connection: ctx })
+    const document = new DatabaseDocument({ query, result, type: RescueView })
+    Event.broadcast('fuelrats.rescueupdate', ctx.state.user, result.id, document)
+    if (isStatusChange) {
+      Event.broadcast(rescueUpdateTransitionEvents[status], ctx.state.user, result.id, document)
+    }
+    return document
+  }
+
+  /**
+   * Close a rescue, completing its paperwork
+   * @endpoint
+   */
+  @PUT('/rescues/:id/close')
+  @websocket('rescues', 'close')
+  @authenticated
+  @parameters('id')
+  async close (ctx) {
+    const rescue = await Rescue.findOne({
+      where: { id: ctx.params.id },
+    })
+
+    if (!rescue) {
+      throw new NotFoundAPIError({ parameter: 'id' })
+    }
+
+    this.requireWritePermission({ connection: ctx, entity: rescue })
+
+    if (rescue.status === 'closed') {
+      throw new InvalidTransitionAPIError({ parameter: 'id' }, {
+        from: rescue.status,
+        to: 'closed',
       })
+    }
 
-      const [[{ count }]] = await db.query(rescueCountQuery)
-      const rescueCount = Number(count)
-      if (rescueCount % 1000 === 0) {
-        await Announcer.sendRescueMessage({ message: `This was rescue #${rescueCount}!` })
-      }
+    const outcome = ctx.data?.data?.attributes?.outcome ?? rescue.outcome
+
+    const errors = []
+    if (!outcome) {
+      errors.push(new UnprocessableEntityAPIError({ pointer: '/data/attributes/outcome' }))
+    }
+
+    if (!rescue.firstLimpetId) {
+      errors.push(new UnprocessableEntityAPIError({ pointer: '/data/relationships/firstLimpet' }))
+    }
+
+    if (rescue.rats.length === 0) {
+      errors.push(new UnprocessableEntityAPIError({ pointer: '/data/relationships/rats' }))
+    }
+
+    if (errors.length > 0) {
+      throw errors
+    }
+
+    await rescue.update({
+      status: 'closed',
+      outcome,
+      lastEditUserId: ctx.state.user.id,
+      lastEditClientId: ctx.state.clientId,
+    })
+
+    const result = await Rescue.findOne({
+      where: { id: ctx.params.id },
+    })
+
+    const caseId = result.commandIdentifier ?? result.id
+    await Announcer.sendRescueMessage({
+      message: `[Paperwork] Paperwork for case ${caseId} (${result.client}) 
+      has been completed by ${ctx.state.user.preferredRat().name}`,
+    })
+
+    const [[{ count }]] = await db.query(rescueCountQuery)
+    const rescueCount = Number(count)
+    if (rescueCount % 1000 === 0) {
+      await Announcer.sendRescueMessage({ message: `This was rescue #${rescueCount}!` })
     }
 
     const query = new DatabaseQuery({ connection: ctx })
     const document = new DatabaseDocument({ query, result, type: RescueView })
     Event.broadcast('fuelrats.rescueupdate', ctx.state.user, result.id, document)
+    Event.broadcast('fuelrats.rescueclose', ctx.state.user, result.id, document)
+    return document
+  }
+
+  /**
+   * Reopen a closed rescue, clearing its outcome
+   * @endpoint
+   */
+  @PUT('/rescues/:id/reopen')
+  @websocket('rescues', 'reopen')
+  @authenticated
+  @parameters('id')
+  @permissions('rescues.reopen')
+  async reopen (ctx) {
+    const rescue = await Rescue.findOne({
+      where: { id: ctx.params.id },
+    })
+
+    if (!rescue) {
+      throw new NotFoundAPIError({ parameter: 'id' })
+    }
+
+    if (rescue.status !== 'closed') {
+      throw new InvalidTransitionAPIError({ parameter: 'id' }, {
+        from: rescue.status,
+        to: 'open',
+      })
+    }
+
+    await rescue.update({
+      status: 'open',
+      outcome: null,
+      lastEditUserId: ctx.state.user.id,
+      lastEditClientId: ctx.state.clientId,
+    })
+
+    const result = await Rescue.findOne({
+      where: { id: ctx.params.id },
+    })
+
+    const query = new DatabaseQuery({ connection: ctx })
+    const document = new DatabaseDocument({ query, result, type: RescueView })
+    Event.broadcast('fuelrats.rescueupdate', ctx.state.user, result.id, document)
+    Event.broadcast('fuelrats.rescuereopen', ctx.state.user, result.id, document)
     return document
   }
 
@@ -319,6 +604,33 @@ export default class Rescues extends APIResource {
     return true
   }
 
+  /**
+   * @inheritdoc
+   */
+  get filterFields () {
+    return {
+      client: FilterType.string,
+      clientNick: FilterType.string,
+      clientLanguage: FilterType.string,
+      commandIdentifier: FilterType.number,
+      codeRed: FilterType.boolean,
+      data: FilterType.json,
+      notes: FilterType.string,
+      platform: FilterType.string,
+      system: FilterType.string,
+      title: FilterType.string,
+      status: FilterType.string,
+      outcome: FilterType.string,
+      unidentifiedRats: FilterType.array,
+      firstLimpetId: FilterType.uuid,
+      createdAt: FilterType.date,
+      updatedAt: FilterType.date,
+      'rats.id': FilterType.uuid,
+      'rats.name': FilterType.string,
+      'firstLimpet.name': FilterType.string,
+    }
+  }
+
   /**
    * @inheritdoc
    */
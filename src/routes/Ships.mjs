@@ -6,6 +6,7 @@ import StatusCode from '../classes/StatusCode'
 import { websocket } from '../classes/WebSocket'
 import { Ship, db } from '../db'
 import DatabaseQuery from '../query/DatabaseQuery'
+import { FilterType } from '../query/Filter'
 import { ShipView, RatView } from '../view'
 import {
   authenticated,
@@ -52,8 +53,12 @@ export default class Ships extends APIResource {
   @GET('/ships')
   @websocket('ships', 'search')
   async search (ctx) {
-    const query = new DatabaseQuery({ connection: ctx })
-    const result = await Ship.findAndCountAll(query.searchObject)
+    const query = new DatabaseQuery({
+      connection: ctx,
+      databaseType: Ship,
+      filterFields: this.filterFields,
+    })
+    const result = await query.findAndCountAll(Ship)
     return new DatabaseDocument({ result, query, type: ShipView })
   }
 
@@ -164,6 +169,21 @@ export default class Ships extends APIResource {
     return true
   }
 
+  /**
+   * @inheritdoc
+   */
+  get filterFields () {
+    return {
+      name: FilterType.string,
+      shipId: FilterType.number,
+      shipType: FilterType.string,
+      ratId: FilterType.uuid,
+      createdAt: FilterType.date,
+      updatedAt: FilterType.date,
+      'rat.name': FilterType.string,
+    }
+  }
+
   /**
    * @inheritdoc
    */
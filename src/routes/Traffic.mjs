@@ -0,0 +1,105 @@
+import DatabaseDocument from '../Documents/DatabaseDocument'
+import { NotFoundAPIError } from '../classes/APIError'
+import { Context } from '../classes/Context'
+import { TrafficEntityType } from '../classes/TrafficControl'
+import { websocket } from '../classes/WebSocket'
+import Query from '../query'
+import { TrafficView } from '../view'
+import API, {
+  authenticated,
+  DELETE,
+  GET,
+  parameters,
+  permissions,
+} from './API'
+
+/**
+ * Clear the rate limit state of a traffic entity or throw a not found error if it has none
+ * @param {object} arg function arguments object
+ * @param {Context} arg.ctx request context
+ * @param {TrafficEntityType} arg.entityType the type of the traffic entity
+ * @param {string} arg.entityId the id of the traffic entity
+ * @param {string} arg.parameter name of the URL parameter the id came from
+ * @returns {Promise<undefined>} resolves a promise when completed successfully
+ */
+async function resetEntity ({ ctx, entityType, entityId, parameter }) {
+  const cleared = await ctx.state.trafficControl.resetEntity({ entityType, entityId })
+  if (!cleared) {
+    throw new NotFoundAPIError({ parameter })
+  }
+}
+
+/**
+ * Endpoint for inspecting and clearing the rate limit state of users, OAuth clients, and IP addresses
+ */
+export default class Traffic extends API {
+  /**
+   * @inheritdoc
+   */
+  get type () {
+    return 'traffic'
+  }
+
+  /**
+   * Get the current rate limit state of all users, OAuth clients, and IP addresses that have made requests recently,
+   * ordered by the fewest remaining requests first
+   * @endpoint
+   */
+  @GET('/traffic')
+  @websocket('traffic', 'search')
+  @authenticated
+  @permissions('traffic.read')
+  async search (ctx) {
+    const query = new Query({ connection: ctx })
+    const entities = await ctx.state.trafficControl.getEntities()
+
+    entities.sort((first, second) => {
+      return first.remaining - second.remaining
+    })
+
+    const rows = entities.slice(query.offset, query.offset + query.limit)
+    return new DatabaseDocument({ query, result: { count: entities.length, rows }, type: TrafficView })
+  }
+
+  /**
+   * Clear the rate limit state of a user
+   * @endpoint
+   */
+  @DELETE('/traffic/users/:id')
+  @websocket('traffic', 'users', 'delete')
+  @parameters('id')
+  @authenticated
+  @permissions('traffic.write')
+  async deleteUser (ctx) {
+    await resetEntity({ ctx, entityType: TrafficEntityType.users, entityId: ctx.params.id, parameter: 'id' })
+    return true
+  }
+
+  /**
+   * Clear the rate limit state of an OAuth client
+   * @endpoint
+   */
+  @DELETE('/traffic/clients/:id')
+  @websocket('traffic', 'clients', 'delete')
+  @parameters('id')
+  @authenticated
+  @permissions('traffic.write')
+  async deleteClient (ctx) {
+    await resetEntity({ ctx, entityType: TrafficEntityType.clients, entityId: ctx.params.id, parameter: 'id' })
+    return true
+  }
+
+  /**
+   * Clear the rate limit state of an IP address
+   * @endpoint
+   */
+  @DELETE('/traffic/ips/:ip')
+  @websocket('traffic', 'ips', 'delete')
+  @parameters('ip')
+  @authenticated
+  @permissions('traffic.write')
+  async deleteRemoteAddress (ctx) {
+    await resetEntity({ ctx, entityType: TrafficEntityType.ips, entityId: ctx.params.ip, parameter: 'ip' })
+    return true
+  }
+}
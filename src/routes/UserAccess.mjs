@@ -0,0 +1,550 @@
+import Sequelize from 'sequelize'
+import DatabaseDocument from '../Documents/DatabaseDocument'
+import {
+  ConflictAPIError,
+  ForbiddenAPIError,
+  NotFoundAPIError,
+  UnauthorizedAPIError,
+  UnprocessableEntityAPIError,
+  UnsupportedMediaAPIError,
+} from '../classes/APIError'
+import Authentication from '../classes/Authentication'
+import { Context } from '../classes/Context'
+import Permission from '../classes/Permission'
+import Sessions from '../classes/Sessions'
+import StatusCode from '../classes/StatusCode'
+import TOTP from '../classes/TOTP'
+import { oAuthTokenGenerator } from '../classes/TokenGenerators'
+import { websocket } from '../classes/WebSocket'
+import {
+  User, Client, Code, Session, Token, TwoFactor, db,
+} from '../db'
+import { UUID } from '../helpers/Validators'
+import Query from '../query'
+import {
+  AuthorizationView, PersonalAccessTokenView, SessionView, TwoFactorView,
+} from '../view'
+import {
+  authenticated,
+  basicAuthenticated,
+  GET,
+  POST,
+  DELETE,
+  getJSONAPIData,
+  parameters,
+  required,
+} from './API'
+import APIResource from './APIResource'
+
+const { Op } = Sequelize
+
+/**
+ * Find a user by id or throw a not found error
+ * @param {string} id the id of the user
+ * @returns {Promise<User>} the user
+ */
+async function findUser (id) {
+  const user = await User.findOne({
+    where: {
+      id,
+    },
+  })
+
+  if (!user) {
+    throw new NotFoundAPIError({ parameter: 'id' })
+  }
+  return user
+}
+
+/**
+ * Find the two-factor authentication enrolment of a user or throw a not found error
+ * @param {User} user the user
+ * @returns {Promise<TwoFactor>} the two-factor authentication enrolment
+ */
+async function findTwoFactor (user) {
+  const twoFactor = await TwoFactor.findOne({
+    where: {
+      userId: user.id,
+    },
+  })
+
+  if (!twoFactor) {
+    throw new NotFoundAPIError({ parameter: 'id' })
+  }
+  return twoFactor
+}
+
+/**
+ * Only let users enrol themselves in two-factor authentication or create their own personal access tokens, the
+ * secrets these produce are meant for the user alone
+ * @param {Context} ctx request context
+ * @param {User} user the user the request is for
+ */
+function requireSelf (ctx, user) {
+  if (user.id !== ctx.state.user.id) {
+    throw new ForbiddenAPIError({ parameter: 'id' })
+  }
+}
+
+/**
+ * Get the object representing a two-factor authentication enrolment in the API
+ * @param {TwoFactor} twoFactor the two-factor authentication enrolment
+ * @returns {object} two-factor authentication enrolment
+ */
+function twoFactorResult (twoFactor) {
+  return {
+    id: twoFactor.id,
+    userId: twoFactor.userId,
+    enabled: twoFactor.enabled,
+    recoveryCodesRemaining: twoFactor.recoveryCodes.length,
+    createdAt: twoFactor.createdAt,
+    updatedAt: twoFactor.updatedAt,
+  }
+}
+
+/**
+ * Parse the optional expiry date of a new personal access token
+ * @param {string} [expiresAt] the expiry date sent in the request
+ * @returns {Date|null} the expiry date, or null if the token should not expire
+ */
+function parseExpiry (expiresAt) {
+  if (!expiresAt) {
+    return null
+  }
+
+  const expiry = new Date(expiresAt)
+  if (typeof expiresAt !== 'string' || Number.isNaN(expiry.getTime()) || expiry <= new Date()) {
+    throw new UnprocessableEntityAPIError({ pointer: '/data/attributes/expiresAt' })
+  }
+  return expiry
+}
+
+/**
+ * Get the object representing a personal access token in the API
+ * @param {Token} token the personal access token
+ * @returns {object} personal access token
+ */
+function personalAccessTokenResult (token) {
+  return {
+    id: token.id,
+    userId: token.userId,
+    name: token.name,
+    scope: token.scope,
+    ipAllowList: token.ipAllowList ?? [],
+    expiresAt: token.expiresAt,
+    lastUsedAt: token.lastAccess,
+    createdAt: token.createdAt,
+  }
+}
+
+/**
+ * Endpoints for managing the login sessions, two-factor authentication, personal access tokens and the authorized
+ * OAuth clients that have access to a user's account
+ */
+export default class UserAccess extends APIResource {
+  /**
+   * @inheritdoc
+   */
+  get type () {
+    return 'users'
+  }
+
+  /**
+   * Get the OAuth clients a user has authorized, with the scopes granted to them and the tokens they hold
+   * @param {Context} ctx request context
+   * @returns {Promise<DatabaseDocument>} list of authorized OAuth clients
+   */
+  @GET('/users/:id/authorizations')
+  @websocket('users', 'authorizations', 'read')
+  @parameters('id')
+  @authenticated
+  async authorizationsSearch (ctx) {
+    const user = await findUser(ctx.params.id)
+
+    this.requireReadPermission({ connection: ctx, entity: user })
+
+    const now = new Date()
+    const tokens = await Token.unscoped().findAll({
+      where: { userId: user.id, clientId: { [Op.ne]: null } },
+      order: [['createdAt', 'ASC']],
+    })
+
+    const authorizations = tokens.filter((token) => {
+      return token.isActive(now)
+    }).reduce((acc, token) => {
+      const lastUsedAt = token.lastAccess ?? token.createdAt
+      const authorization = acc.get(token.clientId)
+      if (!authorization) {
+        acc.set(token.clientId, {
+          userId: user.id,
+          clientId: token.clientId,
+          scope: [...token.scope],
+          tokenCount: 1,
+          firstUsedAt: token.createdAt,
+          lastUsedAt,
+        })
+        return acc
+      }
+
+      authorization.scope = [...new Set([...authorization.scope, ...token.scope])]
+      authorization.tokenCount += 1
+      if (lastUsedAt > authorization.lastUsedAt) {
+        authorization.lastUsedAt = lastUsedAt
+      }
+      return acc
+    }, new Map())
+
+    const clients = await Client.findAll({
+      attributes: ['id', 'name'],
+      where: { id: [...authorizations.keys()] },
+    })
+
+    const rows = [...authorizations.values()].map((authorization) => {
+      const client = clients.find((authorizedClient) => {
+        return authorizedClient.id === authorization.clientId
+      })
+      return { ...authorization, clientName: client?.name }
+    })
+
+    const query = new Query({ connection: ctx })
+    const result = { count: rows.length, rows: rows.slice(query.offset, query.offset + query.limit) }
+    return new DatabaseDocument({ query, result, type: AuthorizationView })
+  }
+
+  /**
+   * Revoke the access of an OAuth client to a user's account, removing all its tokens and authorization codes
+   * @param {Context} ctx request context
+   * @returns {Promise<boolean>} 204 no content
+   */
+  @DELETE('/users/:id/authorizations/:clientId')
+  @websocket('users', 'authorizations', 'delete')
+  @parameters('id', 'clientId')
+  @authenticated
+  async authorizationsDelete (ctx) {
+    const user = await findUser(ctx.params.id)
+
+    this.requireWritePermission({ connection: ctx, entity: user })
+
+    const { clientId } = ctx.params
+    if (!UUID.test(clientId)) {
+      throw new NotFoundAPIError({ parameter: 'clientId' })
+    }
+
+    const [tokenCount, codeCount] = await db.transaction((transaction) => {
+      return Promise.all([
+        Token.destroy({ where: { userId: user.id, clientId }, transaction }),
+        Code.destroy({ where: { userId: user.id, clientId }, transaction }),
+      ])
+    })
+
+    if (tokenCount + codeCount === 0) {
+      throw new NotFoundAPIError({ parameter: 'clientId' })
+    }
+
+    ctx.response.status = StatusCode.noContent
+    return true
+  }
+
+  /**
+   * Get the login sessions of a user, with the device and location they were made from
+   * @param {Context} ctx request context
+   * @returns {Promise<DatabaseDocument>} list of login sessions
+   */
+  @GET('/users/:id/sessions')
+  @websocket('users', 'sessions', 'read')
+  @parameters('id')
+  @authenticated
+  async sessionsSearch (ctx) {
+    const user = await findUser(ctx.params.id)
+
+    this.requireReadPermission({ connection: ctx, entity: user })
+
+    const sessions = await Sessions.findAll({ user })
+
+    const query = new Query({ connection: ctx })
+    const result = { count: sessions.length, rows: sessions.slice(query.offset, query.offset + query.limit) }
+    return new DatabaseDocument({ query, result, type: SessionView })
+  }
+
+  /**
+   * End a login session of a user, revoking the OAuth tokens that were issued through it
+   * @param {Context} ctx request context
+   * @returns {Promise<boolean>} 204 no content
+   */
+  @DELETE('/users/:id/sessions/:sessionId')
+  @websocket('users', 'sessions', 'delete')
+  @parameters('id', 'sessionId')
+  @authenticated
+  async sessionsDelete (ctx) {
+    const user = await findUser(ctx.params.id)
+
+    this.requireWritePermission({ connection: ctx, entity: user })
+
+    const { sessionId } = ctx.params
+    if (!UUID.test(sessionId)) {
+      throw new NotFoundAPIError({ parameter: 'sessionId' })
+    }
+
+    const session = await Session.unscoped().findOne({
+      where: {
+        id: sessionId,
+        userId: user.id,
+      },
+    })
+
+    if (!session) {
+      throw new NotFoundAPIError({ parameter: 'sessionId' })
+    }
+
+    await Sessions.endSession({ session })
+
+    ctx.response.status = StatusCode.noContent
+    return true
+  }
+
+  /**
+   * Get the personal access tokens a user has created, without their values
+   * @param {Context} ctx request context
+   * @returns {Promise<DatabaseDocument>} list of personal access tokens
+   */
+  @GET('/users/:id/tokens')
+  @websocket('users', 'tokens', 'read')
+  @parameters('id')
+  @authenticated
+  async personalAccessTokensSearch (ctx) {
+    const user = await findUser(ctx.params.id)
+
+    this.requireReadPermission({ connection: ctx, entity: user })
+
+    const tokens = await Token.unscoped().findAll({
+      where: { userId: user.id, clientId: null },
+      order: [['createdAt', 'DESC']],
+    })
+
+    const rows = tokens.map(personalAccessTokenResult)
+
+    const query = new Query({ connection: ctx })
+    const result = { count: rows.length, rows: rows.slice(query.offset, query.offset + query.limit) }
+    return new DatabaseDocument({ query, result, type: PersonalAccessTokenView })
+  }
+
+  /**
+   * Create a named personal access token with a subset of the user's permissions, an optional expiry date, and an
+   * optional list of IP addresses it may be used from. The value of the token is only shown in this response.
+   * Personal access tokens cannot be used to create other personal access tokens, as those could escape the expiry
+   * and IP address restrictions of the token used to create them.
+   * @param {Context} ctx request context
+   * @returns {Promise<DatabaseDocument>} the personal access token with its value
+   */
+  @POST('/users/:id/tokens')
+  @websocket('users', 'tokens', 'create')
+  @parameters('id')
+  @required('name', 'scope')
+  @authenticated
+  async personalAccessTokensCreate (ctx) {
+    const user = await findUser(ctx.params.id)
+
+    this.requireWritePermission({ connection: ctx, entity: user })
+    requireSelf(ctx, user)
+
+    if (ctx.state.personalAccessToken) {
+      throw new ForbiddenAPIError({ parameter: 'Authorization' })
+    }
+
+    const { name, scope, expiresAt, ipAllowList } = getJSONAPIData({ ctx, type: 'personal-access-tokens' }).attributes
+    if (!Array.isArray(scope) || scope.length === 0) {
+      throw new UnprocessableEntityAPIError({ pointer: '/data/attributes/scope' })
+    }
+
+    Permission.assertOAuthScopes(scope)
+    const grantedScope = scope.every((permission) => {
+      return ctx.state.permissions.includes(permission)
+    })
+    if (!grantedScope) {
+      throw new ForbiddenAPIError({ pointer: '/data/attributes/scope' })
+    }
+
+    const token = await Token.create({
+      name,
+      scope,
+      value: await oAuthTokenGenerator(),
+      userId: user.id,
+      clientId: null,
+      expiresAt: parseExpiry(expiresAt),
+      ipAllowList: ipAllowList ?? null,
+    })
+
+    const result = {
+      ...personalAccessTokenResult(token),
+      value: token.value,
+    }
+
+    ctx.response.status = StatusCode.created
+    return new DatabaseDocument({ query: new Query({ connection: ctx }), result, type: PersonalAccessTokenView })
+  }
+
+  /**
+   * Revoke a personal access token of a user
+   * @param {Context} ctx request context
+   * @returns {Promise<boolean>} 204 no content
+   */
+  @DELETE('/users/:id/tokens/:tokenId')
+  @websocket('users', 'tokens', 'delete')
+  @parameters('id', 'tokenId')
+  @authenticated
+  async personalAccessTokensDelete (ctx) {
+    const user = await findUser(ctx.params.id)
+
+    this.requireWritePermission({ connection: ctx, entity: user })
+
+    const { tokenId } = ctx.params
+    if (!UUID.test(tokenId)) {
+      throw new NotFoundAPIError({ parameter: 'tokenId' })
+    }
+
+    const tokenCount = await Token.destroy({ where: { id: tokenId, userId: user.id, clientId: null } })
+    if (tokenCount === 0) {
+      throw new NotFoundAPIError({ parameter: 'tokenId' })
+    }
+
+    ctx.response.status = StatusCode.noContent
+    return true
+  }
+
+  /**
+   * Get the two-factor authentication status of a user
+   * @param {Context} ctx request context
+   * @returns {Promise<DatabaseDocument>} two-factor authentication enrolment
+   */
+  @GET('/users/:id/twofactor')
+  @websocket('users', 'twofactor', 'read')
+  @parameters('id')
+  @authenticated
+  async twoFactorRead (ctx) {
+    const user = await findUser(ctx.params.id)
+
+    this.requireReadPermission({ connection: ctx, entity: user })
+
+    const twoFactor = await findTwoFactor(user)
+
+    const result = twoFactorResult(twoFactor)
+    return new DatabaseDocument({ query: new Query({ connection: ctx }), result, type: TwoFactorView })
+  }
+
+  /**
+   * Start enrolling a user in two-factor authentication, generating a new secret to add to an authenticator app
+   * @param {Context} ctx request context
+   * @returns {Promise<DatabaseDocument>} two-factor authentication enrolment with its secret and provisioning URI
+   */
+  @POST('/users/:id/twofactor')
+  @websocket('users', 'twofactor', 'create')
+  @parameters('id')
+  @authenticated
+  async twoFactorCreate (ctx) {
+    const user = await findUser(ctx.params.id)
+
+    this.requireWritePermission({ connection: ctx, entity: user })
+    requireSelf(ctx, user)
+
+    const existingTwoFactor = await TwoFactor.findOne({ where: { userId: user.id } })
+    if (existingTwoFactor?.enabled) {
+      throw new ConflictAPIError({ parameter: 'id' })
+    }
+
+    const secret = TOTP.generateSecret()
+    let twoFactor = existingTwoFactor
+    if (twoFactor) {
+      await twoFactor.update({ secret, recoveryCodes: [], lastUsedStep: null })
+    } else {
+      twoFactor = await TwoFactor.create({ secret, userId: user.id })
+    }
+
+    const result = {
+      ...twoFactorResult(twoFactor),
+      secret,
+      provisioningUri: TOTP.provisioningUri({ secret, account: user.email }),
+    }
+
+    ctx.response.status = StatusCode.created
+    return new DatabaseDocument({ query: new Query({ connection: ctx }), result, type: TwoFactorView })
+  }
+
+  /**
+   * Finish enrolling a user in two-factor authentication with a code from their authenticator app, enabling it and
+   * generating the recovery codes that are only shown in this response
+   * @param {Context} ctx request context
+   * @returns {Promise<DatabaseDocument>} two-factor authentication enrolment with its recovery codes
+   */
+  @POST('/users/:id/twofactor/verify')
+  @websocket('users', 'twofactor', 'verify')
+  @parameters('id')
+  @required('code')
+  @authenticated
+  async twoFactorVerify (ctx) {
+    const user = await findUser(ctx.params.id)
+
+    this.requireWritePermission({ connection: ctx, entity: user })
+    requireSelf(ctx, user)
+
+    const twoFactor = await findTwoFactor(user)
+    if (twoFactor.enabled) {
+      throw new ConflictAPIError({ parameter: 'id' })
+    }
+
+    const { code } = getJSONAPIData({ ctx, type: 'twofactor' }).attributes
+    const verified = await Authentication.consumeTwoFactorCode({ twoFactor, code })
+    if (!verified) {
+      throw new UnauthorizedAPIError({ pointer: '/data/attributes/code' })
+    }
+
+    const { codes, hashes } = await TOTP.generateRecoveryCodes()
+    await twoFactor.update({ enabled: true, recoveryCodes: hashes })
+
+    const result = {
+      ...twoFactorResult(twoFactor),
+      recoveryCodes: codes,
+    }
+    return new DatabaseDocument({ query: new Query({ connection: ctx }), result, type: TwoFactorView })
+  }
+
+  /**
+   * Disable two-factor authentication for a user, requires re-authenticating with basic authentication
+   * @param {Context} ctx request context
+   * @returns {Promise<boolean>} 204 no content
+   */
+  @DELETE('/users/:id/twofactor')
+  @parameters('id')
+  @basicAuthenticated
+  async twoFactorDelete (ctx) {
+    const user = await findUser(ctx.params.id)
+
+    this.requireWritePermission({ connection: ctx, entity: user })
+
+    const twoFactor = await findTwoFactor(user)
+    await twoFactor.destroy()
+
+    ctx.response.status = StatusCode.noContent
+    return true
+  }
+
+  /**
+   * @inheritdoc
+   */
+  isSelf ({ ctx, entity }) {
+    return entity.id === ctx.state.user.id
+  }
+
+  /**
+   * @inheritdoc
+   */
+  changeRelationship () {
+    throw new UnsupportedMediaAPIError({ pointer: '/relationships' })
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get relationTypes () {
+    return {}
+  }
+}
@@ -0,0 +1,103 @@
+import DatabaseDocument from '../Documents/DatabaseDocument'
+import { NotFoundAPIError, UnsupportedMediaAPIError } from '../classes/APIError'
+import Achievements from '../classes/Achievements'
+import { Context } from '../classes/Context'
+import { websocket } from '../classes/WebSocket'
+import { Achievement, User } from '../db'
+import Query from '../query'
+import { AchievementView } from '../view'
+import {
+  authenticated,
+  GET,
+  POST,
+  parameters,
+  permissions,
+} from './API'
+import APIResource from './APIResource'
+
+/**
+ * Find a user by id or throw a not found error
+ * @param {string} id the id of the user
+ * @returns {Promise<User>} the user
+ */
+async function findUser (id) {
+  const user = await User.findOne({
+    where: {
+      id,
+    },
+  })
+
+  if (!user) {
+    throw new NotFoundAPIError({ parameter: 'id' })
+  }
+  return user
+}
+
+/**
+ * Endpoints for the achievement badges awarded to users
+ */
+export default class UserAchievements extends APIResource {
+  /**
+   * @inheritdoc
+   */
+  get type () {
+    return 'users'
+  }
+
+  /**
+   * Get the achievement badges awarded to a user
+   * @param {Context} ctx request context
+   * @returns {Promise<DatabaseDocument>} list of achievements
+   */
+  @GET('/users/:id/achievements')
+  @websocket('users', 'achievements', 'read')
+  @parameters('id')
+  @authenticated
+  async achievementsSearch (ctx) {
+    const user = await findUser(ctx.params.id)
+
+    const achievements = await Achievement.findAll({
+      where: { userId: user.id },
+      order: [['createdAt', 'ASC']],
+    })
+
+    const query = new Query({ connection: ctx })
+    const result = { count: achievements.length, rows: achievements.slice(query.offset, query.offset + query.limit) }
+    return new DatabaseDocument({ query, result, type: AchievementView })
+  }
+
+  /**
+   * Award every user the achievement badges they earned before achievements were introduced, without announcing
+   * them, as a one-off historical backfill
+   * @returns {Promise<boolean>} true when the backfill has completed
+   */
+  @POST('/achievements/backfill')
+  @websocket('achievements', 'backfill')
+  @authenticated
+  @permissions('users.write')
+  async achievementsBackfill () {
+    await Achievements.backfill({ announce: false })
+    return true
+  }
+
+  /**
+   * @inheritdoc
+   */
+  isSelf ({ ctx, entity }) {
+    return entity.id === ctx.state.user.id
+  }
+
+  /**
+   * @inheritdoc
+   */
+  changeRelationship () {
+    throw new UnsupportedMediaAPIError({ pointer: '/relationships' })
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get relationTypes () {
+    return {}
+  }
+}
@@ -0,0 +1,144 @@
+import Sequelize from 'sequelize'
+import DatabaseDocument from '../Documents/DatabaseDocument'
+import { NotFoundAPIError, UnsupportedMediaAPIError } from '../classes/APIError'
+import { Context } from '../classes/Context'
+import DataExports from '../classes/DataExports'
+import StatusCode from '../classes/StatusCode'
+import { websocket } from '../classes/WebSocket'
+import { DataExport, User } from '../db'
+import Query from '../query'
+import { DataExportView } from '../view'
+import {
+  authenticated,
+  GET,
+  POST,
+  parameters,
+} from './API'
+import APIResource from './APIResource'
+
+const { Op } = Sequelize
+
+/**
+ * Find a user by id or throw a not found error
+ * @param {string} id the id of the user
+ * @returns {Promise<User>} the user
+ */
+async function findUser (id) {
+  const user = await User.findOne({
+    where: {
+      id,
+    },
+  })
+
+  if (!user) {
+    throw new NotFoundAPIError({ parameter: 'id' })
+  }
+  return user
+}
+
+/**
+ * Endpoints for users to request and download a copy of the personal data held on them
+ */
+export default class UserExports extends APIResource {
+  /**
+   * @inheritdoc
+   */
+  get type () {
+    return 'users'
+  }
+
+  /**
+   * Get the status of the latest personal data export of a user
+   * @param {Context} ctx request context
+   * @returns {Promise<DatabaseDocument>} the personal data export
+   */
+  @GET('/users/:id/export')
+  @websocket('users', 'export', 'read')
+  @parameters('id')
+  @authenticated
+  async exportRead (ctx) {
+    const user = await findUser(ctx.params.id)
+
+    this.requireReadPermission({ connection: ctx, entity: user })
+
+    const result = await DataExport.findOne({
+      where: { userId: user.id },
+      order: [['createdAt', 'DESC']],
+    })
+
+    if (!result) {
+      throw new NotFoundAPIError({ parameter: 'id' })
+    }
+
+    return new DatabaseDocument({ query: new Query({ connection: ctx }), result, type: DataExportView })
+  }
+
+  /**
+   * Request an archive of the personal data held on a user, which is emailed to them as a download link once it
+   * has been built
+   * @param {Context} ctx request context
+   * @returns {Promise<DatabaseDocument>} the personal data export
+   */
+  @POST('/users/:id/export')
+  @websocket('users', 'export', 'create')
+  @parameters('id')
+  @authenticated
+  async exportCreate (ctx) {
+    const user = await findUser(ctx.params.id)
+
+    this.requireWritePermission({ connection: ctx, entity: user })
+
+    const result = await DataExports.create({ user })
+
+    ctx.response.status = StatusCode.accepted
+    return new DatabaseDocument({ query: new Query({ connection: ctx }), result, type: DataExportView })
+  }
+
+  /**
+   * Download the archive of a personal data export using the token from its email
+   * @param {Context} ctx request context
+   * @param {Function} next Koa routing function
+   * @returns {Promise<undefined>} resolves a promise upon completion
+   */
+  @GET('/exports/:token')
+  @parameters('token')
+  async exportDownload (ctx, next) {
+    const dataExport = await DataExport.scope('data').findOne({
+      where: {
+        token: ctx.params.token,
+        expiresAt: { [Op.gt]: new Date() },
+      },
+    })
+
+    if (!dataExport) {
+      throw new NotFoundAPIError({ parameter: 'token' })
+    }
+
+    const date = dataExport.createdAt.toISOString().substring(0, 'YYYY-MM-DD'.length)
+    ctx.type = 'application/zip'
+    ctx.attachment(`fuelrats-data-${date}.zip`)
+    ctx.body = dataExport.archive
+    next()
+  }
+
+  /**
+   * @inheritdoc
+   */
+  isSelf ({ ctx, entity }) {
+    return entity.id === ctx.state.user.id
+  }
+
+  /**
+   * @inheritdoc
+   */
+  changeRelationship () {
+    throw new UnsupportedMediaAPIError({ pointer: '/relationships' })
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get relationTypes () {
+    return {}
+  }
+}
@@ -0,0 +1,171 @@
+import DatabaseDocument from '../Documents/DatabaseDocument'
+import {
+  ForbiddenAPIError,
+  NotFoundAPIError,
+  UnprocessableEntityAPIError,
+  UnsupportedMediaAPIError,
+} from '../classes/APIError'
+import { Context } from '../classes/Context'
+import StatusCode from '../classes/StatusCode'
+import Suspensions from '../classes/Suspensions'
+import { websocket } from '../classes/WebSocket'
+import { Suspension, User } from '../db'
+import { UUID } from '../helpers/Validators'
+import Query from '../query'
+import { SuspensionView } from '../view'
+import {
+  authenticated,
+  GET,
+  POST,
+  DELETE,
+  getJSONAPIData,
+  parameters,
+  permissions,
+  required,
+} from './API'
+import APIResource from './APIResource'
+
+/**
+ * Find a user by id or throw a not found error
+ * @param {string} id the id of the user
+ * @returns {Promise<User>} the user
+ */
+async function findUser (id) {
+  const user = await User.findOne({
+    where: {
+      id,
+    },
+  })
+
+  if (!user) {
+    throw new NotFoundAPIError({ parameter: 'id' })
+  }
+  return user
+}
+
+/**
+ * Endpoints for moderators to suspend user accounts and review their history of suspensions
+ */
+export default class UserSuspensions extends APIResource {
+  /**
+   * @inheritdoc
+   */
+  get type () {
+    return 'users'
+  }
+
+  /**
+   * Get the history of suspensions of a user
+   * @param {Context} ctx request context
+   * @returns {Promise<DatabaseDocument>} list of suspensions
+   */
+  @GET('/users/:id/suspensions')
+  @websocket('users', 'suspensions', 'read')
+  @parameters('id')
+  @authenticated
+  async suspensionsSearch (ctx) {
+    const user = await findUser(ctx.params.id)
+
+    this.requireReadPermission({ connection: ctx, entity: user })
+
+    const suspensions = await Suspension.findAll({
+      where: { userId: user.id },
+      order: [['createdAt', 'DESC']],
+    })
+
+    const query = new Query({ connection: ctx })
+    const result = { count: suspensions.length, rows: suspensions.slice(query.offset, query.offset + query.limit) }
+    return new DatabaseDocument({ query, result, type: SuspensionView })
+  }
+
+  /**
+   * Suspend a user for a number of seconds, revoking their OAuth tokens and login sessions
+   * @param {Context} ctx request context
+   * @returns {Promise<DatabaseDocument>} the suspension
+   */
+  @POST('/users/:id/suspensions')
+  @websocket('users', 'suspensions', 'create')
+  @parameters('id')
+  @required('reason', 'duration')
+  @authenticated
+  @permissions('users.write')
+  async suspensionsCreate (ctx) {
+    const user = await findUser(ctx.params.id)
+
+    const moderator = ctx.state.representedBy ?? ctx.state.user
+    if (user.id === moderator.id) {
+      throw new ForbiddenAPIError({ parameter: 'id' })
+    }
+
+    const { reason, duration } = getJSONAPIData({ ctx, type: 'suspensions' }).attributes
+    if (typeof reason !== 'string' || reason.trim().length === 0) {
+      throw new UnprocessableEntityAPIError({ pointer: '/data/attributes/reason' })
+    }
+
+    if (!Number.isSafeInteger(duration) || duration <= 0) {
+      throw new UnprocessableEntityAPIError({ pointer: '/data/attributes/duration' })
+    }
+
+    const result = await Suspensions.suspend({
+      ctx, user, reason, duration,
+    })
+
+    ctx.response.status = StatusCode.created
+    return new DatabaseDocument({ query: new Query({ connection: ctx }), result, type: SuspensionView })
+  }
+
+  /**
+   * Lift a suspension of a user before it expires
+   * @param {Context} ctx request context
+   * @returns {Promise<DatabaseDocument>} the lifted suspension
+   */
+  @DELETE('/users/:id/suspensions/:suspensionId')
+  @websocket('users', 'suspensions', 'delete')
+  @parameters('id', 'suspensionId')
+  @authenticated
+  @permissions('users.write')
+  async suspensionsDelete (ctx) {
+    const user = await findUser(ctx.params.id)
+
+    const { suspensionId } = ctx.params
+    if (!UUID.test(suspensionId)) {
+      throw new NotFoundAPIError({ parameter: 'suspensionId' })
+    }
+
+    const suspension = await Suspension.findOne({
+      where: {
+        id: suspensionId,
+        userId: user.id,
+        endedAt: null,
+      },
+    })
+
+    if (!suspension) {
+      throw new NotFoundAPIError({ parameter: 'suspensionId' })
+    }
+
+    const result = await Suspensions.lift({ ctx, user, suspension })
+    return new DatabaseDocument({ query: new Query({ connection: ctx }), result, type: SuspensionView })
+  }
+
+  /**
+   * @inheritdoc
+   */
+  isSelf ({ ctx, entity }) {
+    return entity.id === ctx.state.user.id
+  }
+
+  /**
+   * @inheritdoc
+   */
+  changeRelationship () {
+    throw new UnsupportedMediaAPIError({ pointer: '/relationships' })
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get relationTypes () {
+    return {}
+  }
+}
@@ -7,18 +7,19 @@ import {
   UnauthorizedAPIError,
   UnsupportedMediaAPIError,
   BadRequestAPIError,
-  InternalServerError,
 } from '../classes/APIError'
 import Announcer from '../classes/Announcer'
 import Anope from '../classes/Anope'
 import { Context } from '../classes/Context'
+import DecalInventory from '../classes/DecalInventory'
 import Mail from '../classes/Mail'
 import Permission from '../classes/Permission'
 import StatusCode from '../classes/StatusCode'
 import { websocket } from '../classes/WebSocket'
-import { User, Decal, Avatar, db } from '../db'
+import { User, Avatar, db } from '../db'
 import emailChangeEmail from '../emails/emailchange'
 import DatabaseQuery from '../query/DatabaseQuery'
+import { FilterType } from '../query/Filter'
 import {
   UserView, DecalView, RatView, ClientView, GroupView,
 } from '../view'
@@ -36,7 +37,6 @@ import {
   getJSONAPIData,
 } from './API'
 import APIResource from './APIResource'
-import Decals from './Decals'
 import Verifications from './Verifications'
 
 const mail = new Mail()
@@ -64,8 +64,12 @@ export default class Users extends APIResource {
   @websocket('users', 'search')
   @authenticated
   async search (ctx) {
-    const query = new DatabaseQuery({ connection: ctx })
-    const results = await User.findAndCountAll(query.searchObject)
+    const query = new DatabaseQuery({
+      connection: ctx,
+      databaseType: User,
+      filterFields: this.filterFields,
+    })
+    const results = await query.findAndCountAll(User)
     const result = await Anope.mapNicknames(results)
 
     return new DatabaseDocument({ query, result, type: UserView })
@@ -104,7 +108,7 @@ export default class Users extends APIResource {
 
 
     const user = await Anope.mapNickname(result)
-    user.redeemable = await Decals.getEligibleDecalCount({ user: ctx.state.user })
+    user.redeemable = await DecalInventory.getEligibleDecalCount({ user: ctx.state.user })
     return new DatabaseDocument({ query, result: user, type: UserView })
   }
 
@@ -368,27 +372,12 @@ export default class Users extends APIResource {
 
     this.requireWritePermission({ connection: ctx, entity: user })
 
-    const redeemable = await Decals.getEligibleDecalCount({ user })
+    const redeemable = await DecalInventory.getEligibleDecalCount({ user })
     if (redeemable < 1) {
       throw new BadRequestAPIError({})
     }
 
-    const availableDecal = await Decal.findOne({
-      where: {
-        userId: { is: undefined },
-        claimedAt: { is: undefined },
-        type: 'Rescues',
-      },
-    })
-
-    if (!availableDecal) {
-      throw new InternalServerError({})
-    }
-
-    const result = await availableDecal.update({
-      userId: user.id,
-      claimedAt: Date.now(),
-    })
+    const result = await DecalInventory.claim({ ctx, user })
 
     const query = new DatabaseQuery({ connection: ctx })
     return new DatabaseDocument({ query, result, type: DecalView })
@@ -697,6 +686,21 @@ export default class Users extends APIResource {
   }
 
 
+  /**
+   * @inheritdoc
+   */
+  get filterFields () {
+    return {
+      status: FilterType.string,
+      suspended: FilterType.date,
+      createdAt: FilterType.date,
+      updatedAt: FilterType.date,
+      'rats.name': FilterType.string,
+      'rats.platform': FilterType.string,
+      'groups.name': FilterType.string,
+    }
+  }
+
   /**
    * @inheritdoc
    */
@@ -715,7 +719,6 @@ export default class Users extends APIResource {
         }
         return false
       },
-      suspended: WritePermission.sudo,
       stripeId: WritePermission.group,
       frontierId: WritePermission.internal,
       createdAt: WritePermission.internal,
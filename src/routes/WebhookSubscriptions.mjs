@@ -0,0 +1,334 @@
+import DatabaseDocument from '../Documents/DatabaseDocument'
+import { ConflictAPIError, NotFoundAPIError, UnsupportedMediaAPIError } from '../classes/APIError'
+import { Context } from '../classes/Context'
+import Permission from '../classes/Permission'
+import StatusCode from '../classes/StatusCode'
+import { websocket } from '../classes/WebSocket'
+import WebhookDispatcher from '../classes/WebhookDispatcher'
+import { Client, WebhookDelivery, WebhookSubscription } from '../db'
+import { UUID } from '../helpers/Validators'
+import DatabaseQuery from '../query/DatabaseQuery'
+import { FilterType } from '../query/Filter'
+import { WebhookDeliveryView, WebhookSubscriptionView } from '../view'
+import {
+  authenticated,
+  GET,
+  POST,
+  PUT,
+  DELETE,
+  parameters,
+  required,
+  WritePermission,
+} from './API'
+import APIResource from './APIResource'
+
+/**
+ * Check whether the user may write to webhook subscriptions at all, ownership of existing subscriptions is verified
+ * separately before any of their fields are changed
+ * @param {Context} ctx request context
+ * @returns {boolean} whether the user may write to webhook subscriptions
+ */
+function canWriteSubscriptions (ctx) {
+  return Permission.granted({
+    permissions: ['webhook-subscriptions.write', 'webhook-subscriptions.write.me'],
+    connection: ctx,
+  })
+}
+
+/**
+ * Check whether the user may attach a webhook subscription to an OAuth client, which requires owning the client
+ * unless the user has permission to write to all webhook subscriptions
+ * @param {Context} ctx request context
+ * @param {WebhookSubscription} entity the webhook subscription being changed, if any
+ * @param {string} clientId the id of the OAuth client
+ * @returns {Promise<boolean>} whether the user may attach the webhook subscription to the OAuth client
+ */
+async function canWriteSubscriptionClient (ctx, entity, clientId) {
+  if (typeof clientId !== 'string' || !clientId.match(UUID)) {
+    return false
+  }
+
+  const client = await Client.findOne({
+    attributes: ['id', 'userId'],
+    where: { id: clientId },
+  })
+
+  if (!client) {
+    return false
+  }
+
+  if (Permission.granted({ permissions: ['webhook-subscriptions.write'], connection: ctx })) {
+    return true
+  }
+
+  return client.userId === ctx.state.user.id && Permission.granted({
+    permissions: ['webhook-subscriptions.write.me'],
+    connection: ctx,
+  })
+}
+
+/**
+ * Find a delivery of a webhook subscription or throw a not found error
+ * @param {object} arg function arguments object
+ * @param {WebhookSubscription} arg.subscription the webhook subscription
+ * @param {string} arg.deliveryId the id of the delivery
+ * @returns {Promise<WebhookDelivery>} the delivery
+ */
+async function findDelivery ({ subscription, deliveryId }) {
+  const delivery = await WebhookDelivery.scope({ method: ['subscription', subscription.id] }).findOne({
+    where: { id: deliveryId },
+  })
+
+  if (!delivery) {
+    throw new NotFoundAPIError({ parameter: 'deliveryId' })
+  }
+  return delivery
+}
+
+/**
+ * Endpoints for managing the webhook subscriptions of OAuth clients and their delivery logs
+ */
+export default class WebhookSubscriptions extends APIResource {
+  /**
+   * @inheritdoc
+   */
+  get type () {
+    return 'webhook-subscriptions'
+  }
+
+  /**
+   * Search webhook subscriptions, users without permission to read all of them only see the webhook subscriptions
+   * of their own OAuth clients
+   * @param {Context} ctx request context
+   * @returns {Promise<DatabaseDocument>} list of webhook subscription results
+   */
+  @GET('/webhooks/subscriptions')
+  @websocket('webhooks', 'subscriptions', 'search')
+  @authenticated
+  async search (ctx) {
+    const query = new DatabaseQuery({
+      connection: ctx,
+      databaseType: WebhookSubscription,
+      filterFields: this.filterFields,
+    })
+
+    let databaseType = WebhookSubscription
+    if (!Permission.granted({ permissions: ['webhook-subscriptions.read'], connection: ctx })) {
+      const clients = await Client.findAll({
+        attributes: ['id'],
+        where: { userId: ctx.state.user.id },
+      })
+
+      const clientIds = clients.map((client) => {
+        return client.id
+      })
+      databaseType = WebhookSubscription.scope('defaultScope', { method: ['clients', clientIds] })
+    }
+
+    const result = await query.findAndCountAll(databaseType)
+    return new DatabaseDocument({ query, result, type: WebhookSubscriptionView })
+  }
+
+  /**
+   * Find a webhook subscription by id
+   * @param {Context} ctx request context
+   * @returns {Promise<DatabaseDocument>} a webhook subscription result
+   */
+  @GET('/webhooks/subscriptions/:id')
+  @websocket('webhooks', 'subscriptions', 'read')
+  @authenticated
+  @parameters('id')
+  async findById (ctx) {
+    const { query, result } = await super.findById({ ctx, databaseType: WebhookSubscription })
+    this.requireReadPermission({ connection: ctx, entity: result })
+
+    return new DatabaseDocument({ query, result, type: WebhookSubscriptionView })
+  }
+
+  /**
+   * Create a webhook subscription for an OAuth client
+   * @param {Context} ctx request context
+   * @returns {Promise<DatabaseDocument>} created webhook subscription
+   */
+  @POST('/webhooks/subscriptions')
+  @websocket('webhooks', 'subscriptions', 'create')
+  @authenticated
+  @required('url', 'events', 'secret', 'clientId')
+  async create (ctx) {
+    const result = await super.create({ ctx, databaseType: WebhookSubscription })
+
+    const query = new DatabaseQuery({ connection: ctx })
+    ctx.response.status = StatusCode.created
+    return new DatabaseDocument({ query, result, type: WebhookSubscriptionView })
+  }
+
+  /**
+   * Update a webhook subscription by id
+   * @param {Context} ctx request context
+   * @returns {Promise<DatabaseDocument>} updated webhook subscription
+   */
+  @PUT('/webhooks/subscriptions/:id')
+  @websocket('webhooks', 'subscriptions', 'update')
+  @authenticated
+  @parameters('id')
+  async update (ctx) {
+    const result = await super.update({
+      ctx,
+      databaseType: WebhookSubscription,
+      updateSearch: { id: ctx.params.id },
+    })
+
+    const query = new DatabaseQuery({ connection: ctx })
+    return new DatabaseDocument({ query, result, type: WebhookSubscriptionView })
+  }
+
+  /**
+   * Delete a webhook subscription and its delivery log by id
+   * @param {Context} ctx request context
+   * @returns {Promise<boolean>} 204 no content
+   */
+  @DELETE('/webhooks/subscriptions/:id')
+  @websocket('webhooks', 'subscriptions', 'delete')
+  @authenticated
+  @parameters('id')
+  async delete (ctx) {
+    await super.delete({ ctx, databaseType: WebhookSubscription })
+
+    ctx.response.status = StatusCode.noContent
+    return true
+  }
+
+  /**
+   * Search the delivery log of a webhook subscription
+   * @param {Context} ctx request context
+   * @returns {Promise<DatabaseDocument>} list of webhook delivery results
+   */
+  @GET('/webhooks/subscriptions/:id/deliveries')
+  @websocket('webhooks', 'subscriptions', 'deliveries', 'search')
+  @authenticated
+  @parameters('id')
+  async deliveriesSearch (ctx) {
+    const { result: subscription } = await super.findById({ ctx, databaseType: WebhookSubscription })
+    this.requireReadPermission({ connection: ctx, entity: subscription })
+
+    const query = new DatabaseQuery({
+      connection: ctx,
+      databaseType: WebhookDelivery,
+      filterFields: this.deliveryFilterFields,
+    })
+    const result = await query.findAndCountAll(WebhookDelivery.scope({ method: ['subscription', subscription.id] }))
+    return new DatabaseDocument({ query, result, type: WebhookDeliveryView })
+  }
+
+  /**
+   * Find a delivery of a webhook subscription by id
+   * @param {Context} ctx request context
+   * @returns {Promise<DatabaseDocument>} a webhook delivery result
+   */
+  @GET('/webhooks/subscriptions/:id/deliveries/:deliveryId')
+  @websocket('webhooks', 'subscriptions', 'deliveries', 'read')
+  @authenticated
+  @parameters('id', 'deliveryId')
+  async deliveriesRead (ctx) {
+    const { query, result: subscription } = await super.findById({ ctx, databaseType: WebhookSubscription })
+    this.requireReadPermission({ connection: ctx, entity: subscription })
+
+    const result = await findDelivery({ subscription, deliveryId: ctx.params.deliveryId })
+    return new DatabaseDocument({ query, result, type: WebhookDeliveryView })
+  }
+
+  /**
+   * Replay a delivery of a webhook subscription that has already succeeded or failed, attempting to deliver it again
+   * @param {Context} ctx request context
+   * @returns {Promise<DatabaseDocument>} the replayed webhook delivery
+   */
+  @POST('/webhooks/subscriptions/:id/deliveries/:deliveryId/replay')
+  @websocket('webhooks', 'subscriptions', 'deliveries', 'replay')
+  @authenticated
+  @parameters('id', 'deliveryId')
+  async deliveriesReplay (ctx) {
+    const { query, result: subscription } = await super.findById({
+      ctx,
+      databaseType: WebhookSubscription,
+      requirePermission: true,
+    })
+
+    const delivery = await findDelivery({ subscription, deliveryId: ctx.params.deliveryId })
+    if (delivery.status === 'pending') {
+      throw new ConflictAPIError({ parameter: 'deliveryId' })
+    }
+
+    const result = await WebhookDispatcher.replay({ delivery, subscription })
+    return new DatabaseDocument({ query, result, type: WebhookDeliveryView })
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get filterFields () {
+    return {
+      url: FilterType.string,
+      events: FilterType.array,
+      active: FilterType.boolean,
+      clientId: FilterType.uuid,
+      createdAt: FilterType.date,
+      updatedAt: FilterType.date,
+    }
+  }
+
+  /**
+   * Get a map of the fields searches of webhook deliveries can be filtered on to their FilterType
+   * @returns {object}
+   */
+  get deliveryFilterFields () {
+    return {
+      event: FilterType.string,
+      resourceId: FilterType.string,
+      status: FilterType.string,
+      attempts: FilterType.number,
+      responseStatus: FilterType.number,
+      nextAttemptAt: FilterType.date,
+      deliveredAt: FilterType.date,
+      createdAt: FilterType.date,
+      updatedAt: FilterType.date,
+    }
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get writePermissionsForFieldAccess () {
+    return {
+      url: canWriteSubscriptions,
+      events: canWriteSubscriptions,
+      secret: canWriteSubscriptions,
+      active: canWriteSubscriptions,
+      clientId: canWriteSubscriptionClient,
+      createdAt: WritePermission.internal,
+      updatedAt: WritePermission.internal,
+    }
+  }
+
+  /**
+   * @inheritdoc
+   */
+  isSelf ({ ctx, entity }) {
+    return entity.client?.userId === ctx.state.user.id
+  }
+
+  /**
+   * @inheritdoc
+   */
+  changeRelationship () {
+    throw new UnsupportedMediaAPIError({ pointer: '/relationships' })
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get relationTypes () {
+    return {
+      client: 'clients',
+    }
+  }
+}
@@ -1,4 +1,5 @@
 export Anniversaries from './Anniversaries'
+export AuditLogs from './AuditLogs'
 export Clients from './Clients'
 export Decals from './Decals'
 export Errors from './Errors'
@@ -11,12 +12,19 @@ export OAuth2 from './OAuth2'
 export Rats from './Rats'
 export Register from './Register'
 export Rescues from './Rescues'
+export RescueRevisions from './RescueRevisions'
 export Resets from './Resets'
 export Sessions from '../classes/Sessions'
 export Ships from './Ships'
 export SSO from './SSO'
 export Statistics from './Statistics'
+export Traffic from './Traffic'
 export Events from './Events'
 export Users from './Users'
+export UserAccess from './UserAccess'
+export UserAchievements from './UserAchievements'
+export UserExports from './UserExports'
+export UserSuspensions from './UserSuspensions'
 export Verifications from './Verifications'
 export Version from './Version'
+export WebhookSubscriptions from './WebhookSubscriptions'
@@ -0,0 +1,86 @@
+import Achievements from '../classes/Achievements'
+import DatabaseView from './DatabaseView'
+import { ReadPermission } from './View'
+
+/**
+ * Get JSONAPI view for an achievement badge awarded to a user
+ */
+export default class AchievementView extends DatabaseView {
+  /**
+   * @inheritdoc
+   */
+  static get type () {
+    return 'achievements'
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get self () {
+    return `users/${this.object.userId}/achievements`
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get attributes () {
+    return class {
+      static badge
+      static name
+      static description
+      static createdAt
+    }
+  }
+
+  /**
+   * @inheritdoc
+   */
+  attributeForKey (key) {
+    if (['name', 'description'].includes(key)) {
+      return Achievements.findBadge(this.object.badge)?.[key]
+    }
+    return super.attributeForKey(key)
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get defaultReadPermission () {
+    return ReadPermission.all
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get isSelf () {
+    return false
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get isGroup () {
+    return false
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get relationships () {
+    return {}
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get related () {
+    return []
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get includes () {
+    return []
+  }
+}
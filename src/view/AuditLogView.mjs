@@ -0,0 +1,60 @@
+import DatabaseView from './DatabaseView'
+import { ReadPermission } from './View'
+
+/**
+ * JSONAPI View for an audit log entry of a privileged or administrative change made to a resource
+ */
+export default class AuditLogView extends DatabaseView {
+  /**
+   * @inheritdoc
+   */
+  static get type () {
+    return 'audit-logs'
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get self () {
+    return `audit/${this.id}`
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get attributes () {
+    return class {
+      static action
+      static resourceType
+      static resourceId
+      static before
+      static after
+      static userId
+      static representedUserId
+      static clientId
+      static ip
+      static createdAt
+    }
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get defaultReadPermission () {
+    return ReadPermission.group
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get isSelf () {
+    return false
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get isGroup () {
+    return this.query.connection.state.permissions.includes('audit.read')
+  }
+}
@@ -0,0 +1,87 @@
+import DatabaseView from './DatabaseView'
+import { ReadPermission } from './View'
+
+/**
+ * Get JSONAPI view for an OAuth client a user has authorized, summarising the tokens it holds for the user
+ */
+export default class AuthorizationView extends DatabaseView {
+  /**
+   * @inheritdoc
+   */
+  static get type () {
+    return 'authorizations'
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get id () {
+    return this.object.clientId
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get self () {
+    return `users/${this.object.userId}/authorizations/${this.object.clientId}`
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get attributes () {
+    return class {
+      static clientId
+      static clientName
+      static scope
+      static tokenCount
+      static firstUsedAt
+      static lastUsedAt
+    }
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get defaultReadPermission () {
+    return ReadPermission.group
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get isSelf () {
+    if (this.query.connection.state.user && this.object.userId === this.query.connection.state.user.id) {
+      return this.query.connection.state.permissions.includes('users.read.me')
+    }
+    return false
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get isGroup () {
+    return this.query.connection.state.permissions.includes('users.read')
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get relationships () {
+    return {}
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get related () {
+    return []
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get includes () {
+    return []
+  }
+}
@@ -22,6 +22,8 @@ export default class ClientView extends DatabaseView {
       redirectUri: ReadPermission.all,
       namespaces: ReadPermission.all,
       firstParty: ReadPermission.all,
+      public: ReadPermission.all,
+      rateLimit: ReadPermission.group,
       createdAt: ReadPermission.all,
       updatedAt: ReadPermission.all,
       deletedAt: ReadPermission.internal,
@@ -0,0 +1,77 @@
+import DatabaseView from './DatabaseView'
+import { ReadPermission } from './View'
+
+/**
+ * Get JSONAPI view for a personal data export
+ */
+export default class DataExportView extends DatabaseView {
+  /**
+   * @inheritdoc
+   */
+  static get type () {
+    return 'data-exports'
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get self () {
+    return `users/${this.object.userId}/export`
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get attributes () {
+    return class {
+      static expiresAt
+      static createdAt
+      static updatedAt
+    }
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get defaultReadPermission () {
+    return ReadPermission.group
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get isSelf () {
+    if (this.query.connection.state.user && this.object.userId === this.query.connection.state.user.id) {
+      return this.query.connection.state.permissions.includes('users.read.me')
+    }
+    return false
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get isGroup () {
+    return this.query.connection.state.permissions.includes('users.read')
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get relationships () {
+    return {}
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get related () {
+    return []
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get includes () {
+    return []
+  }
+}
@@ -0,0 +1,78 @@
+import DatabaseView from './DatabaseView'
+import { ReadPermission } from './View'
+
+/**
+ * Get JSONAPI view for the inventory of decal codes of a type of decal
+ */
+export default class DecalInventoryView extends DatabaseView {
+  /**
+   * @inheritdoc
+   */
+  static get type () {
+    return 'decal-inventories'
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get id () {
+    return this.object.type
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get self () {
+    return 'decals/inventory'
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get attributes () {
+    return class {
+      static type
+      static total
+      static claimed
+      static available
+      static imported
+      static duplicates
+      static invalid
+    }
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get defaultReadPermission () {
+    return ReadPermission.group
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get isGroup () {
+    return this.query.connection.state.permissions.includes('decals.read')
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get relationships () {
+    return {}
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get related () {
+    return []
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get includes () {
+    return []
+  }
+}
@@ -0,0 +1,79 @@
+import DatabaseView from './DatabaseView'
+import { ReadPermission } from './View'
+
+/**
+ * Get JSONAPI view for a reviewer's vote on an epic nomination
+ */
+export default class EpicReviewView extends DatabaseView {
+  /**
+   * @inheritdoc
+   */
+  static get type () {
+    return 'epic-reviews'
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get self () {
+    return `epics/${this.object.epicId}/reviews`
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get attributes () {
+    return class {
+      static decision
+      static comment
+      static reviewerId
+      static createdAt
+      static updatedAt
+    }
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get defaultReadPermission () {
+    return ReadPermission.group
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get isSelf () {
+    if (this.query.connection.state.user && this.object.reviewerId === this.query.connection.state.user.id) {
+      return this.query.connection.state.permissions.includes('epics.read.me')
+    }
+    return false
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get isGroup () {
+    return this.query.connection.state.permissions.includes('epics.read')
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get relationships () {
+    return {}
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get related () {
+    return []
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get includes () {
+    return []
+  }
+}
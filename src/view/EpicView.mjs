@@ -20,6 +20,7 @@ export default class EpicView extends DatabaseView {
   get attributes () {
     return {
       notes: ReadPermission.sudo,
+      status: ReadPermission.all,
       createdAt: ReadPermission.all,
       updatedAt: ReadPermission.all,
       deletedAt: ReadPermission.internal,
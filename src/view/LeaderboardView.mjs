@@ -25,10 +25,12 @@ export default class LeaderboardView extends DatabaseView {
    */
   get attributes () {
     return class {
+      static rank
       static preferredName
       static ratNames
       static joinedAt
       static rescueCount
+      static assistCount
       static codeRedCount
       static isDispatch
       static isEpic
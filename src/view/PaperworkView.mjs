@@ -0,0 +1,95 @@
+import DatabaseView from './DatabaseView'
+import RatView from './RatView'
+import { ReadPermission } from './View'
+
+/**
+ * Get JSONAPI view for a rescue with outstanding paperwork
+ */
+export default class PaperworkView extends DatabaseView {
+  /**
+   * @inheritdoc
+   */
+  static get type () {
+    return 'paperwork'
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get self () {
+    return `rescues/${this.id}`
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get attributes () {
+    return class {
+      static client
+      static clientNick
+      static commandIdentifier
+      static status
+      static platform
+      static outcome
+      static unidentifiedRats
+      static missing
+      static overdueSince
+      static overdue
+    }
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get defaultReadPermission () {
+    return ReadPermission.group
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get isSelf () {
+    const { user } = this.query.connection.state
+    if (user && this.object.responsibleRat?.userId === user.id) {
+      return this.query.connection.state.permissions.includes('rescues.read.me')
+    }
+    return false
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get isGroup () {
+    return this.query.connection.state.permissions.includes('rescues.read')
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get isInternal () {
+    return this.query.connection.state.permissions.includes('rescues.internal')
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get relationships () {
+    return {
+      responsibleRat: RatView,
+    }
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get related () {
+    return [RatView]
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get includes () {
+    return ['responsibleRat']
+  }
+}
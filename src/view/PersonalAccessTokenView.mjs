@@ -0,0 +1,81 @@
+import DatabaseView from './DatabaseView'
+import { ReadPermission } from './View'
+
+/**
+ * Get JSONAPI view for a personal access token a user created for themselves
+ */
+export default class PersonalAccessTokenView extends DatabaseView {
+  /**
+   * @inheritdoc
+   */
+  static get type () {
+    return 'personal-access-tokens'
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get self () {
+    return `users/${this.object.userId}/tokens/${this.object.id}`
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get attributes () {
+    return {
+      name: ReadPermission.group,
+      value: ReadPermission.self,
+      scope: ReadPermission.group,
+      ipAllowList: ReadPermission.group,
+      expiresAt: ReadPermission.group,
+      lastUsedAt: ReadPermission.group,
+      createdAt: ReadPermission.group,
+    }
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get defaultReadPermission () {
+    return ReadPermission.self
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get isSelf () {
+    if (this.query.connection.state.user && this.object.userId === this.query.connection.state.user.id) {
+      return this.query.connection.state.permissions.includes('users.read.me')
+    }
+    return false
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get isGroup () {
+    return this.query.connection.state.permissions.includes('users.read')
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get relationships () {
+    return {}
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get related () {
+    return []
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get includes () {
+    return []
+  }
+}
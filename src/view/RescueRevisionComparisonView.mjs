@@ -0,0 +1,75 @@
+import DatabaseView from './DatabaseView'
+import { ReadPermission } from './View'
+
+/**
+ * Get JSONAPI view for a comparison between two revisions of a rescue
+ */
+export default class RescueRevisionComparisonView extends DatabaseView {
+  /**
+   * @inheritdoc
+   */
+  static get type () {
+    return 'rescue-revision-comparisons'
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get id () {
+    return `${this.object.rescueId}:${this.object.from}:${this.object.to}`
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get self () {
+    return `rescues/${this.object.rescueId}/revisions/${this.object.from}/compare/${this.object.to}`
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get attributes () {
+    return class {
+      static from
+      static to
+      static changes
+      static rats
+    }
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get defaultReadPermission () {
+    return ReadPermission.group
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get isGroup () {
+    return this.query.connection.state.permissions.includes('rescue-revisions.read')
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get relationships () {
+    return {}
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get related () {
+    return []
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get includes () {
+    return []
+  }
+}
@@ -1,4 +1,6 @@
+import ClientView from './ClientView'
 import DatabaseView from './DatabaseView'
+import RatView from './RatView'
 import RescueView from './RescueView'
 import UserView from './UserView'
 import { ReadPermission } from './View'
@@ -14,15 +16,41 @@ export default class RescueRevisionView extends DatabaseView {
     return 'rescue-revisions'
   }
 
+  /**
+   * @inheritdoc
+   */
+  get id () {
+    return `${this.object.rescueId}:${this.object.revision}`
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get self () {
+    return `rescues/${this.object.rescueId}/revisions/${this.object.revision}`
+  }
+
   /**
    * @inheritdoc
    */
   get attributes () {
     return class {
-      static document
-      static operation
       static revision
-      static createdAt
+      static client
+      static clientNick
+      static clientLanguage
+      static commandIdentifier
+      static codeRed
+      static data
+      static notes
+      static platform
+      static system
+      static title
+      static unidentifiedRats
+      static status
+      static outcome
+      static quotes
+      static temporalPeriod
       static updatedAt
     }
   }
@@ -34,21 +62,11 @@ export default class RescueRevisionView extends DatabaseView {
     return ReadPermission.group
   }
 
-  /**
-   * @inheritdoc
-   */
-  get isSelf () {
-    if (this.query.connection.state.user && this.object.userId === this.query.connection.state.user.id) {
-      return this.query.connection.state.permissions.includes('rescues.read.me')
-    }
-    return false
-  }
-
   /**
    * @inheritdoc
    */
   get isGroup () {
-    return this.query.connection.state.permissions.includes('rescues.read')
+    return this.query.connection.state.permissions.includes('rescue-revisions.read')
   }
 
   /**
@@ -64,7 +82,10 @@ export default class RescueRevisionView extends DatabaseView {
   get relationships () {
     return {
       rescue: RescueView,
+      rats: RatView,
+      firstLimpet: RatView,
       user: UserView,
+      client: ClientView,
     }
   }
 
@@ -72,13 +93,13 @@ export default class RescueRevisionView extends DatabaseView {
    * @inheritdoc
    */
   get related () {
-    return [RescueView, UserView]
+    return [RescueView, RatView, UserView, ClientView]
   }
 
   /**
    * @inheritdoc
    */
   get includes () {
-    return [RescueView, UserView]
+    return ['rats', 'firstLimpet', 'user', 'client']
   }
 }
@@ -0,0 +1,79 @@
+import DatabaseView from './DatabaseView'
+import { ReadPermission } from './View'
+
+/**
+ * Get JSONAPI view for the global rescue statistics of a time bucket
+ */
+export default class RescueStatisticsView extends DatabaseView {
+  /**
+   * @inheritdoc
+   */
+  static get type () {
+    return 'rescue-statistics'
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get id () {
+    return this.object.bucket
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get attributes () {
+    return class {
+      static bucket
+      static interval
+      static total
+      static medianTimeToClose
+      static outcomes
+      static platforms
+      static codeRed
+      static clientLanguages
+    }
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get defaultReadPermission () {
+    return ReadPermission.all
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get isSelf () {
+    return false
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get isGroup () {
+    return false
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get relationships () {
+    return {}
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get related () {
+    return []
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get includes () {
+    return []
+  }
+}
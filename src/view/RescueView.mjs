@@ -84,6 +84,20 @@ export default class RescueView extends DatabaseView {
     return this.query.connection.state.permissions.includes('rescues.internal')
   }
 
+  /**
+   * @inheritdoc
+   */
+  get meta () {
+    const meta = {}
+    if (Reflect.has(this.object, 'searchRank')) {
+      meta.search = {
+        rank: this.object.searchRank,
+        highlight: this.object.searchHighlight,
+      }
+    }
+    return meta
+  }
+
   /**
    * @inheritdoc
    */
@@ -0,0 +1,80 @@
+import DatabaseView from './DatabaseView'
+import { ReadPermission } from './View'
+
+/**
+ * Get JSONAPI view for a user login session and the device and location it was made from
+ */
+export default class SessionView extends DatabaseView {
+  /**
+   * @inheritdoc
+   */
+  static get type () {
+    return 'sessions'
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get self () {
+    return `users/${this.object.userId}/sessions/${this.object.id}`
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get attributes () {
+    return class {
+      static ip
+      static device
+      static location
+      static lastAccess
+      static verified
+      static createdAt
+    }
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get defaultReadPermission () {
+    return ReadPermission.group
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get isSelf () {
+    if (this.query.connection.state.user && this.object.userId === this.query.connection.state.user.id) {
+      return this.query.connection.state.permissions.includes('users.read.me')
+    }
+    return false
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get isGroup () {
+    return this.query.connection.state.permissions.includes('users.read')
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get relationships () {
+    return {}
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get related () {
+    return []
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get includes () {
+    return []
+  }
+}
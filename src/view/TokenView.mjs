@@ -20,6 +20,7 @@ export default class TokenView extends DatabaseView {
     return {
       value: ReadPermission.self,
       scope: ReadPermission.group,
+      expiresAt: ReadPermission.self,
       createdAt: ReadPermission.all,
       updatedAt: ReadPermission.all,
       deletedAt: ReadPermission.internal,
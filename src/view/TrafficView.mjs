@@ -0,0 +1,72 @@
+import DatabaseView from './DatabaseView'
+import { ReadPermission } from './View'
+
+/**
+ * Get JSONAPI view for the rate limit state of a traffic entity
+ */
+export default class TrafficView extends DatabaseView {
+  /**
+   * @inheritdoc
+   */
+  static get type () {
+    return 'traffic'
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get self () {
+    return `traffic/${this.object.entityType}/${encodeURIComponent(this.object.entityId)}`
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get attributes () {
+    return class {
+      static entityType
+      static entityId
+      static count
+      static remaining
+      static total
+      static reset
+      static throttled
+      static lastRequestAt
+    }
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get defaultReadPermission () {
+    return ReadPermission.group
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get isGroup () {
+    return this.query.connection.state.permissions.includes('traffic.read')
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get relationships () {
+    return {}
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get related () {
+    return []
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get includes () {
+    return []
+  }
+}
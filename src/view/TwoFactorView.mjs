@@ -0,0 +1,81 @@
+import DatabaseView from './DatabaseView'
+import { ReadPermission } from './View'
+
+/**
+ * Get JSONAPI view for the TOTP two-factor authentication enrolment of a user
+ */
+export default class TwoFactorView extends DatabaseView {
+  /**
+   * @inheritdoc
+   */
+  static get type () {
+    return 'twofactor'
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get self () {
+    return `users/${this.object.userId}/twofactor`
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get attributes () {
+    return {
+      enabled: ReadPermission.group,
+      recoveryCodesRemaining: ReadPermission.group,
+      secret: ReadPermission.self,
+      provisioningUri: ReadPermission.self,
+      recoveryCodes: ReadPermission.self,
+      createdAt: ReadPermission.group,
+      updatedAt: ReadPermission.group,
+    }
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get defaultReadPermission () {
+    return ReadPermission.self
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get isSelf () {
+    if (this.query.connection.state.user && this.object.userId === this.query.connection.state.user.id) {
+      return this.query.connection.state.permissions.includes('users.read.me')
+    }
+    return false
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get isGroup () {
+    return this.query.connection.state.permissions.includes('users.read')
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get relationships () {
+    return {}
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get related () {
+    return []
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get includes () {
+    return []
+  }
+}
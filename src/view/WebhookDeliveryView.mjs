@@ -0,0 +1,72 @@
+import DatabaseView from './DatabaseView'
+import { ReadPermission } from './View'
+
+/**
+ * JSONAPI View for a delivery of an API event to a webhook subscription
+ */
+export default class WebhookDeliveryView extends DatabaseView {
+  /**
+   * @inheritdoc
+   */
+  static get type () {
+    return 'webhook-deliveries'
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get self () {
+    return `webhooks/subscriptions/${this.object.subscriptionId}/deliveries/${this.id}`
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get attributes () {
+    return class {
+      static event
+      static resourceId
+      static payload
+      static status
+      static attempts
+      static nextAttemptAt
+      static responseStatus
+      static error
+      static deliveredAt
+      static createdAt
+      static updatedAt
+    }
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get defaultReadPermission () {
+    return ReadPermission.group
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get isSelf () {
+    const { user } = this.query.connection.state
+    if (user && this.object.subscription?.client?.userId === user.id) {
+      return this.query.connection.state.permissions.includes('webhook-subscriptions.read.me')
+    }
+    return false
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get isGroup () {
+    return this.query.connection.state.permissions.includes('webhook-subscriptions.read')
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get isInternal () {
+    return this.query.connection.state.permissions.includes('webhook-subscriptions.internal')
+  }
+}
@@ -0,0 +1,83 @@
+import ClientView from './ClientView'
+import DatabaseView from './DatabaseView'
+import { ReadPermission } from './View'
+
+/**
+ * JSONAPI View for an OAuth client's webhook subscription to API events
+ */
+export default class WebhookSubscriptionView extends DatabaseView {
+  /**
+   * @inheritdoc
+   */
+  static get type () {
+    return 'webhook-subscriptions'
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get self () {
+    return `webhooks/subscriptions/${this.id}`
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get attributes () {
+    return class {
+      static url
+      static events
+      static active
+      static createdAt
+      static updatedAt
+    }
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get defaultReadPermission () {
+    return ReadPermission.group
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get isSelf () {
+    const { user } = this.query.connection.state
+    if (user && this.object.client?.userId === user.id) {
+      return this.query.connection.state.permissions.includes('webhook-subscriptions.read.me')
+    }
+    return false
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get isGroup () {
+    return this.query.connection.state.permissions.includes('webhook-subscriptions.read')
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get isInternal () {
+    return this.query.connection.state.permissions.includes('webhook-subscriptions.internal')
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get relationships () {
+    return {
+      client: ClientView,
+    }
+  }
+
+  /**
+   * @inheritdoc
+   */
+  get includes () {
+    return ['client']
+  }
+}
@@ -2,17 +2,34 @@ export default from './View'
 export * from './View'
 export DatabaseView from './DatabaseView'
 export ACRView from './ACRView'
+export AchievementView from './AchievementView'
 export AnniversaryView from './AnniversaryView'
+export AuditLogView from './AuditLogView'
+export AuthorizationView from './AuthorizationView'
 export ClientView from './ClientView'
+export DataExportView from './DataExportView'
+export DecalInventoryView from './DecalInventoryView'
 export DecalView from './DecalView'
+export EpicReviewView from './EpicReviewView'
 export EpicView from './EpicView'
 export GroupView from './GroupView'
 export LeaderboardView from './LeaderboardView'
 export NicknameView from './NicknameView'
+export PaperworkView from './PaperworkView'
+export PersonalAccessTokenView from './PersonalAccessTokenView'
 export RatView from './RatView'
+export RescueRevisionComparisonView from './RescueRevisionComparisonView'
+export RescueRevisionView from './RescueRevisionView'
+export RescueStatisticsView from './RescueStatisticsView'
 export RescueView from './RescueView'
+export SessionView from './SessionView'
 export ShipView from './ShipView'
+export SuspensionView from './SuspensionView'
 export TokenView from './TokenView'
+export TrafficView from './TrafficView'
+export TwoFactorView from './TwoFactorView'
 export UserView from './UserView'
 export UserStatisticsView from './UserStatisticsView'
 export VersionView from './VersionView'
+export WebhookDeliveryView from './WebhookDeliveryView'
+export WebhookSubscriptionView from './WebhookSubscriptionView'
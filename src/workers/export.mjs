@@ -0,0 +1,176 @@
+/* eslint-disable no-bitwise */
+import workerpool from 'workerpool'
+import zlib from 'zlib'
+import zip from '../helpers/zip'
+
+const localFileHeaderSignature = 0x04034b50
+const centralDirectoryHeaderSignature = 0x02014b50
+const endOfCentralDirectorySignature = 0x06054b50
+
+/**
+ * Byte offsets of the fields of a zip local file header, and its length
+ * @type {object}
+ */
+const localFileHeader = {
+  signature: 0,
+  versionNeeded: 4,
+  flags: 6,
+  compression: 8,
+  time: 10,
+  date: 12,
+  checksum: 14,
+  compressedSize: 18,
+  uncompressedSize: 22,
+  fileNameLength: 26,
+  length: 30,
+}
+
+/**
+ * Byte offsets of the fields of a zip central directory file header, and its length
+ * @type {object}
+ */
+const centralDirectoryHeader = {
+  signature: 0,
+  versionMadeBy: 4,
+  versionNeeded: 6,
+  flags: 8,
+  compression: 10,
+  time: 12,
+  date: 14,
+  checksum: 16,
+  compressedSize: 20,
+  uncompressedSize: 24,
+  fileNameLength: 28,
+  localHeaderOffset: 42,
+  length: 46,
+}
+
+/**
+ * Byte offsets of the fields of a zip end of central directory record, and its length
+ * @type {object}
+ */
+const endOfCentralDirectory = {
+  signature: 0,
+  diskEntries: 8,
+  totalEntries: 10,
+  centralDirectorySize: 12,
+  centralDirectoryOffset: 16,
+  length: 22,
+}
+
+const zipVersion = 20
+const utf8FileNameFlag = 0x0800
+const deflateMethod = 8
+const crcPolynomial = 0xedb88320
+const crcTableSize = 256
+const crcMask = 0xffffffff
+const byteMask = 0xff
+const byteBits = 8
+const dosEpochYear = 1980
+const dosYearShift = 9
+const dosMonthShift = 5
+const dosHourShift = 11
+const dosMinuteShift = 5
+
+const crcTable = [...Array(crcTableSize)].map((value, index) => {
+  let crc = index
+  for (let bit = 0; bit < byteBits; bit += 1) {
+    crc = crc & 1 ? (crc >>> 1) ^ crcPolynomial : crc >>> 1
+  }
+  return crc >>> 0
+})
+
+/**
+ * Calculate the CRC-32 checksum of a data buffer
+ * @param {Buffer} data the data buffer
+ * @returns {number} CRC-32 checksum
+ */
+function crc32 (data) {
+  let crc = crcMask
+  for (const byte of data) {
+    crc = crcTable[(crc ^ byte) & byteMask] ^ (crc >>> byteBits)
+  }
+  return (crc ^ crcMask) >>> 0
+}
+
+/**
+ * Convert a date to the MS-DOS time and date format used by zip archives
+ * @param {Date} date the date to convert
+ * @returns {{time: number, date: number}} MS-DOS time and date
+ */
+function dosDateTime (date) {
+  return {
+    time: (date.getUTCHours() << dosHourShift) | (date.getUTCMinutes() << dosMinuteShift)
+      | Math.floor(date.getUTCSeconds() / 2),
+    date: ((date.getUTCFullYear() - dosEpochYear) << dosYearShift) | ((date.getUTCMonth() + 1) << dosMonthShift)
+      | date.getUTCDate(),
+  }
+}
+
+/**
+ * Web worker that compresses a set of files into a zip archive
+ * @param {[{name: string, data: string|Uint8Array}]} files the files to add to the archive
+ * @returns {Buffer} zip archive data buffer
+ */
+function createArchive (files) {
+  const { time, date } = dosDateTime(new Date())
+  const contents = files.map((file) => {
+    return Buffer.from(file.data)
+  })
+  const compressedContents = contents.map((content) => {
+    return zlib.deflateRawSync(content)
+  })
+
+  const localEntries = []
+  const centralEntries = []
+  let offset = 0
+
+  for (const [file, content, compressed] of zip(files, contents, compressedContents)) {
+    const name = Buffer.from(file.name)
+    const checksum = crc32(content)
+
+    const localHeader = Buffer.alloc(localFileHeader.length)
+    localHeader.writeUInt32LE(localFileHeaderSignature, localFileHeader.signature)
+    localHeader.writeUInt16LE(zipVersion, localFileHeader.versionNeeded)
+    localHeader.writeUInt16LE(utf8FileNameFlag, localFileHeader.flags)
+    localHeader.writeUInt16LE(deflateMethod, localFileHeader.compression)
+    localHeader.writeUInt16LE(time, localFileHeader.time)
+    localHeader.writeUInt16LE(date, localFileHeader.date)
+    localHeader.writeUInt32LE(checksum, localFileHeader.checksum)
+    localHeader.writeUInt32LE(compressed.length, localFileHeader.compressedSize)
+    localHeader.writeUInt32LE(content.length, localFileHeader.uncompressedSize)
+    localHeader.writeUInt16LE(name.length, localFileHeader.fileNameLength)
+
+    const centralHeader = Buffer.alloc(centralDirectoryHeader.length)
+    centralHeader.writeUInt32LE(centralDirectoryHeaderSignature, centralDirectoryHeader.signature)
+    centralHeader.writeUInt16LE(zipVersion, centralDirectoryHeader.versionMadeBy)
+    centralHeader.writeUInt16LE(zipVersion, centralDirectoryHeader.versionNeeded)
+    centralHeader.writeUInt16LE(utf8FileNameFlag, centralDirectoryHeader.flags)
+    centralHeader.writeUInt16LE(deflateMethod, centralDirectoryHeader.compression)
+    centralHeader.writeUInt16LE(time, centralDirectoryHeader.time)
+    centralHeader.writeUInt16LE(date, centralDirectoryHeader.date)
+    centralHeader.writeUInt32LE(checksum, centralDirectoryHeader.checksum)
+    centralHeader.writeUInt32LE(compressed.length, centralDirectoryHeader.compressedSize)
+    centralHeader.writeUInt32LE(content.length, centralDirectoryHeader.uncompressedSize)
+    centralHeader.writeUInt16LE(name.length, centralDirectoryHeader.fileNameLength)
+    centralHeader.writeUInt32LE(offset, centralDirectoryHeader.localHeaderOffset)
+
+    localEntries.push(localHeader, name, compressed)
+    centralEntries.push(centralHeader, name)
+    offset += localHeader.length + name.length + compressed.length
+  }
+
+  const centralDirectory = Buffer.concat(centralEntries)
+  const endRecord = Buffer.alloc(endOfCentralDirectory.length)
+  endRecord.writeUInt32LE(endOfCentralDirectorySignature, endOfCentralDirectory.signature)
+  endRecord.writeUInt16LE(files.length, endOfCentralDirectory.diskEntries)
+  endRecord.writeUInt16LE(files.length, endOfCentralDirectory.totalEntries)
+  endRecord.writeUInt32LE(centralDirectory.length, endOfCentralDirectory.centralDirectorySize)
+  endRecord.writeUInt32LE(offset, endOfCentralDirectory.centralDirectoryOffset)
+
+  return Buffer.concat([...localEntries, centralDirectory, endRecord])
+}
+
+workerpool.worker({
+  createArchive,
+})